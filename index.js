@@ -3,9 +3,19 @@ import { } from 'dotenv/config';
 import { createLogger } from './lib/logger.js';
 const logger = createLogger('index');
 
+import { createBackup, getBackupMode, getBackupPath, getKeepBackups, rollback } from './lib/backup.js';
 import { createFs } from './lib/createFs.js';
 import { createPlan } from './lib/createPlan.js';
+import { createReleasePlan, isReleaseModeEnabled } from './lib/createReleasePlan.js';
+import { createJournal, getJournalMode } from './lib/journal.js';
+import { PHASES, getConcurrency } from './lib/Plan.js';
+import { getPlanFilePath, readPlanFile, writePlanFile } from './lib/planFile.js';
+import { writePlanOutput } from './lib/planOutput.js';
+import { writeReport } from './lib/report.js';
+import { getRetryOptions } from './lib/retry.js';
+import { checkDeletions, checkPlanSafety, getSafetyLimits } from './lib/safetyChecks.js';
 import { checkForInvalidDontDelete, checkForInvalidDontOverride } from './lib/skipFiles.js';
+import { checkDangerousTarget, checkTargetMarker, getSiteId } from './lib/targetGuard.js';
 
 /**
  * Parse the filesystem from the environment variables
@@ -32,12 +42,104 @@ const parseFilesystemFromEnv = (prefix) => {
     };
 };
 
+/**
+ * Get the mode to run in
+ *  - "deploy": push the source to the target (default)
+ *  - "init": deploy and mark the target for PLUGIN_SITE_ID
+ *  - "plan": only create the plan and write it to the plan file
+ *  - "apply": execute the plan of the plan file
+ *  - "rollback": restore a backup on the target
+ * @returns {string}
+ */
+const getMode = () => {
+    const mode = process.env.PLUGIN_MODE || 'deploy';
+    if (!['deploy', 'init', 'plan', 'apply', 'rollback'].includes(mode)) {
+        throw new Error(`Invalid PLUGIN_MODE: ${mode}`);
+    }
+    return mode;
+};
+
+/**
+ * Create the plan to deploy the source to the target, refusing suspicious plans
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {Promise<Plan>}
+ */
+const createDeploymentPlan = async (sourceFs, targetFs) => {
+    logger.info('Creating plan');
+    const plan = isReleaseModeEnabled()
+        ? await createReleasePlan(sourceFs, targetFs)
+        : await createPlan(sourceFs, targetFs);
+    await checkPlanSafety(plan, sourceFs, targetFs);
+    return plan;
+};
+
+/**
+ * Read the plan of the plan file, refusing suspicious plans
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {Promise<Plan>}
+ */
+const readSavedPlan = async (sourceFs, targetFs) => {
+    const plan = await readPlanFile(sourceFs, targetFs, getPlanFilePath());
+    checkDeletions(plan, await targetFs.getFiles());
+    return plan;
+};
+
+/**
+ * Write the plan as JSON document and the Markdown report, in case they are configured
+ * @param {Plan} plan
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {Promise<void>}
+ */
+const writePlanDocuments = async (plan, sourceFs, targetFs) => {
+    if (process.env.PLUGIN_PLAN_OUTPUT) {
+        await writePlanOutput(plan, sourceFs, targetFs, process.env.PLUGIN_PLAN_OUTPUT);
+    }
+    if (process.env.PLUGIN_REPORT_FILE) {
+        await writeReport(plan, sourceFs, targetFs, process.env.PLUGIN_REPORT_FILE);
+    }
+};
+
+/**
+ * Restore a backup on the target file system
+ * @returns {Promise<void>}
+ */
+const runRollback = async () => {
+    if (!getBackupMode()) {
+        throw new Error('PLUGIN_BACKUP has to be set to roll back');
+    }
+    getBackupPath();
+
+    const targetFsConfig = parseFilesystemFromEnv('PLUGIN_TARGET');
+
+    logger.info('Connecting to target file system');
+    const targetFs = createFs(targetFsConfig.path, targetFsConfig.parameters);
+    await targetFs.connect();
+    await checkDangerousTarget(targetFs);
+
+    await targetFs.scanDirectory();
+    await checkTargetMarker(targetFs);
+    await rollback(targetFs, process.env.PLUGIN_ROLLBACK_BACKUP);
+
+    logger.info('Disconnecting from target file system');
+    await targetFs.disconnect();
+};
+
 (async () => {
     try {
         if (process.env.PLUGIN_DRY_RUN) {
             logger.info('Dry run mode enabled. Changes will not be applied to the target.');
         }
 
+        const mode = getMode();
+        if (mode === 'rollback') {
+            await runRollback();
+            logger.info('Done');
+            process.exit(0);
+        }
+
         logger.info('Checking source and target file systems');
         const sourceFsConfig = parseFilesystemFromEnv('PLUGIN_SOURCE');
         const targetFsConfig = parseFilesystemFromEnv('PLUGIN_TARGET');
@@ -53,6 +155,24 @@ const parseFilesystemFromEnv = (prefix) => {
             process.exit(1);
         }
 
+        // Validate concurrency limits, retry settings and deletion limits before proceeding, throws on invalid values
+        logger.info('Validating concurrency, retry and safety settings');
+        for (const phase of PHASES) {
+            getConcurrency(phase);
+        }
+        getRetryOptions();
+        getSafetyLimits();
+
+        // Validate backup and journal settings before proceeding, throws on invalid values
+        if (getBackupMode()) {
+            getBackupPath();
+            getKeepBackups();
+        }
+        getJournalMode();
+        if (mode === 'init' && !getSiteId()) {
+            throw new Error('PLUGIN_SITE_ID has to be set to initialize the target');
+        }
+
         logger.info('Connecting to source and target file systems');
         const sourceFs = createFs(sourceFsConfig.path, sourceFsConfig.parameters);
         const targetFs = createFs(targetFsConfig.path, targetFsConfig.parameters);
@@ -61,14 +181,35 @@ const parseFilesystemFromEnv = (prefix) => {
             sourceFs.connect(),
             targetFs.connect(),
         ]);
+        await checkDangerousTarget(targetFs);
+
+        if (mode === 'plan') {
+            const plan = await createDeploymentPlan(sourceFs, targetFs);
+            await checkTargetMarker(targetFs);
+            await writePlanDocuments(plan, sourceFs, targetFs);
+            await writePlanFile(plan, sourceFs, targetFs, getPlanFilePath());
+        } else {
+            // Resume an unfinished deployment, it was backed up already when it started
+            const journal = createJournal(sourceFs, targetFs);
+            let plan = journal ? await journal.resume() : null;
+            if (!plan) {
+                plan = mode === 'apply'
+                    ? await readSavedPlan(sourceFs, targetFs)
+                    : await createDeploymentPlan(sourceFs, targetFs);
+                plan.backup = createBackup(targetFs);
+            }
+            plan.journal = journal;
 
-        logger.info('Creating plan');
-        const plan = await createPlan(sourceFs, targetFs);
+            // The target has been scanned while planning or resuming
+            await checkTargetMarker(targetFs, { init: mode === 'init' });
 
-        logger.info('Executing plan');
-        await plan.execute();
+            await writePlanDocuments(plan, sourceFs, targetFs);
 
-        logger.info('Plan executed');
+            logger.info('Executing plan');
+            await plan.execute();
+
+            logger.info('Plan executed');
+        }
 
         logger.info('Disconnecting from source and target file systems');
         await Promise.all([
@@ -1,18 +1,78 @@
+import { pipeline } from 'stream/promises';
+
 import { createLogger } from './logger.js';
+import { runWithConcurrency } from './runWithConcurrency.js';
+import { getRetryOptions, withRetry } from './retry.js';
+import { getTemporaryPath, isAtomicUploadEnabled } from './atomicUpload.js';
 
 const planStepLogger = createLogger('PlanStep');
 const planLogger = createLogger('Plan');
 
+/**
+ * Names of the phases of a plan, in the order they are executed
+ */
+export const PHASES = [
+    'stepCreateMissingDirectories',
+    'stepUploadAssets',
+    'stepUploadLogic',
+    'stepActivateRelease',
+    'stepRemoveOldLogic',
+    'stepRemoveOldAssets',
+    'stepDeleteOldDirectories',
+];
+
+/**
+ * Parse a concurrency limit from an environment variable
+ * @param {string} name - name of the environment variable
+ * @returns {number|undefined} - undefined if not set, Infinity if set to 0
+ */
+const parseConcurrency = (name) => {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') {
+        return undefined;
+    }
+    const limit = parseInt(value, 10);
+    if (isNaN(limit) || limit < 0 || String(limit) !== value.trim()) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return limit === 0 ? Infinity : limit;
+};
+
+/**
+ * Get the maximum number of steps executed at the same time within a phase
+ * A phase specific limit (e.g. PLUGIN_CONCURRENCY_UPLOAD_ASSETS for stepUploadAssets)
+ * takes precedence over PLUGIN_CONCURRENCY; without any of them there is no limit
+ * @param {string} phase - one of PHASES
+ * @returns {number}
+ */
+export const getConcurrency = (phase) => {
+    const phaseName = phase.replace(/^step/, '').replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+    const phaseLimit = parseConcurrency(`PLUGIN_CONCURRENCY_${phaseName}`);
+    if (phaseLimit !== undefined) {
+        return phaseLimit;
+    }
+    const globalLimit = parseConcurrency('PLUGIN_CONCURRENCY');
+    if (globalLimit !== undefined) {
+        return globalLimit;
+    }
+    return Infinity;
+};
+
 /**
  * A step in the plan
  * @param {string} action - can be "delete_file" (where "target" will be deleted), 
  *    "delete_directory" (where "target" will be deleted),
  *    "create_directory" (where "target" will be created),
- *    "copy" (where "source" will be copied to "target")
+ *    "copy" (where "source" will be copied to "target"),
+ *    "symlink" (where "target" will atomically be replaced by a symlink pointing to "source"),
+ *    "update_metadata" (where the metadata of "target", e.g. its headers, will be updated without uploading it again)
  * @param {string} source
  * @param {string} target
  * @param {FileSystem} sourceFs
  * @param {FileSystem} targetFs
+ * @param {Object} [details]
+ * @param {string} [details.reason] - why the step is needed, e.g. "new", "changed", "orphaned" or "metadata"
+ * @param {number} [details.size] - size of the copied or deleted file in bytes, if known
  */
 export class PlanStep {
     action;
@@ -20,13 +80,17 @@ export class PlanStep {
     target;
     sourceFs;
     targetFs;
+    reason;
+    size;
 
-    constructor(action, source, target, sourceFs, targetFs) {
+    constructor(action, source, target, sourceFs, targetFs, { reason = null, size = null } = {}) {
         this.action = action;
         this.source = source;
         this.target = target;
         this.sourceFs = sourceFs;
         this.targetFs = targetFs;
+        this.reason = reason;
+        this.size = size;
     }
 
     /**
@@ -42,8 +106,17 @@ export class PlanStep {
                 
             case 'copy':
                 planStepLogger.debug(`Copying file: ${this.source} -> ${this.target}`);
-                const content = await this.sourceFs.readFile(this.source);
-                await this.targetFs.writeFile(this.target, content);
+                await this.copy();
+                break;
+                
+            case 'symlink':
+                planStepLogger.debug(`Linking: ${this.target} -> ${this.source}`);
+                await this.symlink();
+                break;
+                
+            case 'update_metadata':
+                planStepLogger.debug(`Updating metadata: ${this.target}`);
+                await this.targetFs.updateMetadata(this.target);
                 break;
                 
             case 'delete_file':
@@ -60,6 +133,61 @@ export class PlanStep {
                 throw new Error(`Unknown action: ${this.action}`);
         }
     }
+
+    /**
+     * Copy the source file to the target file
+     * With atomic uploads, the file is uploaded to a temporary sibling and renamed to the target afterwards
+     * @returns {Promise<void>}
+     */
+    async copy() {
+        if (!isAtomicUploadEnabled()) {
+            await this.upload(this.target);
+            return;
+        }
+
+        const temporaryPath = getTemporaryPath(this.target);
+        planStepLogger.trace(`Uploading to temporary file: ${temporaryPath}`);
+        await this.upload(temporaryPath);
+        await this.targetFs.rename(temporaryPath, this.target);
+    }
+
+    /**
+     * Point the target to the source with a symlink, replacing an existing symlink atomically
+     * @returns {Promise<void>}
+     */
+    async symlink() {
+        if (typeof this.targetFs.symlink !== 'function') {
+            throw new Error('Target file system does not support symlinks');
+        }
+        const temporaryPath = getTemporaryPath(this.target);
+        try {
+            await this.targetFs.symlink(this.source, temporaryPath);
+        } catch (err) {
+            // Most likely left over by an aborted run
+            planStepLogger.debug(`Creating symlink ${temporaryPath} failed (${err.message}), deleting it first`);
+            await this.targetFs.deleteFile(temporaryPath);
+            await this.targetFs.symlink(this.source, temporaryPath);
+        }
+        await this.targetFs.rename(temporaryPath, this.target);
+    }
+
+    /**
+     * Upload the source file to a path of the target file system
+     * Streams the content in case both file systems support it, so large files are not buffered in memory
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async upload(path) {
+        if (typeof this.sourceFs.createReadStream === 'function' && typeof this.targetFs.createWriteStream === 'function') {
+            const input = await this.sourceFs.createReadStream(this.source);
+            const output = await this.targetFs.createWriteStream(path);
+            await pipeline(input, output);
+            return;
+        }
+
+        const content = await this.sourceFs.readFile(this.source);
+        await this.targetFs.writeFile(path, content);
+    }
 }
 
 /**
@@ -67,75 +195,94 @@ export class PlanStep {
  * @param {PlanStep[]} stepCreateMissingDirectories - first step to create missing directories on the target file system
  * @param {PlanStep[]} stepUploadAssets - second step to upload assets to the target file system
  * @param {PlanStep[]} stepUploadLogic - third step to upload logic to the target file system (e.g. html, php, etc.)
+ * @param {PlanStep[]} stepActivateRelease - only used in release mode, switches the current release after everything was uploaded
  * @param {PlanStep[]} stepRemoveOldLogic - fourth step to remove old logic from the target file system
  * @param {PlanStep[]} stepRemoveOldAssets - fifth step to remove old assets from the target file system
  * @param {PlanStep[]} stepDeleteOldDirectories - sixth step to delete old directories from the target file system
+ * @param {{path: string, reason: string}[]} skipped - relative paths of files left alone, e.g. due to skip patterns
+ * @param {Manifest|null} manifest - manifest to write to the target file system after all steps were executed
+ * @param {Backup|null} backup - backup of the target files to create before any step is executed
+ * @param {Journal|null} journal - journal recording the completed steps, so an interrupted run can be resumed
  */
 export class Plan {
     stepCreateMissingDirectories;
     stepUploadAssets;
     stepUploadLogic;
+    stepActivateRelease;
     stepRemoveOldLogic;
     stepRemoveOldAssets;
     stepDeleteOldDirectories;
+    skipped;
+    manifest;
+    backup;
+    journal;
 
     constructor() {
         this.stepCreateMissingDirectories = [];
         this.stepUploadAssets = [];
         this.stepUploadLogic = [];
+        this.stepActivateRelease = [];
         this.stepRemoveOldLogic = [];
         this.stepRemoveOldAssets = [];
         this.stepDeleteOldDirectories = [];
+        this.skipped = [];
+        this.manifest = null;
+        this.backup = null;
+        this.journal = null;
     }
 
     /**
      * Execute the plan
+     * The phases are executed one after another, the steps within a phase in parallel
+     * Steps failing with a transient error are retried
      * @returns {Promise<void>}
      */
     async execute() {
         planLogger.debug('Executing plan');
+        const retryOptions = getRetryOptions();
 
-        planLogger.debug('Executing stepCreateMissingDirectories');
-        var promiseQueue = [];
-        for (const step of this.stepCreateMissingDirectories) {
-            promiseQueue.push(step.execute());
-        }
-        await Promise.all(promiseQueue);
-
-        planLogger.debug('Executing stepUploadAssets');
-        promiseQueue = [];
-        for (const step of this.stepUploadAssets) {
-            promiseQueue.push(step.execute());
+        if (this.backup) {
+            planLogger.debug('Creating backup');
+            await this.backup.create(this);
         }
-        await Promise.all(promiseQueue);
 
-        planLogger.debug('Executing stepUploadLogic');
-        promiseQueue = [];
-        for (const step of this.stepUploadLogic) {
-            promiseQueue.push(step.execute());
+        if (this.journal) {
+            await this.journal.start(this);
         }
-        await Promise.all(promiseQueue);
 
-        planLogger.debug('Executing stepRemoveOldLogic');
-        promiseQueue = [];
-        for (const step of this.stepRemoveOldLogic) {
-            promiseQueue.push(step.execute());
+        for (const phase of PHASES) {
+            const steps = this[phase]
+                .map((step, index) => ({ step, id: `${phase}/${index}` }))
+                .filter(({ id }) => !this.journal || !this.journal.isCompleted(id));
+            const concurrency = getConcurrency(phase);
+            planLogger.debug(`Executing ${phase} (${steps.length} steps, concurrency ${concurrency})`);
+            try {
+                await runWithConcurrency(steps, concurrency, async ({ step, id }) => {
+                    await withRetry(
+                        () => step.execute(),
+                        `${step.action} ${step.target}`,
+                        retryOptions
+                    );
+                    if (this.journal) {
+                        await this.journal.complete(id);
+                    }
+                });
+            } finally {
+                // Also persist the progress of a failed phase, so it can be resumed
+                if (this.journal) {
+                    await this.journal.flush();
+                }
+            }
         }
-        await Promise.all(promiseQueue);
 
-        planLogger.debug('Executing stepRemoveOldAssets');
-        promiseQueue = [];
-        for (const step of this.stepRemoveOldAssets) {
-            promiseQueue.push(step.execute());
+        if (this.manifest) {
+            planLogger.debug('Writing manifest');
+            await this.manifest.write();
         }
-        await Promise.all(promiseQueue);
 
-        planLogger.debug('Executing stepDeleteOldDirectories');
-        promiseQueue = [];
-        for (const step of this.stepDeleteOldDirectories) {
-            promiseQueue.push(step.execute());
+        if (this.journal) {
+            await this.journal.finish();
         }
-        await Promise.all(promiseQueue);
 
         planLogger.debug('Plan executed');
     }
@@ -0,0 +1,48 @@
+/**
+ * Suffix of the temporary files written by atomic uploads
+ */
+export const TEMPORARY_SUFFIX = '.push-to-tmp';
+
+/**
+ * Check if atomic uploads are enabled
+ * With atomic uploads, files are uploaded to a temporary name first and renamed afterwards,
+ * so visitors never get a partially uploaded file
+ * @returns {boolean}
+ */
+export const isAtomicUploadEnabled = () => {
+    return process.env.PLUGIN_ATOMIC_UPLOADS === 'true';
+};
+
+/**
+ * Get the temporary sibling of a file, e.g. "dir/.index.html.push-to-tmp" for "dir/index.html"
+ * @param {string} path
+ * @returns {string}
+ */
+export const getTemporaryPath = (path) => {
+    const lastSlash = path.lastIndexOf('/');
+    const directory = path.substring(0, lastSlash + 1);
+    const fileName = path.substring(lastSlash + 1);
+    return `${directory}.${fileName}${TEMPORARY_SUFFIX}`;
+};
+
+/**
+ * Check if a path is a temporary file of an atomic upload
+ * @param {string} path
+ * @returns {boolean}
+ */
+export const isTemporaryPath = (path) => {
+    const fileName = path.substring(path.lastIndexOf('/') + 1);
+    return fileName.startsWith('.') && fileName.endsWith(TEMPORARY_SUFFIX) && fileName.length > TEMPORARY_SUFFIX.length + 1;
+};
+
+/**
+ * Get the file a temporary file of an atomic upload belongs to, e.g. "dir/index.html" for "dir/.index.html.push-to-tmp"
+ * @param {string} temporaryPath
+ * @returns {string}
+ */
+export const getOriginalPath = (temporaryPath) => {
+    const lastSlash = temporaryPath.lastIndexOf('/');
+    const directory = temporaryPath.substring(0, lastSlash + 1);
+    const fileName = temporaryPath.substring(lastSlash + 2, temporaryPath.length - TEMPORARY_SUFFIX.length);
+    return `${directory}${fileName}`;
+};
@@ -0,0 +1,579 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import nodePath from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import tar from 'tar-stream';
+
+import { createLogger } from './logger.js';
+import { PHASES, PlanStep } from './Plan.js';
+import { MANIFEST_FILE_NAME } from './manifest.js';
+import { getDirectoryPath, getRelativePath, joinPath } from './paths.js';
+import { formatTimestamp } from './timestamp.js';
+
+const logger = createLogger('backup');
+
+/**
+ * Name of the index of a backup, listing the saved and the created files
+ */
+export const BACKUP_INDEX_FILE_NAME = '.push-to-backup.json';
+
+/**
+ * Directory within a backup holding the saved files
+ */
+const FILES_DIRECTORY = 'files';
+
+/**
+ * Get where backups are stored
+ * @returns {'local'|'target'|null} - null in case backups are disabled
+ */
+export const getBackupMode = () => {
+    const mode = process.env.PLUGIN_BACKUP;
+    if (!mode) {
+        return null;
+    }
+    if (mode !== 'local' && mode !== 'target') {
+        throw new Error(`Invalid PLUGIN_BACKUP: ${mode}`);
+    }
+    return mode;
+};
+
+/**
+ * Get the path backups are stored in
+ * Local backups are relative to the working directory, backups on the target relative to the target path
+ * @returns {string}
+ */
+export const getBackupPath = () => {
+    const path = (process.env.PLUGIN_BACKUP_PATH || '.push-to-backups').replace(/\/+$/, '');
+    if (!path || path.split('/').some(segment => segment === '..')) {
+        throw new Error(`Invalid PLUGIN_BACKUP_PATH: ${process.env.PLUGIN_BACKUP_PATH}`);
+    }
+    return path;
+};
+
+/**
+ * Get the number of backups to keep, including the new one
+ * @returns {number}
+ */
+export const getKeepBackups = () => {
+    const value = process.env.PLUGIN_KEEP_BACKUPS;
+    if (value === undefined || value.trim() === '') {
+        return 5;
+    }
+    const keep = parseInt(value, 10);
+    if (isNaN(keep) || keep < 1 || String(keep) !== value.trim()) {
+        throw new Error(`Invalid PLUGIN_KEEP_BACKUPS: ${value}`);
+    }
+    return keep;
+};
+
+/**
+ * Check if a path relative to the target base path belongs to the backups stored on the target
+ * Those must neither be overwritten nor deleted by a deployment
+ * @param {string} relativePath
+ * @returns {boolean}
+ */
+export const isBackupPath = (relativePath) => {
+    if (getBackupMode() !== 'target') {
+        return false;
+    }
+    const backupPath = getBackupPath().replace(/^\/+/, '');
+    return relativePath === backupPath || relativePath.startsWith(backupPath + '/');
+};
+
+/**
+ * Get the name of a new backup, a timestamp followed by the commit when running in drone
+ * @returns {string}
+ */
+const getBackupName = () => {
+    const timestamp = formatTimestamp();
+    const commit = process.env.DRONE_COMMIT_SHA;
+    return commit ? `${timestamp}-${commit.substring(0, 8)}` : timestamp;
+};
+
+/**
+ * Get the base path of a file system
+ * @param {FileSystem} fileSystem
+ * @returns {string}
+ */
+const getBasePath = (fileSystem) => {
+    return fileSystem.path || fileSystem.directory || '';
+};
+
+/**
+ * Backups stored as tar.gz archives on the machine running push-to
+ */
+export class LocalBackupStorage {
+    directory;
+
+    /**
+     * Constructor
+     * @param {string} directory - Local directory holding the archives
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Get the path of the archive of a backup
+     * @param {string} name
+     * @returns {string}
+     */
+    getArchivePath(name) {
+        return nodePath.join(this.directory, `${name}.tar.gz`);
+    }
+
+    /**
+     * List the names of all backups, oldest first
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+        return entries
+            .filter(entry => entry.endsWith('.tar.gz'))
+            .map(entry => entry.substring(0, entry.length - '.tar.gz'.length))
+            .sort();
+    }
+
+    /**
+     * Save files into a new backup
+     * Files are streamed into the archive where possible, so large files are not buffered in memory
+     * @param {string} name
+     * @param {Object} index
+     * @param {function(string): Promise<Buffer|string>} readFile - Reads a file by its relative path
+     * @param {function(string): Promise<{stream: Readable, size: number}|null>} [openFile] - Opens a file by its relative path as stream, null in case it has to be read instead
+     * @returns {Promise<void>}
+     */
+    async save(name, index, readFile, openFile = async () => null) {
+        const archivePath = this.getArchivePath(name);
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            logger.info(`Dry run, not writing backup ${archivePath}`);
+            return;
+        }
+
+        await fs.mkdir(this.directory, { recursive: true });
+        const pack = tar.pack();
+        const output = pipeline(pack, zlib.createGzip(), createWriteStream(archivePath));
+
+        const addEntry = (entryName, content) => new Promise((resolve, reject) => {
+            const buffer = Buffer.from(content);
+            pack.entry({ name: entryName, size: buffer.length }, buffer, (err) => err ? reject(err) : resolve());
+        });
+
+        // The size has to be known in advance, the entry fails in case the stream does not match it
+        const addStreamEntry = (entryName, { stream, size }) => new Promise((resolve, reject) => {
+            const entry = pack.entry({ name: entryName, size }, (err) => err ? reject(err) : resolve());
+            stream.on('error', reject);
+            stream.pipe(entry);
+        });
+
+        try {
+            for (const relativePath of index.files) {
+                const entryName = `${FILES_DIRECTORY}/${relativePath}`;
+                const file = await openFile(relativePath);
+                if (file) {
+                    await addStreamEntry(entryName, file);
+                } else {
+                    await addEntry(entryName, await readFile(relativePath));
+                }
+            }
+            await addEntry(BACKUP_INDEX_FILE_NAME, JSON.stringify(index, null, 2));
+            pack.finalize();
+            await output;
+        } catch (err) {
+            pack.destroy(err);
+            await output.catch(() => {});
+            // Do not leave a truncated archive that looks like a backup
+            await fs.rm(archivePath, { force: true });
+            throw err;
+        }
+    }
+
+    /**
+     * Restore the files of a backup
+     * @param {string} name
+     * @param {function(string, Buffer): Promise<void>} writeFile - Writes a file by its relative path
+     * @returns {Promise<Object>} - Index of the backup
+     */
+    async restore(name, writeFile) {
+        const extract = tar.extract();
+        const input = pipeline(createReadStream(this.getArchivePath(name)), zlib.createGunzip(), extract);
+
+        let index = null;
+        for await (const entry of extract) {
+            const chunks = [];
+            for await (const chunk of entry) {
+                chunks.push(chunk);
+            }
+            const content = Buffer.concat(chunks);
+
+            if (entry.header.name === BACKUP_INDEX_FILE_NAME) {
+                index = JSON.parse(content.toString());
+            } else if (entry.header.name.startsWith(FILES_DIRECTORY + '/')) {
+                await writeFile(entry.header.name.substring(FILES_DIRECTORY.length + 1), content);
+            }
+        }
+        await input;
+
+        if (!index) {
+            throw new Error(`Backup ${name} has no index`);
+        }
+        return index;
+    }
+
+    /**
+     * Delete a backup
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async delete(name) {
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+        await fs.rm(this.getArchivePath(name), { force: true });
+    }
+}
+
+/**
+ * Backups stored in a directory on the target file system
+ * Every backup is a directory holding the saved files and the index, which is written last
+ */
+export class TargetBackupStorage {
+    targetFs;
+    directory;
+
+    /**
+     * Constructor
+     * @param {FileSystem} targetFs
+     * @param {string} directory - Full path of the directory holding the backups
+     */
+    constructor(targetFs, directory) {
+        this.targetFs = targetFs;
+        this.directory = directory;
+    }
+
+    /**
+     * List the names of all complete backups, oldest first
+     * The target file system has to be scanned before
+     * @returns {Promise<string[]>}
+     */
+    async list() {
+        const names = new Set();
+        for (const file of await this.targetFs.getFiles()) {
+            if (!file.startsWith(this.directory + '/')) {
+                continue;
+            }
+            const segments = getRelativePath(file, this.directory).split('/');
+            if (segments.length === 2 && segments[1] === BACKUP_INDEX_FILE_NAME) {
+                names.add(segments[0]);
+            }
+        }
+        return [...names].sort();
+    }
+
+    /**
+     * Save files into a new backup
+     * Files are copied one by one, as most remote file systems can't read and write on the same connection at once
+     * @param {string} name
+     * @param {Object} index
+     * @param {function(string): Promise<Buffer|string>} readFile - Reads a file by its relative path
+     * @returns {Promise<void>}
+     */
+    async save(name, index, readFile) {
+        const backupDirectory = joinPath(this.directory, name);
+        const filesDirectory = joinPath(backupDirectory, FILES_DIRECTORY);
+        const createdDirectories = new Set();
+
+        for (const relativePath of index.files) {
+            const path = joinPath(filesDirectory, relativePath);
+            const directory = getDirectoryPath(path);
+            if (!createdDirectories.has(directory)) {
+                await this.targetFs.createDirectory(directory);
+                createdDirectories.add(directory);
+            }
+            await this.targetFs.writeFile(path, await readFile(relativePath));
+        }
+
+        await this.targetFs.createDirectory(backupDirectory);
+        await this.targetFs.writeFile(
+            joinPath(backupDirectory, BACKUP_INDEX_FILE_NAME),
+            Buffer.from(JSON.stringify(index, null, 2))
+        );
+    }
+
+    /**
+     * Restore the files of a backup
+     * @param {string} name
+     * @param {function(string, Buffer|string): Promise<void>} writeFile - Writes a file by its relative path
+     * @returns {Promise<Object>} - Index of the backup
+     */
+    async restore(name, writeFile) {
+        const backupDirectory = joinPath(this.directory, name);
+        const index = JSON.parse((await this.targetFs.readFile(joinPath(backupDirectory, BACKUP_INDEX_FILE_NAME))).toString());
+        for (const relativePath of index.files) {
+            const content = await this.targetFs.readFile(joinPath(joinPath(backupDirectory, FILES_DIRECTORY), relativePath));
+            await writeFile(relativePath, content);
+        }
+        return index;
+    }
+
+    /**
+     * Delete a backup
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async delete(name) {
+        await this.targetFs.deleteDirectory(joinPath(this.directory, name));
+    }
+}
+
+/**
+ * Create the storage of the configured backup mode
+ * @param {FileSystem} targetFs
+ * @returns {LocalBackupStorage|TargetBackupStorage}
+ */
+export const createBackupStorage = (targetFs) => {
+    const mode = getBackupMode();
+    if (mode === 'local') {
+        return new LocalBackupStorage(nodePath.resolve(getBackupPath()));
+    }
+    if (mode === 'target') {
+        return new TargetBackupStorage(targetFs, joinPath(getBasePath(targetFs), getBackupPath()));
+    }
+    throw new Error('PLUGIN_BACKUP is not set');
+};
+
+/**
+ * Backup of the target files a plan will overwrite or delete, created before the plan is executed
+ * Files the plan creates are recorded as well, so a rollback can remove them
+ * Symlinks the plan replaces (e.g. current in release mode) are recorded with the path they pointed to
+ * @param {BackupStorage} storage
+ * @param {FileSystem} targetFs
+ * @param {number} keepBackups
+ */
+export class Backup {
+    storage;
+    targetFs;
+    keepBackups;
+    name;
+
+    constructor(storage, targetFs, keepBackups) {
+        this.storage = storage;
+        this.targetFs = targetFs;
+        this.keepBackups = keepBackups;
+        this.name = getBackupName();
+    }
+
+    /**
+     * Create the index of the backup from the steps of a plan
+     * @param {Plan} plan
+     * @returns {Promise<{name: string, date: string, files: string[], createdFiles: string[], createdDirectories: string[], links: {path: string, previousTarget: string|null}[]}>}
+     */
+    async createIndex(plan) {
+        const basePath = getBasePath(this.targetFs);
+        const targetFiles = await this.targetFs.getFiles();
+        const existingFiles = new Set(targetFiles);
+        const files = new Set();
+        const createdFiles = new Set();
+        const createdDirectories = new Set();
+        const links = new Map();
+
+        for (const phase of PHASES) {
+            for (const step of plan[phase]) {
+                switch (step.action) {
+                    case 'copy':
+                        (existingFiles.has(step.target) ? files : createdFiles).add(step.target);
+                        break;
+                    case 'delete_file':
+                        if (existingFiles.has(step.target)) {
+                            files.add(step.target);
+                        }
+                        break;
+                    case 'delete_directory':
+                        for (const file of targetFiles) {
+                            if (file.startsWith(step.target + '/')) {
+                                files.add(file);
+                            }
+                        }
+                        break;
+                    case 'create_directory':
+                        createdDirectories.add(step.target);
+                        break;
+                    case 'symlink':
+                        // Links within created directories (e.g. shared paths of a new release) vanish with them
+                        if (![...createdDirectories].some(directory => step.target.startsWith(directory + '/'))) {
+                            links.set(step.target, await this.readLink(step.target));
+                        }
+                        break;
+                }
+            }
+        }
+
+        const toRelative = (paths) => [...paths].map(path => getRelativePath(path, basePath)).sort();
+        return {
+            version: 1,
+            name: this.name,
+            date: new Date().toISOString(),
+            files: toRelative(files),
+            createdFiles: toRelative(createdFiles),
+            createdDirectories: toRelative(createdDirectories),
+            links: [...links].map(([path, previousTarget]) => ({ path: getRelativePath(path, basePath), previousTarget }))
+                .sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0),
+        };
+    }
+
+    /**
+     * Read the path a symlink on the target points to
+     * @param {string} path
+     * @returns {Promise<string|null>} - null in case there is no symlink yet
+     */
+    async readLink(path) {
+        if (typeof this.targetFs.readLink !== 'function') {
+            return null;
+        }
+        return this.targetFs.readLink(path);
+    }
+
+    /**
+     * Open a target file as stream, in case the target supports streams and the size of the file is known
+     * @param {string} path
+     * @returns {Promise<{stream: Readable, size: number}|null>}
+     */
+    async openFile(path) {
+        const info = this.targetFs.getFileInfo(path);
+        if (typeof this.targetFs.createReadStream !== 'function' || !info || typeof info.size !== 'number') {
+            return null;
+        }
+        return { stream: await this.targetFs.createReadStream(path), size: info.size };
+    }
+
+    /**
+     * Save the files a plan will overwrite or delete, and delete the oldest backups
+     * @param {Plan} plan
+     * @returns {Promise<void>}
+     */
+    async create(plan) {
+        const index = await this.createIndex(plan);
+        if (index.files.length === 0 && index.createdFiles.length === 0 && index.links.length === 0) {
+            logger.info('Nothing will be overwritten or deleted, skipping backup');
+            return;
+        }
+
+        const basePath = getBasePath(this.targetFs);
+        logger.info(`Creating backup ${this.name} of ${index.files.length} files`);
+        await this.storage.save(
+            this.name,
+            index,
+            (relativePath) => this.targetFs.readFile(joinPath(basePath, relativePath)),
+            (relativePath) => this.openFile(joinPath(basePath, relativePath))
+        );
+
+        const names = [...new Set([...await this.storage.list(), this.name])].sort();
+        for (const name of names.slice(0, Math.max(0, names.length - this.keepBackups))) {
+            logger.info(`Deleting old backup ${name}`);
+            await this.storage.delete(name);
+        }
+    }
+}
+
+/**
+ * Create the backup for a deployment, in case backups are enabled
+ * @param {FileSystem} targetFs
+ * @returns {Backup|null}
+ */
+export const createBackup = (targetFs) => {
+    if (!getBackupMode()) {
+        return null;
+    }
+    return new Backup(createBackupStorage(targetFs), targetFs, getKeepBackups());
+};
+
+/**
+ * Restore a backup on the target
+ * Saved files are written back, replaced symlinks point back to their previous path,
+ * files and directories created by the deployment are deleted
+ * The target file system has to be scanned before
+ * @param {FileSystem} targetFs
+ * @param {string} [name] - Name of the backup, defaults to the latest one
+ * @returns {Promise<void>}
+ */
+export const rollback = async (targetFs, name) => {
+    const storage = createBackupStorage(targetFs);
+    const basePath = getBasePath(targetFs);
+
+    const names = await storage.list();
+    const backupName = name || names[names.length - 1];
+    if (!backupName) {
+        throw new Error('No backups found');
+    }
+    if (!names.includes(backupName)) {
+        throw new Error(`Backup ${backupName} not found`);
+    }
+
+    logger.info(`Rolling back to backup ${backupName}`);
+    const createdDirectories = new Set();
+    const index = await storage.restore(backupName, async (relativePath, content) => {
+        const path = joinPath(basePath, relativePath);
+        const directory = getDirectoryPath(path);
+        if (directory && !createdDirectories.has(directory)) {
+            await targetFs.createDirectory(directory);
+            createdDirectories.add(directory);
+        }
+        logger.debug(`Restoring ${path}`);
+        await targetFs.writeFile(path, content);
+    });
+
+    const targetFiles = new Set(await targetFs.getFiles());
+
+    // Before the created directories are deleted, as the links may point into them (e.g. current to the new release)
+    // Backups created before symlinks were recorded have no links
+    for (const { path: relativePath, previousTarget } of index.links || []) {
+        const path = joinPath(basePath, relativePath);
+        if (previousTarget) {
+            logger.debug(`Pointing ${path} back to ${previousTarget}`);
+            await new PlanStep('symlink', previousTarget, path, null, targetFs).execute();
+        } else if (await targetFs.readLink(path)) {
+            logger.debug(`Deleting symlink ${path}`);
+            await targetFs.deleteFile(path);
+        }
+    }
+
+    for (const relativePath of index.createdFiles) {
+        const path = joinPath(basePath, relativePath);
+        if (targetFiles.has(path)) {
+            logger.debug(`Deleting ${path}`);
+            await targetFs.deleteFile(path);
+        }
+    }
+
+    // Directories are deleted recursively, so only the topmost ones are needed
+    const directories = index.createdDirectories;
+    for (const relativePath of directories) {
+        if (directories.some(directory => relativePath.startsWith(directory + '/'))) {
+            continue;
+        }
+        const path = joinPath(basePath, relativePath);
+        try {
+            logger.debug(`Deleting directory ${path}`);
+            await targetFs.deleteDirectory(path);
+        } catch (err) {
+            logger.warn(`Could not delete directory ${path}: ${err.message}`);
+        }
+    }
+
+    // The manifest describes the rolled back content, so the next run has to compare everything again
+    const manifestPath = joinPath(basePath, MANIFEST_FILE_NAME);
+    if (targetFiles.has(manifestPath)) {
+        await targetFs.deleteFile(manifestPath);
+    }
+
+    logger.info(`Restored ${index.files.length} files, deleted ${index.createdFiles.length} files created by the deployment`);
+};
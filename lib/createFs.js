@@ -1,7 +1,10 @@
 import { LocalFileSystem } from './fileSystem/local.js';
 import { FtpFileSystem } from './fileSystem/ftp.js';
 import { FtpsFileSystem } from './fileSystem/ftps.js';
+import { S3FileSystem } from './fileSystem/s3.js';
 import { SftpFileSystem } from './fileSystem/sftp.js';
+import { SshExecFileSystem } from './fileSystem/sshExec.js';
+import { WebDavFileSystem } from './fileSystem/webdav.js';
 
 /**
  * Create a file system object from a URL
@@ -19,5 +22,14 @@ export const createFs = (url, config) => {
     if (url.toLowerCase().startsWith('sftp://')) {
         return new SftpFileSystem(url, config);
     }
+    if (url.toLowerCase().startsWith('ssh://')) {
+        return new SshExecFileSystem(url, config);
+    }
+    if (url.toLowerCase().startsWith('s3://')) {
+        return new S3FileSystem(url, config);
+    }
+    if (url.toLowerCase().startsWith('webdav://') || url.toLowerCase().startsWith('webdavs://')) {
+        return new WebDavFileSystem(url, config);
+    }
     return new LocalFileSystem(url, config);
 };
\ No newline at end of file
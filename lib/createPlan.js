@@ -3,6 +3,13 @@ const logger = createLogger('createPlan');
 
 import { Plan, PlanStep } from './Plan.js';
 import { checkForSkipFileReplace, checkForSkipFileDelete } from './skipFiles.js';
+import { getDirectories, getRelativePath, joinPath } from './paths.js';
+import { Manifest, MANIFEST_FILE_NAME, hashFile, readManifest } from './manifest.js';
+import { getOriginalPath, isAtomicUploadEnabled, isTemporaryPath } from './atomicUpload.js';
+import { isBackupPath } from './backup.js';
+import { JOURNAL_FILE_NAME } from './journal.js';
+import { MARKER_FILE_NAME } from './targetGuard.js';
+import { runWithConcurrency } from './runWithConcurrency.js';
 
 /**
  * Get the asset extensions
@@ -33,90 +40,133 @@ const getAssetExtensions = () => {
  * @param {string} path
  * @returns {boolean}
  */
-const isAsset = (path) => {
+export const isAsset = (path) => {
     const assetExtensions = getAssetExtensions();
     return assetExtensions.some(extension => path.toLowerCase().endsWith(`.${extension}`));
 };
 
 /**
- * Get directory path from file path
- * @param {string} filePath
+ * Get the mode used to decide whether a file that exists on both sides needs to be uploaded
+ *  - "always": upload every file (default)
+ *  - "size": skip files with the same size on both sides
+ *  - "size_mtime": skip files with the same size, where the target is not older than the source
+ *  - "hash": skip files whose hash matches the manifest written to the target by the last run
  * @returns {string}
  */
-const getDirectoryPath = (filePath) => {
-    const lastSlash = filePath.lastIndexOf('/');
-    return lastSlash === -1 ? '' : filePath.substring(0, lastSlash);
+export const getCompareMode = () => {
+    const mode = (process.env.PLUGIN_COMPARE_MODE || 'always').toLowerCase().trim();
+    if (!['always', 'size', 'size_mtime', 'hash'].includes(mode)) {
+        throw new Error(`Invalid PLUGIN_COMPARE_MODE: ${mode}`);
+    }
+    return mode;
 };
 
 /**
- * Get all directories from a list of files
- * @param {string[]} files
- * @returns {Set<string>}
+ * Check if a source file is identical to its target file according to the compare mode
+ * @param {{size: number, mtime: number}|undefined} sourceInfo
+ * @param {{size: number, mtime: number}|undefined} targetInfo
+ * @param {string} compareMode
+ * @returns {boolean}
  */
-const getDirectories = (files) => {
-    const directories = new Set();
-    for (const file of files) {
-        const dir = getDirectoryPath(file);
-        if (dir) {
-            directories.add(dir);
+const isUnchanged = (sourceInfo, targetInfo, compareMode) => {
+    if (compareMode === 'always' || compareMode === 'hash' || !sourceInfo || !targetInfo) {
+        return false;
+    }
+    if (sourceInfo.size !== targetInfo.size) {
+        return false;
+    }
+    if (compareMode === 'size_mtime') {
+        // The target gets the upload time as modification time, so it is
+        // unchanged as long as it is not older than the source
+        if (sourceInfo.mtime === undefined || targetInfo.mtime === undefined) {
+            return false;
         }
+        return targetInfo.mtime >= sourceInfo.mtime;
     }
-    return directories;
+    return true;
 };
 
 /**
- * Check if a path is a logic file (not an asset)
- * @param {string} path
+ * Check if a source file matches the manifest entry of its target file
+ * @param {{hash: string, size: number}} sourceEntry
+ * @param {{hash: string, size: number}|undefined} manifestEntry
+ * @param {{size: number, mtime: number}|undefined} targetInfo
  * @returns {boolean}
  */
-const isLogicFile = (path) => {
-    return !isAsset(path);
+const matchesManifest = (sourceEntry, manifestEntry, targetInfo) => {
+    if (!manifestEntry || manifestEntry.hash !== sourceEntry.hash || manifestEntry.size !== sourceEntry.size) {
+        return false;
+    }
+    // In case the target file was changed by someone else since the manifest was written
+    if (targetInfo && targetInfo.size !== manifestEntry.size) {
+        return false;
+    }
+    return true;
 };
 
 /**
- * Get relative path from base path
- * @param {string} fullPath - Full file path
- * @param {string} basePath - Base directory path
- * @returns {string} - Relative path from base
+ * Get size and modification time of a file, in case the file system provides them
+ * @param {FileSystem} fileSystem
+ * @param {string} path
+ * @returns {{size: number, mtime: number}|undefined}
  */
-const getRelativePath = (fullPath, basePath) => {
-    if (!basePath) {
-        return fullPath;
+const getFileInfo = (fileSystem, path) => {
+    if (typeof fileSystem.getFileInfo !== 'function') {
+        return undefined;
     }
+    return fileSystem.getFileInfo(path);
+};
 
-    // If the full path is exactly the same as the base path, return empty string
-    if (fullPath === basePath) {
-        return '';
-    }
+/**
+ * Get the size of a file, if the file system knows it
+ * @param {FileSystem} fileSystem
+ * @param {string} path
+ * @returns {number|null}
+ */
+export const getFileSize = (fileSystem, path) => {
+    const info = getFileInfo(fileSystem, path);
+    return info ? info.size : null;
+};
 
-    // Ensure base path ends with /
-    const normalizedBase = basePath.endsWith('/') ? basePath : basePath + '/';
+/**
+ * Number of files checked for outdated metadata at the same time while planning
+ */
+const METADATA_CHECK_CONCURRENCY = 10;
 
-    if (fullPath.startsWith(normalizedBase)) {
-        return fullPath.substring(normalizedBase.length);
+/**
+ * Check if the target file system would set other metadata (e.g. headers) on a file when uploading it now
+ * A failing check does not fail the plan, the metadata is checked again on the next run
+ * @param {FileSystem} fileSystem
+ * @param {string} path
+ * @returns {Promise<boolean|null>} - null in case the check failed
+ */
+const hasOutdatedMetadata = async (fileSystem, path) => {
+    try {
+        return await fileSystem.hasOutdatedMetadata(path);
+    } catch (err) {
+        logger.warn(`Could not check the metadata of ${path}, keeping it: ${err.message}`);
+        return null;
     }
-
-    return fullPath;
 };
 
 /**
- * Join base path with relative path
- * @param {string} basePath - Base directory path
- * @param {string} relativePath - Relative path
- * @returns {string} - Full path
+ * Check if a path is a logic file (not an asset)
+ * @param {string} path
+ * @returns {boolean}
  */
-const joinPath = (basePath, relativePath) => {
-    if (!basePath) {
-        return relativePath;
-    }
-
-    // Ensure base path ends with /
-    const normalizedBase = basePath.endsWith('/') ? basePath : basePath + '/';
-
-    // Remove leading / from relative path if present
-    const normalizedRelative = relativePath.startsWith('/') ? relativePath.substring(1) : relativePath;
+const isLogicFile = (path) => {
+    return !isAsset(path);
+};
 
-    return normalizedBase + normalizedRelative;
+/**
+ * Check if a file on the target is managed by push-to itself (manifest, journal, target marker and backups)
+ * Those are never uploaded, overwritten or deleted by a plan
+ * @param {string} relativePath
+ * @returns {boolean}
+ */
+const isManagedByPushTo = (relativePath) => {
+    return relativePath === MANIFEST_FILE_NAME || relativePath === JOURNAL_FILE_NAME || relativePath === MARKER_FILE_NAME ||
+        isBackupPath(relativePath);
 };
 
 /**
@@ -126,6 +176,8 @@ const joinPath = (basePath, relativePath) => {
  * @returns {Plan}
  */
 export const createPlan = async (sourceFs, targetFs) => {
+    const compareMode = getCompareMode();
+
     // Scan the directories to get the files
     logger.debug('Scanning directories to get the files');
     await Promise.all([
@@ -148,6 +200,7 @@ export const createPlan = async (sourceFs, targetFs) => {
 
     logger.debug(`Source base path: ${sourceBasePath}`);
     logger.debug(`Target base path: ${targetBasePath}`);
+    logger.debug(`Compare mode: ${compareMode}`);
 
     // Create the plan
     const plan = new Plan();
@@ -169,48 +222,184 @@ export const createPlan = async (sourceFs, targetFs) => {
         // Step 1: Create missing directories
         if (!targetDirectories.has(targetDir)) {
             logger.trace(`Will create directory: ${targetDir}`);
-            plan.stepCreateMissingDirectories.push(new PlanStep('create_directory', null, targetDir, sourceFs, targetFs));
+            plan.stepCreateMissingDirectories.push(new PlanStep('create_directory', null, targetDir, sourceFs, targetFs, { reason: 'new' }));
         }
     }
 
+    const existingTargetFiles = new Set(targetFiles);
+    const existingSourceFiles = new Set(sourceFiles);
+    const uploadedTargetFiles = new Set();
+    let unchangedFiles = 0;
+
+    /**
+     * Record a file that is left alone
+     * @param {string} relativePath
+     * @param {string} reason - "dont_override", "dont_delete" or "unchanged"
+     */
+    const skip = (relativePath, reason) => {
+        plan.skipped.push({ path: relativePath, reason });
+    };
+
+    /**
+     * Record a file that is identical on both sides and left alone
+     * @param {string} relativePath
+     */
+    const skipUnchanged = (relativePath) => {
+        logger.trace(`Skipping unchanged file: ${relativePath}`);
+        unchangedFiles++;
+        skip(relativePath, 'unchanged');
+    };
+
+    // In hash mode, the manifest of the last run tells which content is on the target
+    // Targets supporting it also record which settings (e.g. PLUGIN_HEADERS) the metadata of their files follows
+    const checkMetadata = typeof targetFs.hasOutdatedMetadata === 'function';
+    const metadataHash = checkMetadata ? targetFs.getMetadataHash() : null;
+    const manifestPath = joinPath(targetBasePath, MANIFEST_FILE_NAME);
+    let previousManifest = null;
+    const manifestFiles = {};
+    if (compareMode === 'hash' || checkMetadata) {
+        previousManifest = await readManifest(targetFs, manifestPath, targetFiles);
+        plan.manifest = new Manifest(targetFs, manifestPath, manifestFiles, metadataHash);
+    }
+    if (compareMode === 'hash' && !previousManifest) {
+        logger.info('All files will be uploaded, as there is no manifest of the last run');
+    }
+
+    // Every check is a request to the target, so they are only done after the settings changed since the last run
+    const metadataChanged = checkMetadata && (!previousManifest || previousManifest.metadataHash !== metadataHash);
+    const unchangedFilesToCheck = [];
+
+    /**
+     * Record a file that is identical on both sides
+     * Its metadata is checked after all files were compared in case it may be outdated, see below
+     * @param {string} relativePath
+     * @param {string} sourceFile
+     * @param {string} targetFile
+     */
+    const keepUnchanged = (relativePath, sourceFile, targetFile) => {
+        if (metadataChanged) {
+            unchangedFilesToCheck.push({ relativePath, sourceFile, targetFile });
+        } else {
+            skipUnchanged(relativePath);
+        }
+    };
+
     for (const sourceFile of sourceFiles) {
         const relativePath = getRelativePath(sourceFile, sourceBasePath);
+
+        if (isManagedByPushTo(relativePath)) {
+            continue;
+        }
         
         // Skip file if it matches DONT_OVERRIDE_TARGET_FILES pattern
         if (checkForSkipFileReplace(relativePath)) {
             logger.info(`Skipping file replacement due to DONT_OVERRIDE_TARGET_FILES: ${relativePath}`);
+            skip(relativePath, 'dont_override');
             continue;
         }
+
+        // Skip file if it is identical on both sides
+        const targetFile = joinPath(targetBasePath, relativePath);
+        if (existingTargetFiles.has(targetFile) &&
+            isUnchanged(getFileInfo(sourceFs, sourceFile), getFileInfo(targetFs, targetFile), compareMode)) {
+            keepUnchanged(relativePath, sourceFile, targetFile);
+            continue;
+        }
+
+        if (compareMode === 'hash') {
+            const sourceEntry = await hashFile(sourceFs, sourceFile);
+            manifestFiles[relativePath] = sourceEntry;
+
+            if (previousManifest && existingTargetFiles.has(targetFile) &&
+                matchesManifest(sourceEntry, previousManifest.files[relativePath], getFileInfo(targetFs, targetFile))) {
+                keepUnchanged(relativePath, sourceFile, targetFile);
+                continue;
+            }
+        }
         
+        uploadedTargetFiles.add(targetFile);
+        const uploadDetails = {
+            reason: existingTargetFiles.has(targetFile) ? 'changed' : 'new',
+            size: getFileSize(sourceFs, sourceFile),
+        };
+
         // Step 2: Upload assets (upload all source assets to target, replacing existing ones)
         if (isAsset(sourceFile)) {
-            const targetFile = joinPath(targetBasePath, relativePath);
-
             logger.trace(`Will upload asset: ${sourceFile} -> ${targetFile}`);
-            plan.stepUploadAssets.push(new PlanStep('copy', sourceFile, targetFile, sourceFs, targetFs));
+            plan.stepUploadAssets.push(new PlanStep('copy', sourceFile, targetFile, sourceFs, targetFs, uploadDetails));
         }
 
         // Step 3: Upload logic files (upload all source logic files to target, replacing existing ones)
         if (isLogicFile(sourceFile)) {
-            const targetFile = joinPath(targetBasePath, relativePath);
-
             logger.trace(`Will upload logic file: ${sourceFile} -> ${targetFile}`);
-            plan.stepUploadLogic.push(new PlanStep('copy', sourceFile, targetFile, sourceFs, targetFs));
+            plan.stepUploadLogic.push(new PlanStep('copy', sourceFile, targetFile, sourceFs, targetFs, uploadDetails));
         }
     }
 
+    // The metadata of unchanged files is updated in case it is outdated, e.g. since PLUGIN_HEADERS was changed
+    // Every check is a request to the target, so a few of them are sent at the same time
+    let failedMetadataChecks = 0;
+    await runWithConcurrency(unchangedFilesToCheck, METADATA_CHECK_CONCURRENCY, async ({ relativePath, sourceFile, targetFile }) => {
+        const outdated = await hasOutdatedMetadata(targetFs, targetFile);
+        if (outdated) {
+            logger.trace(`Will update metadata: ${targetFile}`);
+            const phase = isAsset(sourceFile) ? plan.stepUploadAssets : plan.stepUploadLogic;
+            phase.push(new PlanStep('update_metadata', null, targetFile, sourceFs, targetFs, { reason: 'metadata' }));
+        } else {
+            failedMetadataChecks += outdated === null ? 1 : 0;
+            skipUnchanged(relativePath);
+        }
+    });
+    // Keep the settings of the last run, so the files that could not be checked are checked again on the next run
+    if (failedMetadataChecks > 0) {
+        plan.manifest.metadataHash = previousManifest ? previousManifest.metadataHash : null;
+    }
+
     for (const targetFile of targetFiles) {
         const relativePath = getRelativePath(targetFile, targetBasePath);
+
+        if (isManagedByPushTo(relativePath)) {
+            continue;
+        }
+
+        // Clean up temporary files left over by aborted atomic uploads, no matter the skip patterns
+        if (isTemporaryPath(relativePath)) {
+            if (isAtomicUploadEnabled() && uploadedTargetFiles.has(getOriginalPath(targetFile))) {
+                // Will be overwritten and renamed by the upload
+                logger.trace(`Leftover temporary file will be replaced by upload: ${targetFile}`);
+                continue;
+            }
+            logger.warn(`Will remove leftover temporary file: ${targetFile}`);
+            plan.stepRemoveOldLogic.push(new PlanStep('delete_file', null, targetFile, sourceFs, targetFs, {
+                reason: 'temporary',
+                size: getFileSize(targetFs, targetFile),
+            }));
+            continue;
+        }
         
+        // Files that are part of the source were recorded as skipped above already
+        const isOrphaned = !existingSourceFiles.has(joinPath(sourceBasePath, relativePath));
+
         // Skip file deletion if it matches DONT_DELETE_TARGET_FILES pattern
         if (checkForSkipFileDelete(relativePath)) {
             logger.info(`Skipping file deletion due to DONT_DELETE_TARGET_FILES: ${relativePath}`);
+            if (isOrphaned) {
+                skip(relativePath, 'dont_delete');
+            }
             continue;
         }
         if (checkForSkipFileReplace(relativePath)) {
             logger.info(`Skipping file replacement due to DONT_OVERRIDE_TARGET_FILES: ${relativePath}`);
+            if (isOrphaned) {
+                skip(relativePath, 'dont_override');
+            }
             continue;
         }
+
+        const deleteDetails = {
+            reason: 'orphaned',
+            size: getFileSize(targetFs, targetFile),
+        };
         
         // Step 4: Remove old logic files (files that exist in target but not in source)
         if (isLogicFile(targetFile)) {
@@ -218,7 +407,7 @@ export const createPlan = async (sourceFs, targetFs) => {
 
             if (!sourceFiles.includes(sourceFile)) {
                 logger.trace(`Will remove old logic file: ${targetFile}`);
-                plan.stepRemoveOldLogic.push(new PlanStep('delete_file', null, targetFile, sourceFs, targetFs));
+                plan.stepRemoveOldLogic.push(new PlanStep('delete_file', null, targetFile, sourceFs, targetFs, deleteDetails));
             }
         }
         
@@ -228,7 +417,7 @@ export const createPlan = async (sourceFs, targetFs) => {
 
             if (!sourceFiles.includes(sourceFile)) {
                 logger.trace(`Will remove old asset: ${targetFile}`);
-                plan.stepRemoveOldAssets.push(new PlanStep('delete_file', null, targetFile, sourceFs, targetFs));
+                plan.stepRemoveOldAssets.push(new PlanStep('delete_file', null, targetFile, sourceFs, targetFs, deleteDetails));
             }
         }
     }
@@ -241,11 +430,14 @@ export const createPlan = async (sourceFs, targetFs) => {
         }
 
         const relativeDir = getRelativePath(targetDir, targetBasePath);
+        if (isManagedByPushTo(relativeDir)) {
+            continue;
+        }
         const sourceDir = joinPath(sourceBasePath, relativeDir);
 
         if (!sourceDirectories.has(sourceDir)) {
             logger.trace(`Will delete old directory: ${targetDir}`);
-            plan.stepDeleteOldDirectories.push(new PlanStep('delete_directory', null, targetDir, sourceFs, targetFs));
+            plan.stepDeleteOldDirectories.push(new PlanStep('delete_directory', null, targetDir, sourceFs, targetFs, { reason: 'orphaned' }));
         }
     }
 
@@ -254,7 +446,8 @@ export const createPlan = async (sourceFs, targetFs) => {
         `${plan.stepUploadLogic.length} logic files to upload, ` +
         `${plan.stepRemoveOldLogic.length} old logic files to remove, ` +
         `${plan.stepRemoveOldAssets.length} old assets to remove, ` +
-        `${plan.stepDeleteOldDirectories.length} old directories to delete`);
+        `${plan.stepDeleteOldDirectories.length} old directories to delete, ` +
+        `${unchangedFiles} unchanged files skipped`);
 
     return plan;
 };
\ No newline at end of file
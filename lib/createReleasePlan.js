@@ -0,0 +1,275 @@
+import { createLogger } from './logger.js';
+const logger = createLogger('createReleasePlan');
+
+import { Plan, PlanStep } from './Plan.js';
+import { getFileSize, isAsset } from './createPlan.js';
+import { getDirectoryPath, getDirectories, getRelativePath, joinPath } from './paths.js';
+import { formatTimestamp } from './timestamp.js';
+
+/**
+ * Directory within the target base path holding all releases
+ */
+export const RELEASES_DIRECTORY = 'releases';
+
+/**
+ * Directory within the target base path holding the shared paths
+ */
+export const SHARED_DIRECTORY = 'shared';
+
+/**
+ * Symlink within the target base path pointing to the active release
+ */
+export const CURRENT_LINK = 'current';
+
+/**
+ * Check if release mode is enabled
+ * @returns {boolean}
+ */
+export const isReleaseModeEnabled = () => {
+    return process.env.PLUGIN_RELEASE_MODE === 'true';
+};
+
+/**
+ * Get the name of the new release
+ * Defaults to a timestamp, followed by the commit when running in drone
+ * @returns {string}
+ */
+const getReleaseName = () => {
+    const name = process.env.PLUGIN_RELEASE_NAME;
+    if (name) {
+        if (name.includes('/') || name === '.' || name === '..') {
+            throw new Error(`Invalid PLUGIN_RELEASE_NAME: ${name}`);
+        }
+        return name;
+    }
+
+    const timestamp = formatTimestamp();
+    const commit = process.env.DRONE_COMMIT_SHA;
+    return commit ? `${timestamp}-${commit.substring(0, 8)}` : timestamp;
+};
+
+/**
+ * Get the number of releases to keep, including the new one
+ * @returns {number}
+ */
+const getKeepReleases = () => {
+    const value = process.env.PLUGIN_KEEP_RELEASES;
+    if (value === undefined || value.trim() === '') {
+        return 5;
+    }
+    const keep = parseInt(value, 10);
+    if (isNaN(keep) || keep < 1 || String(keep) !== value.trim()) {
+        throw new Error(`Invalid PLUGIN_KEEP_RELEASES: ${value}`);
+    }
+    return keep;
+};
+
+/**
+ * Get the paths that are shared between all releases
+ * @returns {string[]} - Relative paths without leading or trailing slashes
+ */
+const getSharedPaths = () => {
+    if (!process.env.PLUGIN_SHARED_PATHS) {
+        return [];
+    }
+    const sharedPaths = process.env.PLUGIN_SHARED_PATHS.split(',')
+        .map(path => path.trim().replace(/^\/+/, '').replace(/\/+$/, ''))
+        .filter(path => path);
+    for (const sharedPath of sharedPaths) {
+        if (sharedPath.split('/').some(segment => segment === '..' || segment === '.')) {
+            throw new Error(`Invalid path in PLUGIN_SHARED_PATHS: ${sharedPath}`);
+        }
+    }
+    return sharedPaths;
+};
+
+/**
+ * Check if a relative path is a shared path or within one
+ * @param {string} relativePath
+ * @param {string[]} sharedPaths
+ * @returns {boolean}
+ */
+const isSharedPath = (relativePath, sharedPaths) => {
+    return sharedPaths.some(sharedPath => relativePath === sharedPath || relativePath.startsWith(sharedPath + '/'));
+};
+
+/**
+ * Get the target of the symlink of a shared path within a release, relative to the directory of the symlink
+ * e.g. "../../../shared/storage/logs" for "storage/logs" (linked at "releases/<name>/storage/logs")
+ * @param {string} sharedPath
+ * @returns {string}
+ */
+const getSharedLinkTarget = (sharedPath) => {
+    const depth = sharedPath.split('/').length + 1;
+    return '../'.repeat(depth) + `${SHARED_DIRECTORY}/${sharedPath}`;
+};
+
+/**
+ * Get the name of the release the current symlink points to
+ * @param {FileSystem} targetFs
+ * @param {string} targetBasePath
+ * @returns {Promise<string|null>} - null in case there is no current release
+ */
+const getCurrentRelease = async (targetFs, targetBasePath) => {
+    if (typeof targetFs.readLink !== 'function') {
+        return null;
+    }
+    const target = await targetFs.readLink(joinPath(targetBasePath, CURRENT_LINK));
+    if (!target) {
+        return null;
+    }
+    const segments = target.replace(/\/+$/, '').split('/');
+    return segments.length >= 2 && segments[segments.length - 2] === RELEASES_DIRECTORY ? segments[segments.length - 1] : null;
+};
+
+/**
+ * Sort releases from the oldest to the newest by the latest modification of their files
+ * Release names can be anything (e.g. commits), so they are only used to order releases without modification times
+ * @param {Map<string, number>} releaseTimes - Release name -> latest modification time in ms
+ * @returns {string[]}
+ */
+const sortReleases = (releaseTimes) => {
+    return [...releaseTimes.keys()].sort((a, b) => (releaseTimes.get(a) - releaseTimes.get(b)) || (a < b ? -1 : a > b ? 1 : 0));
+};
+
+/**
+ * Create a plan that uploads the source into a new release directory and switches the current symlink to it
+ * The target will look like
+ *   releases/<name>/...   one directory per release
+ *   shared/...            paths shared between releases (e.g. .env), symlinked into every release
+ *   current               symlink to the active release
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {Plan}
+ */
+export const createReleasePlan = async (sourceFs, targetFs) => {
+    if (typeof targetFs.symlink !== 'function') {
+        throw new Error('Release mode is only supported for local and SFTP targets');
+    }
+
+    const releaseName = getReleaseName();
+    const keepReleases = getKeepReleases();
+    const sharedPaths = getSharedPaths();
+
+    // Scan the directories to get the files
+    logger.debug('Scanning directories to get the files');
+    await Promise.all([
+        sourceFs.scanDirectory(),
+        targetFs.scanDirectory(),
+    ]);
+
+    const [sourceFiles, targetFiles] = await Promise.all([
+        sourceFs.getFiles(),
+        targetFs.getFiles(),
+    ]);
+
+    logger.debug(`Found ${sourceFiles.length} source files and ${targetFiles.length} target files`);
+
+    const sourceBasePath = sourceFs.path || sourceFs.directory || '';
+    const targetBasePath = targetFs.path || targetFs.directory || '';
+    const releasesPath = joinPath(targetBasePath, RELEASES_DIRECTORY);
+    const releasePath = joinPath(releasesPath, releaseName);
+
+    logger.info(`Creating release ${releaseName}`);
+
+    // Find the existing releases by the files within them
+    const existingReleases = new Map();
+    for (const targetFile of targetFiles) {
+        const segments = getRelativePath(targetFile, targetBasePath).split('/');
+        if (segments.length > 2 && segments[0] === RELEASES_DIRECTORY) {
+            const info = targetFs.getFileInfo(targetFile);
+            const mtime = info && info.mtime ? info.mtime : 0;
+            existingReleases.set(segments[1], Math.max(existingReleases.get(segments[1]) || 0, mtime));
+        }
+    }
+    if (existingReleases.has(releaseName)) {
+        throw new Error(`Release ${releaseName} already exists`);
+    }
+
+    const plan = new Plan();
+
+    // Step 1: Create the release directory with all its sub directories
+    const directories = new Set([releasePath]);
+    for (const dir of getDirectories(sourceFiles)) {
+        const relativeDir = getRelativePath(dir, sourceBasePath);
+        if (!relativeDir || relativeDir === '.' || isSharedPath(relativeDir, sharedPaths)) {
+            continue;
+        }
+        directories.add(joinPath(releasePath, relativeDir));
+    }
+    for (const sharedPath of sharedPaths) {
+        const parentDir = getDirectoryPath(sharedPath);
+        if (parentDir) {
+            directories.add(joinPath(releasePath, parentDir));
+        }
+    }
+    for (const dir of directories) {
+        logger.trace(`Will create directory: ${dir}`);
+        plan.stepCreateMissingDirectories.push(new PlanStep('create_directory', null, dir, sourceFs, targetFs, { reason: 'new' }));
+    }
+
+    // Step 2 + 3: Upload all files into the release
+    for (const sourceFile of sourceFiles) {
+        const relativePath = getRelativePath(sourceFile, sourceBasePath);
+
+        if (isSharedPath(relativePath, sharedPaths)) {
+            logger.info(`Skipping shared file: ${relativePath}`);
+            plan.skipped.push({ path: relativePath, reason: 'shared' });
+            continue;
+        }
+
+        const targetFile = joinPath(releasePath, relativePath);
+        const step = new PlanStep('copy', sourceFile, targetFile, sourceFs, targetFs, {
+            reason: 'new',
+            size: getFileSize(sourceFs, sourceFile),
+        });
+        if (isAsset(sourceFile)) {
+            logger.trace(`Will upload asset: ${sourceFile} -> ${targetFile}`);
+            plan.stepUploadAssets.push(step);
+        } else {
+            logger.trace(`Will upload logic file: ${sourceFile} -> ${targetFile}`);
+            plan.stepUploadLogic.push(step);
+        }
+    }
+
+    // Link the shared paths into the release
+    for (const sharedPath of sharedPaths) {
+        const sharedTarget = joinPath(joinPath(targetBasePath, SHARED_DIRECTORY), sharedPath);
+        if (!targetFiles.some(file => file === sharedTarget || file.startsWith(sharedTarget + '/'))) {
+            logger.warn(`Shared path does not exist on the target: ${sharedTarget}`);
+        }
+        const linkPath = joinPath(releasePath, sharedPath);
+        logger.trace(`Will link shared path: ${linkPath}`);
+        plan.stepUploadLogic.push(new PlanStep('symlink', getSharedLinkTarget(sharedPath), linkPath, sourceFs, targetFs, { reason: 'shared' }));
+    }
+
+    // Switch the current symlink to the new release
+    plan.stepActivateRelease.push(new PlanStep(
+        'symlink',
+        `${RELEASES_DIRECTORY}/${releaseName}`,
+        joinPath(targetBasePath, CURRENT_LINK),
+        sourceFs,
+        targetFs,
+        { reason: 'activate' }
+    ));
+
+    // Step 6: Delete the oldest releases, the new release counts as one of the kept releases
+    // The release current points to is kept in any case, so a rollback to it is never deleted
+    const currentRelease = await getCurrentRelease(targetFs, targetBasePath);
+    const previousReleases = sortReleases(existingReleases);
+    const obsoleteReleases = previousReleases
+        .slice(0, Math.max(0, previousReleases.length - (keepReleases - 1)))
+        .filter(release => release !== currentRelease);
+    for (const obsoleteRelease of obsoleteReleases) {
+        const obsoletePath = joinPath(releasesPath, obsoleteRelease);
+        logger.trace(`Will delete old release: ${obsoletePath}`);
+        plan.stepDeleteOldDirectories.push(new PlanStep('delete_directory', null, obsoletePath, sourceFs, targetFs, { reason: 'obsolete_release' }));
+    }
+
+    logger.info(`Release plan created with ${plan.stepCreateMissingDirectories.length} directories to create, ` +
+        `${plan.stepUploadAssets.length} assets to upload, ` +
+        `${plan.stepUploadLogic.length} logic files and shared paths to upload or link, ` +
+        `${obsoleteReleases.length} old releases to delete`);
+
+    return plan;
+};
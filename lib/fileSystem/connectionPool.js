@@ -0,0 +1,253 @@
+/**
+ * Error codes telling that the connection of a client broke
+ * (numbers are FTP reply 421 and the SFTP status codes "no connection" and "connection lost")
+ */
+const CONNECTION_ERROR_CODES = [
+    'ECONNRESET', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'ENOTCONN', 'ERR_NOT_CONNECTED',
+    421, 6, 7,
+];
+
+/**
+ * Streams that were handed to an operation already
+ * Once a part of a stream may have been transferred, its operation can't be replayed on a new connection
+ */
+const startedStreams = new WeakSet();
+
+/**
+ * Create the error of a transfer that broke while streaming
+ * It is retryable, so the whole step can be repeated with new streams
+ * @param {string} message
+ * @returns {Error}
+ */
+const createAbortedTransferError = (message) => {
+    const error = new Error(message);
+    error.code = 'ECONNABORTED';
+    return error;
+};
+
+/**
+ * Get the number of connections a file system should open
+ * @param {Object} config - Configuration object of the file system
+ * @param {string} [config.CONNECTIONS] - Number of connections (default: 1)
+ * @returns {number}
+ */
+export const getPoolSize = (config) => {
+    if (config.CONNECTIONS === undefined || config.CONNECTIONS.trim() === '') {
+        return 1;
+    }
+    const size = parseInt(config.CONNECTIONS, 10);
+    if (isNaN(size) || size < 1 || String(size) !== config.CONNECTIONS.trim()) {
+        throw new Error(`Invalid CONNECTIONS: ${config.CONNECTIONS}`);
+    }
+    return size;
+};
+
+/**
+ * Pool of authenticated clients of a remote file system
+ * Operations are spread across the clients round robin.
+ * Clients whose connection was closed are re-established transparently, and an operation
+ * that failed because its connection broke is replayed once on the new connection.
+ * Operations streaming from or into a stream are not replayed, as the stream was partly consumed already.
+ */
+export class ConnectionPool {
+    logger;
+    size;
+    createClient;
+    destroyClient;
+    isClientAlive;
+    clients;
+    nextIndex;
+    closing;
+    reconnecting;
+    deaths;
+
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {number} options.size - Number of clients to open
+     * @param {function(): Promise<*>} options.createClient - Opens and authenticates a new client
+     * @param {function(*): Promise<void>} options.destroyClient - Closes a client
+     * @param {function(*): boolean} options.isAlive - Checks if the connection of a client is still usable
+     * @param {pino.Logger} options.logger
+     */
+    constructor({ size, createClient, destroyClient, isAlive, logger }) {
+        this.size = size;
+        this.createClient = createClient;
+        this.destroyClient = destroyClient;
+        this.isClientAlive = isAlive;
+        this.logger = logger;
+        this.clients = [];
+        this.nextIndex = 0;
+        this.closing = false;
+        this.reconnecting = new Map();
+        this.deaths = new Map();
+    }
+
+    /**
+     * Open all clients
+     * @returns {Promise<void>}
+     */
+    async open() {
+        this.logger.debug(`Opening ${this.size} connection(s)`);
+        this.closing = false;
+        const results = await Promise.allSettled(
+            Array.from({ length: this.size }, () => this._openClient())
+        );
+        this.clients = results
+            .filter(result => result.status === 'fulfilled')
+            .map(result => result.value);
+
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) {
+            // Do not leave the clients that could connect open
+            await this.close();
+            throw failed.reason;
+        }
+    }
+
+    /**
+     * Run an operation with the next client of the pool
+     * @param {function(*): Promise<*>} operation - Called with the client
+     * @param {Object} [options]
+     * @param {Array<Stream>} [options.streams] - Streams the operation transfers from or into
+     * @returns {Promise<*>} - Result of the operation
+     */
+    async use(operation, { streams = [] } = {}) {
+        if (this.clients.length === 0) {
+            throw new Error('Not connected');
+        }
+        if (streams.some(stream => startedStreams.has(stream))) {
+            throw createAbortedTransferError('The stream was transferred already, the transfer can not be repeated');
+        }
+        const index = this.nextIndex;
+        this.nextIndex = (this.nextIndex + 1) % this.clients.length;
+
+        let client = this.clients[index];
+        if (!this.isAlive(client)) {
+            this.logger.warn('Connection was closed, reconnecting');
+            client = await this._reconnect(index, client);
+        }
+
+        for (const stream of streams) {
+            startedStreams.add(stream);
+        }
+        try {
+            return await this._run(client, operation);
+        } catch (err) {
+            if (this.closing || (this.isAlive(client) && !CONNECTION_ERROR_CODES.includes(err.code))) {
+                throw err;
+            }
+            if (streams.length > 0) {
+                // The connection is re-established by the next operation
+                this.logger.warn(`Connection broke (${err.message}) during a transfer, it can not be replayed`);
+                throw createAbortedTransferError(`Connection broke during the transfer: ${err.message}`);
+            }
+            this.logger.warn(`Connection broke (${err.message}), reconnecting and replaying the operation`);
+            client = await this._reconnect(index, client);
+            return await this._run(client, operation);
+        }
+    }
+
+    /**
+     * Check if the connection of a client is still usable
+     * @param {*} client
+     * @returns {boolean}
+     */
+    isAlive(client) {
+        return this.deaths.has(client) && this.isClientAlive(client);
+    }
+
+    /**
+     * Mark the connection of a client as closed, e.g. from its close event
+     * Operations still waiting for this client will fail, as many clients never call them back
+     * @param {*} client
+     * @param {Error} reason
+     */
+    markDead(client, reason) {
+        const death = this.deaths.get(client);
+        if (!death) {
+            return;
+        }
+        this.deaths.delete(client);
+        if (!reason.code) {
+            reason.code = 'ECONNRESET';
+        }
+        death.reject(reason);
+    }
+
+    /**
+     * Close all clients
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closing = true;
+        const clients = this.clients;
+        this.clients = [];
+        this.nextIndex = 0;
+        await Promise.all(clients.map(async (client) => {
+            this.deaths.delete(client);
+            await this.destroyClient(client);
+        }));
+    }
+
+    /**
+     * Open a new client and track when its connection dies
+     * @returns {Promise<*>}
+     */
+    async _openClient() {
+        const client = await this.createClient();
+        const death = {};
+        death.promise = new Promise((_resolve, reject) => {
+            death.reject = reject;
+        });
+        // Only awaited while an operation is running
+        death.promise.catch(() => {});
+        this.deaths.set(client, death);
+        return client;
+    }
+
+    /**
+     * Run an operation, failing as soon as the connection of the client dies
+     * @param {*} client
+     * @param {function(*): Promise<*>} operation
+     * @returns {Promise<*>}
+     */
+    async _run(client, operation) {
+        const death = this.deaths.get(client);
+        if (!death) {
+            const err = new Error('Connection closed');
+            err.code = 'ECONNRESET';
+            throw err;
+        }
+        return await Promise.race([operation(client), death.promise]);
+    }
+
+    /**
+     * Replace a dead client, sharing the reconnect between operations that noticed it at the same time
+     * @param {number} index - Index of the client in the pool
+     * @param {*} deadClient
+     * @returns {Promise<*>} - The new client
+     */
+    async _reconnect(index, deadClient) {
+        if (this.clients[index] !== deadClient && !this.reconnecting.has(index)) {
+            // Already replaced by another operation
+            return this.clients[index];
+        }
+        if (!this.reconnecting.has(index)) {
+            const reconnect = (async () => {
+                this.deaths.delete(deadClient);
+                try {
+                    await this.destroyClient(deadClient);
+                } catch (err) {
+                    this.logger.trace(`Error closing broken connection: ${err.message}`);
+                }
+                const client = await this._openClient();
+                this.clients[index] = client;
+                this.logger.info('Reconnected');
+                return client;
+            })().finally(() => this.reconnecting.delete(index));
+            this.reconnecting.set(index, reconnect);
+        }
+        return this.reconnecting.get(index);
+    }
+}
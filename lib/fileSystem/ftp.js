@@ -2,19 +2,55 @@ import Client from 'ftp';
 import { URL } from 'url';
 
 import { createLogger } from '../logger.js';
+import { ConnectionPool, getPoolSize } from './connectionPool.js';
+import { ActiveDataSocket } from './ftpActiveMode.js';
+import { getFtpOptions } from './ftpOptions.js';
+import { createDiscardStream, createUploadStream, onStreamError } from './streams.js';
+
+/**
+ * FTP replies to RNTO of servers refusing to rename onto an existing file
+ */
+const RENAME_EXISTS_CODES = [550, 553];
+
+/**
+ * Private members of the ftp package's client that are patched for the parameters and features it lacks
+ * The package is unmaintained, but in case they change the parameters fail instead of being ignored
+ */
+export const PATCHED_INTERNALS = {
+    'PASV_HOST_OVERRIDE': ['_pasvConnect'],
+    'PASSIVE=false': ['_pasv', '_send', '_socket'],
+    'KEEPALIVE=0': ['_keepalive'],
+    'Aborting uploads': ['_pasv'],
+};
+
+/**
+ * Make sure the client still has the private members that are patched for a parameter
+ * @param {Client} client
+ * @param {string} parameter - Key of PATCHED_INTERNALS
+ */
+const requireInternals = (client, parameter) => {
+    const missing = PATCHED_INTERNALS[parameter].filter(name => !(name in client));
+    if (missing.length > 0) {
+        throw new Error(`${parameter} is not supported by this version of the ftp package, it lacks ${missing.join(', ')}`);
+    }
+};
 
 /**
  * Class to handle FTP file system operations
  */
 export class FtpFileSystem {
     logger;
-    client;
+    pool;
     config;
     url;
     host;
     port;
     directory;
     files;
+    fileInfo;
+    options;
+    dataSockets;
+    abortedClients;
 
     /**
      * Constructor
@@ -22,6 +58,11 @@ export class FtpFileSystem {
      * @param {Object} config - Configuration object
      * @param {string} config.USERNAME - FTP username
      * @param {string} config.PASSWORD - FTP password
+     * @param {string} [config.CONNECTIONS] - Number of connections to open (default: 1)
+     * @param {string} [config.PASSIVE] - Use passive mode, false for active mode (default: true)
+     * @param {string} [config.CONNECT_TIMEOUT] - Timeout for opening connections in milliseconds (default: 10000)
+     * @param {string} [config.PASV_HOST_OVERRIDE] - Host to open data connections to, instead of the address announced by PASV
+     * @param {string} [config.KEEPALIVE] - Interval of the NOOPs sent while idle in milliseconds, 0 to disable (default: 10000)
      * @param {boolean} [config.IGNORE_SSL_TRUST] - Ignore SSL certificate trust (not applicable for FTP)
      */
     constructor(url, config = {}) {
@@ -29,6 +70,10 @@ export class FtpFileSystem {
         this.url = url;
         this.config = config;
         this.files = [];
+        this.fileInfo = new Map();
+        this.options = getFtpOptions(config);
+        this.dataSockets = new WeakMap();
+        this.abortedClients = new WeakSet();
         
         // Parse the URL
         const parsedUrl = new URL(url);
@@ -44,42 +89,178 @@ export class FtpFileSystem {
      * @returns {Promise<void>}
      */
     async connect() {
+        this.pool = new ConnectionPool({
+            size: getPoolSize(this.config),
+            createClient: () => this._createClient(),
+            destroyClient: async (client) => client.end(),
+            isAlive: (client) => client.connected,
+            logger: this.logger,
+        });
+        await this.pool.open();
+    }
+
+    /**
+     * Open and authenticate a new client
+     * @returns {Promise<Client>}
+     */
+    async _createClient() {
+        // Closed clients are reported to the pool they belong to, even after disconnecting
+        const pool = this.pool;
         return new Promise((resolve, reject) => {
-            this.client = new Client();
+            const client = new Client();
+            let ready = false;
+
+            try {
+                this._patchClient(client);
+            } catch (err) {
+                reject(err);
+                return;
+            }
 
             this.logger.trace('Connecting to FTP server '+  this.config.USERNAME + '@' + this.host + ':' + this.port + this.directory);
+
+            // connTimeout only covers the TCP connection, servers that never greet or answer the login would hang forever
+            const timer = setTimeout(() => {
+                const err = new Error('Timeout while connecting to server');
+                err.code = 'ETIMEDOUT';
+                this.logger.error('FTP connection error: '+ err.message);
+                client.destroy();
+                reject(err);
+            }, this.options.connectTimeout);
             
-            this.client.on('ready', () => {
+            client.on('ready', () => {
                 this.logger.debug('FTP connection established');
-                resolve();
+                clearTimeout(timer);
+                ready = true;
+                resolve(client);
             });
             
-            this.client.on('error', (err) => {
+            client.on('error', (err) => {
+                if (ready) {
+                    // The pool will reconnect on the next operation
+                    this.logger.warn('FTP connection error: '+ err.message);
+                    pool.markDead(client, err);
+                    return;
+                }
                 this.logger.error('FTP connection error: '+ err.message);
+                clearTimeout(timer);
                 reject(err);
             });
+
+            client.on('close', () => {
+                if (ready) {
+                    pool.markDead(client, new Error('FTP connection closed'));
+                }
+            });
             
-            this.client.connect({
+            client.connect({
                 host: this.host,
                 port: this.port,
                 user: this.config.USERNAME,
-                password: this.config.PASSWORD
+                password: this.config.PASSWORD,
+                connTimeout: this.options.connectTimeout,
+                pasvTimeout: this.options.connectTimeout,
+                // Send NOOPs while idle, so the server does not close the session during long local reads
+                keepalive: this.options.keepalive
             });
         });
     }
 
+    /**
+     * Add the parameters the ftp package lacks to a new client
+     * @param {Client} client
+     */
+    _patchClient(client) {
+        if (this.options.pasvHostOverride) {
+            requireInternals(client, 'PASV_HOST_OVERRIDE');
+            // NATed servers often announce their private address
+            const pasvConnect = client._pasvConnect;
+            client._pasvConnect = (_ip, port, callback) => pasvConnect.call(client, this.options.pasvHostOverride, port, callback);
+        }
+
+        if (!this.options.passive) {
+            requireInternals(client, 'PASSIVE=false');
+            // The ftp package only knows passive mode, _pasv hands the data socket to every transfer before it starts
+            client._pasv = (callback) => {
+                ActiveDataSocket.listen({
+                    host: client._socket.localAddress,
+                    acceptTimeout: this.options.connectTimeout,
+                }).then((dataSocket) => {
+                    client._send(dataSocket.portCommand, (err) => {
+                        if (err) {
+                            dataSocket.destroy();
+                            callback(err);
+                            return;
+                        }
+                        callback(undefined, dataSocket);
+                    });
+                }, callback);
+            };
+        }
+
+        // Keep the data socket of the running transfer, to be able to abort it
+        requireInternals(client, 'Aborting uploads');
+        const pasv = client._pasv;
+        client._pasv = (callback) => pasv.call(client, (err, dataSocket) => {
+            if (dataSocket && this.abortedClients.has(client)) {
+                dataSocket.destroy();
+                return;
+            }
+            if (dataSocket) {
+                this.dataSockets.set(client, dataSocket);
+            }
+            callback(err, dataSocket);
+        });
+
+        if (!this.options.keepalive) {
+            requireInternals(client, 'KEEPALIVE=0');
+            // The ftp package can't disable the NOOPs, it schedules the next one after every reply
+            Object.defineProperty(client, '_keepalive', {
+                get: () => undefined,
+                set: (timer) => clearTimeout(timer),
+            });
+        }
+    }
+
+    /**
+     * Abort the transfer running on a client and close its connection, the pool opens a new one for the next operation
+     * The ftp package has no way to abort transfers, and waits for the rest of an upload whose input failed forever
+     * @param {Client} client
+     */
+    _abortTransfer(client) {
+        this.abortedClients.add(client);
+        const dataSocket = this.dataSockets.get(client);
+        if (dataSocket) {
+            dataSocket.destroy();
+        }
+        client.destroy();
+    }
+
     /**
      * Disconnect from FTP server
      * @returns {Promise<void>}
      */
     async disconnect() {
-        return new Promise((resolve) => {
-            if (this.client) {
-                this.client.end();
-                this.client = null;
-            }
-            resolve();
-        });
+        if (this.pool) {
+            await this.pool.close();
+            this.pool = null;
+        }
+    }
+
+    /**
+     * Get the directory the FTP user starts in after logging in, which usually is the home directory
+     * @returns {Promise<string>}
+     */
+    async getHomeDirectory() {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.pwd((err, directory) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(directory);
+                }
+            });
+        }));
     }
 
     /**
@@ -109,6 +290,7 @@ export class FtpFileSystem {
     async scanDirectory() {
         this.logger.debug(`Scanning FTP directory ${this.directory}`);
         this.files = [];
+        this.fileInfo = new Map();
         
         await this._scanDirectoryRecursive(this.directory);
     }
@@ -119,8 +301,8 @@ export class FtpFileSystem {
      * @returns {Promise<void>}
      */
     async _scanDirectoryRecursive(dir) {
-        return new Promise((resolve, reject) => {
-            this.client.list(dir, (err, list) => {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.list(dir, (err, list) => {
                 if (err) {
                     this.logger.error(`Error listing directory ${dir}: ${err.message}`);
                     reject(err);
@@ -140,6 +322,10 @@ export class FtpFileSystem {
                         // File
                         this.logger.trace(`Found file ${fullPath}`);
                         this.files.push(fullPath);
+                        this.fileInfo.set(fullPath, {
+                            size: item.size,
+                            mtime: item.date ? item.date.getTime() : undefined,
+                        });
                     }
                 }
                 
@@ -150,7 +336,7 @@ export class FtpFileSystem {
                     resolve();
                 }
             });
-        });
+        }));
     }
 
     /**
@@ -161,6 +347,15 @@ export class FtpFileSystem {
         return this.files;
     }
 
+    /**
+     * Get size and modification time of a file found while scanning
+     * @param {string} path
+     * @returns {{size: number, mtime: number}|undefined} - mtime in milliseconds since epoch
+     */
+    getFileInfo(path) {
+        return this.fileInfo.get(path);
+    }
+
     /**
      * Writes a file
      * @param {string} path
@@ -174,8 +369,8 @@ export class FtpFileSystem {
             return;
         }
         
-        return new Promise((resolve, reject) => {
-            this.client.put(content, path, (err) => {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.put(content, path, (err) => {
                 if (err) {
                     this.logger.error(`Error writing file ${path}: ${err.message}`);
                     reject(err);
@@ -184,7 +379,7 @@ export class FtpFileSystem {
                     resolve();
                 }
             });
-        });
+        }));
     }
 
     /**
@@ -195,8 +390,8 @@ export class FtpFileSystem {
     async readFile(path) {
         this.logger.debug(`Reading file ${path}`);
         
-        return new Promise((resolve, reject) => {
-            this.client.get(path, (err, stream) => {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.get(path, (err, stream) => {
                 if (err) {
                     this.logger.error(`Error reading file ${path}: ${err.message}`);
                     reject(err);
@@ -219,7 +414,62 @@ export class FtpFileSystem {
                     reject(err);
                 });
             });
-        });
+        }));
+    }
+
+    /**
+     * Creates a stream to read a file
+     * @param {string} path
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(path) {
+        this.logger.debug(`Reading file ${path} as stream`);
+        
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.get(path, (err, stream) => {
+                if (err) {
+                    this.logger.error(`Error reading file ${path}: ${err.message}`);
+                    reject(err);
+                    return;
+                }
+                resolve(stream);
+            });
+        }));
+    }
+
+    /**
+     * Creates a stream to write a file
+     * The stream finishes once the upload was completed
+     * @param {string} path
+     * @returns {Promise<Writable>}
+     */
+    async createWriteStream(path) {
+        this.logger.debug(`Writing file ${path} as stream`);
+        
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return createDiscardStream();
+        }
+        
+        return createUploadStream((input) => this.pool.use((client) => new Promise((resolve, reject) => {
+            onStreamError(input, (err) => {
+                this._abortTransfer(client);
+                reject(err);
+            });
+            if (input.errored) {
+                return;
+            }
+            client.put(input, path, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    this.logger.debug(`Successfully wrote file ${path}`);
+                    resolve();
+                }
+            });
+        }), { streams: [input] }).catch((err) => {
+            this.logger.error(`Error writing file ${path}: ${err.message}`);
+            throw err;
+        }));
     }
 
     /**
@@ -234,8 +484,8 @@ export class FtpFileSystem {
             return;
         }
         
-        return new Promise((resolve, reject) => {
-            this.client.delete(path, (err) => {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.delete(path, (err) => {
                 if (err) {
                     this.logger.warn(`Error deleting file ${path}: ${err.message}`);
                     resolve();
@@ -244,7 +494,64 @@ export class FtpFileSystem {
                     resolve();
                 }
             });
-        });
+        }));
+    }
+
+    /**
+     * Check if a file exists (SIZE, falling back to LIST on servers without SIZE)
+     * @param {string} path
+     * @returns {Promise<boolean>}
+     */
+    async _fileExists(path) {
+        return this.pool.use((client) => new Promise((resolve) => {
+            client.size(path, (err) => resolve(!err));
+        }));
+    }
+
+    /**
+     * Renames a file (RNFR/RNTO), replacing the target in case it exists
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async rename(from, to) {
+        this.logger.debug(`Renaming file ${from} to ${to}`);
+        
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+        
+        const rename = () => this.pool.use((client) => new Promise((resolve, reject) => {
+            client.rename(from, to, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        }));
+        
+        try {
+            await rename();
+        } catch (err) {
+            // Some servers refuse to rename onto an existing file. Anything else (e.g. a missing source or a
+            // transient error) must not cost the existing file, so only replace it when that is the reason.
+            // The ftp package reports RNFR and RNTO failures alike, so the files are checked to tell them apart.
+            const refused = RENAME_EXISTS_CODES.includes(err.code) && await this._fileExists(from) && await this._fileExists(to);
+            if (!refused) {
+                this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Renaming file ${from} onto existing ${to} was refused (${err.message}), deleting ${to} first`);
+            await this.deleteFile(to);
+            try {
+                await rename();
+            } catch (retryErr) {
+                this.logger.error(`Error renaming file ${from} to ${to}: ${retryErr.message}`);
+                throw retryErr;
+            }
+        }
+        this.logger.debug(`Successfully renamed file ${from} to ${to}`);
     }
 
     /**
@@ -259,8 +566,8 @@ export class FtpFileSystem {
             return;
         }
         
-        return new Promise((resolve, reject) => {
-            this.client.mkdir(path, true, (err) => {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.mkdir(path, true, (err) => {
                 if (err) {
                     this.logger.error(`Error creating directory ${path}: ${err.message}`);
                     reject(err);
@@ -269,7 +576,7 @@ export class FtpFileSystem {
                     resolve();
                 }
             });
-        });
+        }));
     }
 
     /**
@@ -284,8 +591,8 @@ export class FtpFileSystem {
             return;
         }
         
-        return new Promise((resolve, reject) => {
-            this.client.rmdir(path, true, (err) => {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            client.rmdir(path, true, (err) => {
                 if (err) {
                     this.logger.warn(`Error deleting directory ${path}: ${err.message}`);
                     resolve();
@@ -294,6 +601,6 @@ export class FtpFileSystem {
                     resolve();
                 }
             });
-        });
+        }));
     }
 }
@@ -0,0 +1,169 @@
+import net from 'net';
+import { Duplex } from 'stream';
+
+/**
+ * Data connection of a transfer in active mode (PORT/EPRT)
+ * Both FTP clients expect the data socket before they send the transfer command, while in active mode the server
+ * connects only after receiving it. This stream stands in for the socket, buffering writes until the server connected.
+ */
+export class ActiveDataSocket extends Duplex {
+    server;
+    socket;
+    address;
+    port;
+    secure;
+    acceptTimer;
+    idleTimeout;
+    accepted;
+    onAccepted;
+
+    /**
+     * Listen for the data connection of the next transfer
+     * @param {Object} options
+     * @param {string} options.host - Local address of the control connection, the server connects to it
+     * @param {number} options.acceptTimeout - Time the server has to connect in milliseconds, 0 to wait forever
+     * @param {function(net.Socket): net.Socket} [options.secure] - Wraps the accepted socket, e.g. in TLS
+     * @returns {Promise<ActiveDataSocket>}
+     */
+    static async listen({ host, acceptTimeout, secure }) {
+        const dataSocket = new ActiveDataSocket(secure);
+        await dataSocket._listen(host.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, ''), acceptTimeout);
+        return dataSocket;
+    }
+
+    /**
+     * Constructor, use listen() instead
+     * @param {function(net.Socket): net.Socket} [secure]
+     */
+    constructor(secure = (socket) => socket) {
+        // Ends along with the connection, as the server closes it after each transfer
+        super({ allowHalfOpen: false });
+        this.socket = null;
+        this.secure = secure;
+        this.idleTimeout = 0;
+        this.accepted = new Promise((resolve) => {
+            this.onAccepted = resolve;
+        });
+    }
+
+    /**
+     * Start the server accepting the data connection
+     * @param {string} host
+     * @param {number} acceptTimeout
+     * @returns {Promise<void>}
+     */
+    _listen(host, acceptTimeout) {
+        this.server = net.createServer({ pauseOnConnect: true }, (socket) => this._accept(socket));
+        // Neither the server nor the timer keep the process alive in case the transfer never starts
+        this.server.unref();
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, host, () => {
+                this.server.removeListener('error', reject);
+                this.server.on('error', (err) => this.destroy(err));
+                ({ address: this.address, port: this.port } = this.server.address());
+                if (acceptTimeout > 0) {
+                    this.acceptTimer = setTimeout(() => {
+                        this.destroy(new Error(`Timeout while waiting for the server to open the data connection to ${this.address}:${this.port} (active mode)`));
+                    }, acceptTimeout);
+                    this.acceptTimer.unref();
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Take the data connection the server opened
+     * @param {net.Socket} rawSocket
+     */
+    _accept(rawSocket) {
+        clearTimeout(this.acceptTimer);
+        this.server.close();
+
+        const socket = this.secure(rawSocket);
+        socket.on('data', (chunk) => {
+            if (!this.push(chunk)) {
+                socket.pause();
+            }
+        });
+        socket.on('end', () => this.push(null));
+        socket.on('error', (err) => this.destroy(err));
+        socket.on('timeout', () => this.emit('timeout'));
+        socket.setTimeout(this.idleTimeout);
+        rawSocket.resume();
+
+        this.socket = socket;
+        this.onAccepted(socket);
+    }
+
+    /**
+     * Command telling the server where to connect to: PORT for IPv4, EPRT for IPv6
+     * @returns {string}
+     */
+    get portCommand() {
+        if (net.isIPv4(this.address)) {
+            return `PORT ${this.address.split('.').join(',')},${this.port >> 8},${this.port & 255}`;
+        }
+        return `EPRT |2|${this.address}|${this.port}|`;
+    }
+
+    /**
+     * Set the idle timeout of the connection, like net.Socket#setTimeout()
+     * @param {number} timeout - in milliseconds, 0 to disable
+     * @returns {ActiveDataSocket}
+     */
+    setTimeout(timeout) {
+        this.idleTimeout = timeout;
+        if (this.socket) {
+            this.socket.setTimeout(timeout);
+        }
+        return this;
+    }
+
+    // Properties of net.Socket the FTP clients read for logging and progress reports
+
+    get bytesRead() {
+        return this.socket ? this.socket.bytesRead : 0;
+    }
+
+    get bytesWritten() {
+        return this.socket ? this.socket.bytesWritten : 0;
+    }
+
+    get remoteAddress() {
+        return this.socket ? this.socket.remoteAddress : undefined;
+    }
+
+    get remotePort() {
+        return this.socket ? this.socket.remotePort : undefined;
+    }
+
+    // Implementation of the Duplex stream, writing waits for the server to connect
+
+    _read() {
+        if (this.socket) {
+            this.socket.resume();
+        }
+    }
+
+    _write(chunk, encoding, callback) {
+        this.accepted.then((socket) => socket.write(chunk, encoding, callback));
+    }
+
+    _final(callback) {
+        this.accepted.then((socket) => socket.end(callback));
+    }
+
+    _destroy(err, callback) {
+        clearTimeout(this.acceptTimer);
+        if (this.server && this.server.listening) {
+            this.server.close();
+        }
+        if (this.socket) {
+            this.socket.destroy();
+        }
+        callback(err);
+    }
+}
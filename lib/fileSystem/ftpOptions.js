@@ -0,0 +1,70 @@
+/**
+ * Get a number of milliseconds from a parameter, failing for invalid values
+ * @param {Object} config - Configuration object of the file system
+ * @param {string} name - Name of the parameter
+ * @param {number} defaultValue
+ * @param {number} [minimum]
+ * @returns {number}
+ */
+export const parseMilliseconds = (config, name, defaultValue, minimum = 1) => {
+    const value = config[name];
+    if (value === undefined || value.trim() === '') {
+        return defaultValue;
+    }
+    const number = parseInt(value, 10);
+    if (isNaN(number) || number < minimum || String(number) !== value.trim()) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return number;
+};
+
+/**
+ * Get the passive mode setting
+ * @param {Object} config - Configuration object of the file system
+ * @returns {boolean} - false for active mode, in which the server connects back for data connections
+ */
+const parsePassive = (config) => {
+    const value = (config.PASSIVE || 'true').trim().toLowerCase();
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    throw new Error(`Invalid PASSIVE: ${config.PASSIVE}`);
+};
+
+/**
+ * Get the host to open data connections to instead of the address announced by PASV
+ * @param {Object} config - Configuration object of the file system
+ * @returns {string|null} - null to use the announced address
+ */
+const parsePasvHostOverride = (config) => {
+    const value = (config.PASV_HOST_OVERRIDE || '').trim();
+    if (!value) {
+        return null;
+    }
+    if (!/^[a-z0-9.-]+$/i.test(value)) {
+        throw new Error(`Invalid PASV_HOST_OVERRIDE: ${config.PASV_HOST_OVERRIDE}`);
+    }
+    return value;
+};
+
+/**
+ * Get the connection options shared by FTP and FTPS, failing for invalid values
+ * @param {Object} config - Configuration object of the file system
+ * @param {string} [config.PASSIVE] - Use passive mode, false for active mode (default: true)
+ * @param {string} [config.CONNECT_TIMEOUT] - Timeout for opening connections in milliseconds (default: 10000)
+ * @param {string} [config.PASV_HOST_OVERRIDE] - Host to open data connections to, instead of the address announced by PASV
+ * @param {string} [config.KEEPALIVE] - Interval of the NOOPs sent while a connection is idle in milliseconds, 0 to disable (default: 10000)
+ * @returns {{passive: boolean, connectTimeout: number, pasvHostOverride: string|null, keepalive: number}}
+ */
+export const getFtpOptions = (config) => {
+    const options = {
+        passive: parsePassive(config),
+        connectTimeout: parseMilliseconds(config, 'CONNECT_TIMEOUT', 10000),
+        pasvHostOverride: parsePasvHostOverride(config),
+        keepalive: parseMilliseconds(config, 'KEEPALIVE', 10000, 0),
+    };
+    if (!options.passive && options.pasvHostOverride) {
+        throw new Error('PASV_HOST_OVERRIDE only applies to passive mode, it can\'t be used with PASSIVE=false');
+    }
+    return options;
+};
@@ -1,20 +1,184 @@
-import Client from 'ftp';
+import { Client } from 'basic-ftp';
+import net from 'net';
+import { PassThrough, Readable } from 'stream';
+import tls from 'tls';
 import { URL } from 'url';
 
 import { createLogger } from '../logger.js';
+import { ConnectionPool, getPoolSize } from './connectionPool.js';
+import { ActiveDataSocket } from './ftpActiveMode.js';
+import { getFtpOptions } from './ftpOptions.js';
+import { readPem } from './pem.js';
+import { createDiscardStream, createUploadStream, onStreamError } from './streams.js';
+
+/**
+ * Default ports per FTPS mode
+ */
+const DEFAULT_PORTS = {
+    explicit: 21,
+    implicit: 990,
+};
+
+/**
+ * FTP replies to RNTO of servers refusing to rename onto an existing file
+ */
+const RENAME_EXISTS_CODES = [550, 553];
+
+/**
+ * Month names as used in LIST output
+ */
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Get the FTPS mode
+ * Without FTPS_MODE, URLs on port 21 keep using AUTH TLS and all others implicit TLS, as ftps:// URLs without port used port 990
+ * @param {Object} config - Configuration object of the file system
+ * @param {string} [config.FTPS_MODE] - "implicit" or "explicit" (AUTH TLS)
+ * @param {number|null} [urlPort] - Port of the URL, if any
+ * @returns {'explicit'|'implicit'}
+ */
+export const getFtpsMode = (config, urlPort = null) => {
+    const mode = (config.FTPS_MODE || (urlPort === DEFAULT_PORTS.explicit ? 'explicit' : 'implicit')).trim().toLowerCase();
+    if (!DEFAULT_PORTS[mode]) {
+        throw new Error(`Invalid FTPS_MODE: ${config.FTPS_MODE}`);
+    }
+    return mode;
+};
+
+/**
+ * Open the data connection of a transfer, the way basic-ftp does it for the address announced by the server
+ * On TLS sessions the data connection is encrypted as well, reusing the session of the control connection
+ * @param {FTPContext} ftp - Context of the basic-ftp client
+ * @param {string} host
+ * @param {number} port
+ * @returns {Promise<void>} - Resolves once the socket is set as data socket of the context
+ */
+const connectDataSocket = (ftp, host, port) => new Promise((resolve, reject) => {
+    let socket = new net.Socket();
+    const onError = (err) => {
+        socket.destroy();
+        reject(err);
+    };
+    const onTimeout = () => onError(new Error(`Timeout when trying to open data connection to ${host}:${port}`));
+
+    socket.setTimeout(ftp.timeout);
+    socket.once('error', onError);
+    socket.once('timeout', onTimeout);
+    socket.connect({ port, host, family: ftp.ipFamily }, () => {
+        socket.removeListener('error', onError);
+        socket.removeListener('timeout', onTimeout);
+        if (ftp.socket instanceof tls.TLSSocket) {
+            socket = tls.connect({ ...ftp.tlsOptions, socket, session: ftp.socket.getSession() });
+        }
+        ftp.dataSocket = socket;
+        resolve();
+    });
+});
+
+/**
+ * Create a transfer strategy for basic-ftp that sends PASV, but connects to the given host instead of the announced address
+ * @param {string} host
+ * @returns {function(FTPContext): Promise<Object>} - Resolves with the response to PASV
+ */
+export const overridePasvHost = (host) => async (ftp) => {
+    const response = await ftp.request('PASV');
+    // e.g. "227 Entering Passive Mode (10,0,0,5,195,80)"
+    const match = /\d+,\d+,\d+,\d+,(\d+),(\d+)/.exec(response.message);
+    if (!match) {
+        throw new Error(`Can't parse PASV response: ${response.message}`);
+    }
+    await connectDataSocket(ftp, host, (parseInt(match[1], 10) & 255) * 256 + (parseInt(match[2], 10) & 255));
+    return response;
+};
+
+/**
+ * Transfer strategy for basic-ftp using active mode, in which the server connects back to the client
+ * On TLS sessions the client is the TLS client of the data connection nevertheless, as in passive mode
+ * @param {FTPContext} ftp - Context of the basic-ftp client
+ * @returns {Promise<Object>} - Resolves with the response to PORT/EPRT
+ */
+export const enterActiveMode = async (ftp) => {
+    const controlSocket = ftp.socket;
+    const dataSocket = await ActiveDataSocket.listen({
+        host: controlSocket.localAddress,
+        acceptTimeout: ftp.timeout,
+        secure: controlSocket instanceof tls.TLSSocket
+            ? (socket) => tls.connect({ ...ftp.tlsOptions, socket, session: controlSocket.getSession() })
+            : undefined,
+    });
+    let response;
+    try {
+        response = await ftp.request(dataSocket.portCommand);
+    } catch (err) {
+        dataSocket.destroy();
+        throw err;
+    }
+    ftp.dataSocket = dataSocket;
+    return response;
+};
+
+/**
+ * Parse the modification time of a LIST entry, as servers without MLSD only send it unparsed
+ * Supports the unix format ("Jan 5 12:30", "Jan 5 2023") and the DOS format ("01-05-23 12:30PM")
+ * @param {string} raw - Modification time as listed, interpreted in local time
+ * @param {Date} [now] - Current time, recent unix entries are listed without year
+ * @returns {number|undefined} - Milliseconds since epoch, undefined in case the format is unknown
+ */
+export const parseListDate = (raw, now = new Date()) => {
+    const unix = /^([A-Za-z]{3})\s+(\d{1,2})\s+(?:(\d{1,2}):(\d{2})|(\d{4}))$/.exec(raw || '');
+    if (unix) {
+        const month = MONTHS.indexOf(unix[1].toLowerCase());
+        if (month === -1) {
+            return undefined;
+        }
+        const day = parseInt(unix[2], 10);
+        if (unix[5]) {
+            return new Date(parseInt(unix[5], 10), month, day).getTime();
+        }
+        const date = new Date(now.getFullYear(), month, day, parseInt(unix[3], 10), parseInt(unix[4], 10));
+        // Entries without year are within the last 6 months; allow for the time zone offset of the server
+        if (date.getTime() - now.getTime() > 28 * 60 * 60 * 1000) {
+            date.setFullYear(date.getFullYear() - 1);
+        }
+        return date.getTime();
+    }
+
+    const dos = /^(\d{2})[-/](\d{2})[-/](\d{2}|\d{4})\s+(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/.exec(raw || '');
+    if (dos) {
+        let year = parseInt(dos[3], 10);
+        if (dos[3].length === 2) {
+            year += year < 70 ? 2000 : 1900;
+        }
+        let hour = parseInt(dos[4], 10);
+        const ampm = (dos[6] || '').toLowerCase();
+        if (ampm === 'pm' && hour < 12) {
+            hour += 12;
+        } else if (ampm === 'am' && hour === 12) {
+            hour = 0;
+        }
+        return new Date(year, parseInt(dos[1], 10) - 1, parseInt(dos[2], 10), hour, parseInt(dos[5], 10)).getTime();
+    }
+
+    return undefined;
+};
 
 /**
  * Class to handle FTPS (FTP over SSL/TLS) file system operations
  */
 export class FtpsFileSystem {
     logger;
-    client;
+    pool;
     config;
     url;
+    mode;
     host;
     port;
     directory;
     files;
+    fileInfo;
+    connectionConfig;
+    clientStates;
+    options;
 
     /**
      * Constructor
@@ -22,6 +186,15 @@ export class FtpsFileSystem {
      * @param {Object} config - Configuration object
      * @param {string} config.USERNAME - FTPS username
      * @param {string} config.PASSWORD - FTPS password
+     * @param {string} [config.CONNECTIONS] - Number of connections to open (default: 1)
+     * @param {string} [config.FTPS_MODE] - "implicit" (default port 990) or "explicit" (AUTH TLS, default port 21), default: explicit for URLs on port 21, implicit otherwise
+     * @param {string} [config.CA_CERT] - CA certificate(s) the server certificate is verified against, inline or as path
+     * @param {string} [config.CLIENT_CERT] - Client certificate, inline or as path
+     * @param {string} [config.CLIENT_KEY] - Private key of the client certificate, inline or as path
+     * @param {string} [config.PASSIVE] - Use passive mode, false for active mode (default: true)
+     * @param {string} [config.CONNECT_TIMEOUT] - Timeout for opening connections and for replies in milliseconds (default: 10000)
+     * @param {string} [config.PASV_HOST_OVERRIDE] - Host to open data connections to, instead of the address announced by PASV
+     * @param {string} [config.KEEPALIVE] - Interval of the NOOPs sent while idle in milliseconds, 0 to disable (default: 10000)
      * @param {boolean} [config.IGNORE_SSL_TRUST] - Ignore SSL certificate trust
      */
     constructor(url, config = {}) {
@@ -29,14 +202,56 @@ export class FtpsFileSystem {
         this.url = url;
         this.config = config;
         this.files = [];
-        
+        this.fileInfo = new Map();
+        this.clientStates = new Map();
+        this.options = getFtpOptions(config);
+
         // Parse the URL
         const parsedUrl = new URL(url);
+        const urlPort = parsedUrl.port ? parseInt(parsedUrl.port) : null;
+        this.mode = getFtpsMode(config, urlPort);
         this.host = parsedUrl.hostname;
-        this.port = parsedUrl.port ? parseInt(parsedUrl.port) : 990;
+        this.port = urlPort || DEFAULT_PORTS[this.mode];
         this.directory = parsedUrl.pathname || '/';
-        
-        this.logger.debug(`Initialized FTPS client for ${this.host}:${this.port}${this.directory}`);
+
+        this.logger.debug(`Initialized FTPS client (${this.mode}) for ${this.host}:${this.port}${this.directory}`);
+    }
+
+    /**
+     * Build the options of basic-ftp's access()
+     * @returns {Promise<Object>}
+     */
+    async buildConnectionConfig() {
+        const secureOptions = {
+            // Verify the certificates of the data connections against the host name, too
+            host: this.host,
+        };
+
+        if (this.config.CA_CERT) {
+            secureOptions.ca = await readPem(this.config.CA_CERT, 'CA certificate');
+        }
+        if (this.config.CLIENT_CERT || this.config.CLIENT_KEY) {
+            if (!this.config.CLIENT_CERT || !this.config.CLIENT_KEY) {
+                throw new Error('CLIENT_CERT and CLIENT_KEY have to be set together');
+            }
+            secureOptions.cert = await readPem(this.config.CLIENT_CERT, 'client certificate');
+            secureOptions.key = await readPem(this.config.CLIENT_KEY, 'client key');
+        }
+
+        // Add SSL trust configuration if specified
+        if (this.config.IGNORE_SSL_TRUST) {
+            secureOptions.rejectUnauthorized = false;
+        }
+
+        return {
+            host: this.host,
+            port: this.port,
+            user: this.config.USERNAME,
+            password: this.config.PASSWORD,
+            // Data connections reuse the TLS session of the control connection, as most servers require it
+            secure: this.mode === 'implicit' ? 'implicit' : true,
+            secureOptions,
+        };
     }
 
     /**
@@ -44,39 +259,112 @@ export class FtpsFileSystem {
      * @returns {Promise<void>}
      */
     async connect() {
-        return new Promise((resolve, reject) => {
-            this.client = new Client();
-            
-            this.logger.trace('Connecting to FTPS server '+  this.config.USERNAME + '@' + this.host + ':' + this.port + this.directory);
-            
-            this.client.on('ready', () => {
-                this.logger.debug('FTPS connection established');
-                resolve();
-            });
-            
-            this.client.on('error', (err) => {
-                this.logger.error('FTPS connection error: '+ err.message);
-                reject(err);
-            });
-            
-            const connectionConfig = {
-                host: this.host,
-                port: this.port,
-                user: this.config.USERNAME,
-                password: this.config.PASSWORD,
-                secure: true, // Enable SSL/TLS
-                secureOptions: {}
-            };
-            
-            // Add SSL trust configuration if specified
-            if (this.config.IGNORE_SSL_TRUST) {
-                connectionConfig.secureOptions = {
-                    rejectUnauthorized: false
-                };
-            }
-            
-            this.client.connect(connectionConfig);
+        this.connectionConfig = await this.buildConnectionConfig();
+        this.pool = new ConnectionPool({
+            size: getPoolSize(this.config),
+            createClient: () => this._createClient(),
+            destroyClient: async (client) => this._destroyClient(client),
+            isAlive: (client) => !client.closed,
+            logger: this.logger,
+        });
+        await this.pool.open();
+    }
+
+    /**
+     * Open and authenticate a new client
+     * @returns {Promise<Client>}
+     */
+    async _createClient() {
+        // Closed clients are reported to the pool they belong to, even after disconnecting
+        const pool = this.pool;
+        // basic-ftp applies the timeout to connecting as well as to every reply and transfer
+        const client = new Client(this.options.connectTimeout);
+
+        if (!this.options.passive) {
+            client.prepareTransfer = enterActiveMode;
+        } else if (this.options.pasvHostOverride) {
+            // NATed servers often announce their private address
+            client.prepareTransfer = overridePasvHost(this.options.pasvHostOverride);
+        }
+
+        this.logger.trace('Connecting to FTPS server '+  this.config.USERNAME + '@' + this.host + ':' + this.port + this.directory);
+
+        try {
+            // TLS options are kept per client for its data connections
+            await client.access({ ...this.connectionConfig, secureOptions: { ...this.connectionConfig.secureOptions } });
+        } catch (err) {
+            this.logger.error('FTPS connection error: '+ err.message);
+            client.close();
+            throw err;
+        }
+        this.logger.debug('FTPS connection established');
+
+        const state = { queue: Promise.resolve(), pending: 0, keepalive: null };
+        this.clientStates.set(client, state);
+
+        // Send NOOPs while idle, so the server does not close the session during long local reads
+        if (this.options.keepalive) {
+            state.keepalive = setInterval(() => {
+                if (state.pending === 0) {
+                    this._enqueue(client, (idleClient) => idleClient.send('NOOP')).catch((err) => {
+                        this.logger.trace(`FTPS keepalive failed: ${err.message}`);
+                    });
+                }
+            }, this.options.keepalive);
+            state.keepalive.unref();
+        }
+
+        client.ftp.socket.once('close', () => {
+            // The pool will reconnect on the next operation
+            clearInterval(state.keepalive);
+            pool.markDead(client, new Error('FTPS connection closed'));
+        });
+
+        return client;
+    }
+
+    /**
+     * Close a client
+     * @param {Client} client
+     * @returns {Promise<void>}
+     */
+    async _destroyClient(client) {
+        const state = this.clientStates.get(client);
+        if (state) {
+            clearInterval(state.keepalive);
+            this.clientStates.delete(client);
+        }
+        client.close();
+    }
+
+    /**
+     * Run an operation on a client once its previous operations finished
+     * basic-ftp only runs one command per connection at a time, while the pool shares its clients
+     * @param {Client} client
+     * @param {function(Client): Promise<*>} operation
+     * @returns {Promise<*>}
+     */
+    _enqueue(client, operation) {
+        const state = this.clientStates.get(client);
+        if (!state) {
+            return operation(client);
+        }
+        state.pending++;
+        const result = state.queue.then(() => operation(client)).finally(() => {
+            state.pending--;
         });
+        state.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Run an operation with the next client of the pool
+     * @param {function(Client): Promise<*>} operation
+     * @param {Object} [options] - Options of the pool, e.g. the streams consumed by the operation
+     * @returns {Promise<*>}
+     */
+    _use(operation, options) {
+        return this.pool.use((client) => this._enqueue(client, operation), options);
     }
 
     /**
@@ -84,13 +372,18 @@ export class FtpsFileSystem {
      * @returns {Promise<void>}
      */
     async disconnect() {
-        return new Promise((resolve) => {
-            if (this.client) {
-                this.client.end();
-                this.client = null;
-            }
-            resolve();
-        });
+        if (this.pool) {
+            await this.pool.close();
+            this.pool = null;
+        }
+    }
+
+    /**
+     * Get the directory the FTP user starts in after logging in, which usually is the home directory
+     * @returns {Promise<string>}
+     */
+    async getHomeDirectory() {
+        return this._use((client) => client.pwd());
     }
 
     /**
@@ -102,14 +395,14 @@ export class FtpsFileSystem {
         if (!this.directory) {
             return absolutePath;
         }
-        
+
         // Ensure base path ends with /
         const normalizedBase = this.directory.endsWith('/') ? this.directory : this.directory + '/';
-        
+
         if (absolutePath.startsWith(normalizedBase)) {
             return absolutePath.substring(normalizedBase.length);
         }
-        
+
         return absolutePath;
     }
 
@@ -120,7 +413,8 @@ export class FtpsFileSystem {
     async scanDirectory() {
         this.logger.debug(`Scanning FTPS directory ${this.directory}`);
         this.files = [];
-        
+        this.fileInfo = new Map();
+
         await this._scanDirectoryRecursive(this.directory);
     }
 
@@ -130,38 +424,39 @@ export class FtpsFileSystem {
      * @returns {Promise<void>}
      */
     async _scanDirectoryRecursive(dir) {
-        return new Promise((resolve, reject) => {
-            this.client.list(dir, (err, list) => {
-                if (err) {
-                    this.logger.error(`Error listing directory ${dir}: ${err.message}`);
-                    reject(err);
-                    return;
-                }
-                
-                const promises = [];
-                
-                for (const item of list) {
-                    const fullPath = `${dir}/${item.name}`.replace(/\/+/g, '/');
-                    
-                    if (item.type === 'd') {
-                        // Directory
-                        this.logger.trace(`Found directory ${fullPath}`);
-                        promises.push(this._scanDirectoryRecursive(fullPath));
-                    } else {
-                        // File
-                        this.logger.trace(`Found file ${fullPath}`);
-                        this.files.push(fullPath);
-                    }
-                }
-                
-                if (promises.length > 0) {
-                    this.logger.trace(`Waiting for ${promises.length} found sub directories`);
-                    Promise.all(promises).then(resolve).catch(reject);
-                } else {
-                    resolve();
-                }
-            });
-        });
+        let list;
+        try {
+            list = await this._use((client) => client.list(dir));
+        } catch (err) {
+            this.logger.error(`Error listing directory ${dir}: ${err.message}`);
+            throw err;
+        }
+
+        const promises = [];
+
+        for (const item of list) {
+            const fullPath = `${dir}/${item.name}`.replace(/\/+/g, '/');
+
+            if (item.isDirectory) {
+                // Directory
+                this.logger.trace(`Found directory ${fullPath}`);
+                promises.push(this._scanDirectoryRecursive(fullPath));
+            } else {
+                // File
+                this.logger.trace(`Found file ${fullPath}`);
+                this.files.push(fullPath);
+                this.fileInfo.set(fullPath, {
+                    size: item.size,
+                    // Only MLSD listings come with a parsed modification time
+                    mtime: item.modifiedAt ? item.modifiedAt.getTime() : parseListDate(item.rawModifiedAt),
+                });
+            }
+        }
+
+        if (promises.length > 0) {
+            this.logger.trace(`Waiting for ${promises.length} found sub directories`);
+            await Promise.all(promises);
+        }
     }
 
     /**
@@ -172,6 +467,15 @@ export class FtpsFileSystem {
         return this.files;
     }
 
+    /**
+     * Get size and modification time of a file found while scanning
+     * @param {string} path
+     * @returns {{size: number, mtime: number}|undefined} - mtime in milliseconds since epoch
+     */
+    getFileInfo(path) {
+        return this.fileInfo.get(path);
+    }
+
     /**
      * Writes a file
      * @param {string} path
@@ -180,22 +484,18 @@ export class FtpsFileSystem {
      */
     async writeFile(path, content) {
         this.logger.debug(`Writing file ${path}`);
-        
+
         if (process.env.PLUGIN_DRY_RUN === "true") {
             return;
         }
-        
-        return new Promise((resolve, reject) => {
-            this.client.put(content, path, (err) => {
-                if (err) {
-                    this.logger.error(`Error writing file ${path}: ${err.message}`);
-                    reject(err);
-                } else {
-                    this.logger.debug(`Successfully wrote file ${path}`);
-                    resolve();
-                }
-            });
-        });
+
+        try {
+            await this._use((client) => client.uploadFrom(Readable.from([content]), path));
+        } catch (err) {
+            this.logger.error(`Error writing file ${path}: ${err.message}`);
+            throw err;
+        }
+        this.logger.debug(`Successfully wrote file ${path}`);
     }
 
     /**
@@ -205,31 +505,71 @@ export class FtpsFileSystem {
      */
     async readFile(path) {
         this.logger.debug(`Reading file ${path}`);
-        
-        return new Promise((resolve, reject) => {
-            this.client.get(path, (err, stream) => {
-                if (err) {
-                    this.logger.error(`Error reading file ${path}: ${err.message}`);
-                    reject(err);
-                    return;
-                }
-                
+
+        let content;
+        try {
+            // Collected per attempt, so a replayed download does not append to the broken one
+            content = await this._use(async (client) => {
                 const chunks = [];
-                stream.on('data', (chunk) => {
+                const output = new PassThrough();
+                output.on('data', (chunk) => {
                     chunks.push(chunk);
                 });
-                
-                stream.on('end', () => {
-                    const buffer = Buffer.concat(chunks);
-                    this.logger.debug(`Successfully read file ${path}`);
-                    resolve(buffer);
-                });
-                
-                stream.on('error', (err) => {
-                    this.logger.error(`Stream error reading file ${path}: ${err.message}`);
-                    reject(err);
-                });
+                await client.downloadTo(output, path);
+                return Buffer.concat(chunks);
             });
+        } catch (err) {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            throw err;
+        }
+
+        this.logger.debug(`Successfully read file ${path}`);
+        return content;
+    }
+
+    /**
+     * Creates a stream to read a file
+     * Errors of the download are emitted by the stream
+     * @param {string} path
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(path) {
+        this.logger.debug(`Reading file ${path} as stream`);
+
+        const stream = new PassThrough();
+        this._use((client) => client.downloadTo(stream, path), { streams: [stream] }).catch((err) => {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            stream.destroy(err);
+        });
+        return stream;
+    }
+
+    /**
+     * Creates a stream to write a file
+     * The stream finishes once the upload was completed
+     * @param {string} path
+     * @returns {Promise<Writable>}
+     */
+    async createWriteStream(path) {
+        this.logger.debug(`Writing file ${path} as stream`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return createDiscardStream();
+        }
+
+        return createUploadStream(async (input) => {
+            try {
+                await this._use((client) => {
+                    // basic-ftp only notices a failing input once the data connection is open, and then leaves
+                    // the server waiting for the rest of the file. The connection is reopened by the next operation.
+                    onStreamError(input, () => client.close());
+                    return client.uploadFrom(input, path);
+                }, { streams: [input] });
+            } catch (err) {
+                this.logger.error(`Error writing file ${path}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Successfully wrote file ${path}`);
         });
     }
 
@@ -240,22 +580,62 @@ export class FtpsFileSystem {
      */
     async deleteFile(path) {
         this.logger.debug(`Deleting file ${path}`);
-        
+
         if (process.env.PLUGIN_DRY_RUN === "true") {
             return;
         }
-        
-        return new Promise((resolve, reject) => {
-            this.client.delete(path, (err) => {
-                if (err) {
-                    this.logger.warn(`Error deleting file ${path}: ${err.message}`);
-                    resolve();
-                } else {
-                    this.logger.debug(`Successfully deleted file ${path}`);
-                    resolve();
-                }
-            });
+
+        try {
+            await this._use((client) => client.remove(path));
+            this.logger.debug(`Successfully deleted file ${path}`);
+        } catch (err) {
+            this.logger.warn(`Error deleting file ${path}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Renames a file (RNFR/RNTO), replacing the target in case it exists
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async rename(from, to) {
+        this.logger.debug(`Renaming file ${from} to ${to}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        // RNFR and RNTO are sent one by one, to know which of them failed
+        const rename = () => this._use(async (client) => {
+            await client.send(`RNFR ${from}`);
+            try {
+                await client.send(`RNTO ${to}`);
+            } catch (err) {
+                err.command = 'RNTO';
+                throw err;
+            }
         });
+
+        try {
+            await rename();
+        } catch (err) {
+            // Some servers refuse to rename onto an existing file. Anything else (e.g. a missing source or a
+            // transient error) must not cost the existing file, so only replace it when that is the reason.
+            if (err.command !== 'RNTO' || !RENAME_EXISTS_CODES.includes(err.code)) {
+                this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Renaming file ${from} onto existing ${to} was refused (${err.message}), deleting ${to} first`);
+            await this.deleteFile(to);
+            try {
+                await rename();
+            } catch (retryErr) {
+                this.logger.error(`Error renaming file ${from} to ${to}: ${retryErr.message}`);
+                throw retryErr;
+            }
+        }
+        this.logger.debug(`Successfully renamed file ${from} to ${to}`);
     }
 
     /**
@@ -265,22 +645,23 @@ export class FtpsFileSystem {
      */
     async createDirectory(path) {
         this.logger.debug(`Creating directory ${path}`);
-        
+
         if (process.env.PLUGIN_DRY_RUN === "true") {
             return;
         }
-        
-        return new Promise((resolve, reject) => {
-            this.client.mkdir(path, true, (err) => {
-                if (err) {
-                    this.logger.error(`Error creating directory ${path}: ${err.message}`);
-                    reject(err);
-                } else {
-                    this.logger.debug(`Successfully created directory ${path}`);
-                    resolve();
-                }
+
+        try {
+            await this._use(async (client) => {
+                // ensureDir enters the directory, go back so the home directory stays the working directory
+                const workingDirectory = await client.pwd();
+                await client.ensureDir(path);
+                await client.cd(workingDirectory);
             });
-        });
+        } catch (err) {
+            this.logger.error(`Error creating directory ${path}: ${err.message}`);
+            throw err;
+        }
+        this.logger.debug(`Successfully created directory ${path}`);
     }
 
     /**
@@ -290,21 +671,16 @@ export class FtpsFileSystem {
      */
     async deleteDirectory(path) {
         this.logger.debug(`Deleting directory ${path}`);
-        
+
         if (process.env.PLUGIN_DRY_RUN === "true") {
             return;
         }
-        
-        return new Promise((resolve, reject) => {
-            this.client.rmdir(path, true, (err) => {
-                if (err) {
-                    this.logger.warn(`Error deleting directory ${path}: ${err.message}`);
-                    resolve();
-                } else {
-                    this.logger.debug(`Successfully deleted directory ${path}`);
-                    resolve();
-                }
-            });
-        });
+
+        try {
+            await this._use((client) => client.removeDir(path));
+            this.logger.debug(`Successfully deleted directory ${path}`);
+        } catch (err) {
+            this.logger.warn(`Error deleting directory ${path}: ${err.message}`);
+        }
     }
 }
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+
+/**
+ * Hash functions of the digest algorithms, by their upper case name
+ */
+const DIGEST_ALGORITHMS = {
+    'MD5': 'md5',
+    'MD5-SESS': 'md5',
+    'SHA-256': 'sha256',
+    'SHA-256-SESS': 'sha256',
+};
+
+/**
+ * Parse the challenges of WWW-Authenticate headers
+ * @param {string[]} values - Values of all WWW-Authenticate headers of a response
+ * @returns {{scheme: string, params: Object<string, string>}[]} - scheme in lower case, e.g. "digest"
+ */
+export const parseChallenges = (values) => {
+    const challenges = [];
+    for (const value of values) {
+        // A header may hold multiple challenges, each being a scheme followed by its name=value parameters
+        const tokenPattern = /[\s,]*([^\s=,]+)(?:\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*)))?/g;
+        let match;
+        while ((match = tokenPattern.exec(value)) !== null) {
+            if (match[2] === undefined && match[3] === undefined) {
+                challenges.push({ scheme: match[1].toLowerCase(), params: {} });
+            } else if (challenges.length > 0) {
+                challenges[challenges.length - 1].params[match[1].toLowerCase()] =
+                    match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+            }
+        }
+    }
+    return challenges;
+};
+
+/**
+ * Create the Authorization header answering a digest challenge (RFC 7616)
+ * @param {Object<string, string>} challenge - Parameters of the challenge
+ * @param {Object} request
+ * @param {string} request.username
+ * @param {string} request.password
+ * @param {string} request.method - e.g. "PROPFIND"
+ * @param {string} request.uri - Path and query of the request
+ * @param {number} request.nc - Number of requests sent with the nonce of the challenge, including this one
+ * @param {string} request.cnonce - Random client nonce
+ * @returns {string}
+ */
+export const createDigestAuthorization = (challenge, { username, password, method, uri, nc, cnonce }) => {
+    const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+    const hash = (value) => crypto.createHash(DIGEST_ALGORITHMS[algorithm]).update(value).digest('hex');
+    const qop = challenge.qop && challenge.qop.split(',').map(value => value.trim()).includes('auth') ? 'auth' : null;
+    const count = nc.toString(16).padStart(8, '0');
+
+    let ha1 = hash(`${username}:${challenge.realm}:${password}`);
+    if (algorithm.endsWith('-SESS')) {
+        ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+    }
+    const ha2 = hash(`${method}:${uri}`);
+    const response = qop
+        ? hash(`${ha1}:${challenge.nonce}:${count}:${cnonce}:${qop}:${ha2}`)
+        : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+    const params = [
+        `username="${username}"`,
+        `realm="${challenge.realm}"`,
+        `nonce="${challenge.nonce}"`,
+        `uri="${uri}"`,
+        `algorithm=${challenge.algorithm || 'MD5'}`,
+        `response="${response}"`,
+    ];
+    if (qop) {
+        params.push(`qop=${qop}`, `nc=${count}`, `cnonce="${cnonce}"`);
+    }
+    if (challenge.opaque !== undefined) {
+        params.push(`opaque="${challenge.opaque}"`);
+    }
+    return `Digest ${params.join(', ')}`;
+};
+
+/**
+ * Authenticates HTTP requests with basic or digest authentication
+ * The scheme is picked from the first challenge of the server, preferring digest as it does not send the password
+ */
+export class HttpAuthenticator {
+    username;
+    password;
+    scheme;
+    digestChallenge;
+    nonceCount;
+    previousReceived;
+
+    /**
+     * Constructor
+     * @param {string} [username] - Without a username, requests are not authenticated
+     * @param {string} [password]
+     */
+    constructor(username, password) {
+        this.username = username;
+        this.password = password || '';
+        this.scheme = null;
+        this.digestChallenge = null;
+        this.nonceCount = 0;
+        this.previousReceived = Promise.resolve();
+    }
+
+    /**
+     * Handle the challenges of a response with status 401
+     * @param {string[]} values - Values of all WWW-Authenticate headers of the response
+     * @returns {boolean} - True if the request can be repeated with credentials
+     */
+    challenge(values) {
+        if (!this.username) {
+            return false;
+        }
+        const challenges = parseChallenges(values);
+        const digest = challenges.find(challenge => challenge.scheme === 'digest' &&
+            DIGEST_ALGORITHMS[(challenge.params.algorithm || 'MD5').toUpperCase()]);
+        if (digest) {
+            this.scheme = 'digest';
+            this.digestChallenge = digest.params;
+            this.nonceCount = 0;
+            return true;
+        }
+        if (challenges.some(challenge => challenge.scheme === 'basic')) {
+            this.scheme = 'basic';
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get the Authorization header of a request
+     * Digest requests count the uses of the nonce, and servers may reject counts arriving out of order as replays
+     * (e.g. Apache with AuthDigestNcCheck On). Parallel requests could overtake each other on their way to the server,
+     * so a digest request only gets its count once the server received the previous one, reported by received().
+     * The other scheme and unauthenticated requests do not wait.
+     * @param {string} method
+     * @param {string} uri - Path and query of the request
+     * @returns {Promise<{authorization: string|undefined, received: function(): void}>} - authorization is undefined
+     *     until the server sent a challenge, received() has to be called once the server answered the request in any way
+     */
+    async authorize(method, uri) {
+        if (this.scheme === 'basic') {
+            const authorization = 'Basic ' + Buffer.from(`${this.username}:${this.password}`).toString('base64');
+            return { authorization, received: () => {} };
+        }
+        if (this.scheme !== 'digest') {
+            return { authorization: undefined, received: () => {} };
+        }
+
+        const previousReceived = this.previousReceived;
+        let received;
+        this.previousReceived = new Promise((resolve) => {
+            received = resolve;
+        });
+        await previousReceived;
+
+        this.nonceCount++;
+        const authorization = createDigestAuthorization(this.digestChallenge, {
+            username: this.username,
+            password: this.password,
+            method,
+            uri,
+            nc: this.nonceCount,
+            cnonce: crypto.randomBytes(8).toString('hex'),
+        });
+        return { authorization, received };
+    }
+}
@@ -1,6 +1,9 @@
 import fs from 'fs/promises';
+import os from 'os';
+import { createReadStream, createWriteStream } from 'fs';
 
 import { createLogger } from '../logger.js';
+import { createDiscardStream } from './streams.js';
 
 /**
  * Class to handle a local file system
@@ -9,6 +12,7 @@ export class LocalFileSystem {
     logger;
 
     files;
+    fileInfo;
 
     /**
      * Constructor
@@ -19,6 +23,8 @@ export class LocalFileSystem {
     constructor(path, _config = {}) {
         this.logger = createLogger('LocalFileSystem');
         this.path = path;
+        this.files = [];
+        this.fileInfo = new Map();
     }
 
     /**
@@ -37,6 +43,14 @@ export class LocalFileSystem {
         this.logger.trace('Local file system - no disconnection needed');
     }
 
+    /**
+     * Get the home directory of the user running push-to
+     * @returns {Promise<string>}
+     */
+    async getHomeDirectory() {
+        return os.homedir();
+    }
+
     /**
      * Get relative path from absolute path based on this file system's base path
      * @param {string} absolutePath - Absolute file path
@@ -74,6 +88,7 @@ export class LocalFileSystem {
                 } else {
                     this.logger.trace(`Found file ${fullPath}`);
                     this.files.push(fullPath);
+                    promises.push(readFileInfo(fullPath));
                 }
             }
             if(promises.length > 0) {
@@ -82,8 +97,17 @@ export class LocalFileSystem {
             }
         };
 
+        const readFileInfo = async (fullPath) => {
+            const stats = await fs.stat(fullPath);
+            this.fileInfo.set(fullPath, {
+                size: stats.size,
+                mtime: stats.mtimeMs,
+            });
+        };
+
         this.logger.debug(`Scanning local directory ${this.path}`);
         this.files = [];
+        this.fileInfo = new Map();
 
         await readDirRecursive(this.path);
     }
@@ -96,6 +120,15 @@ export class LocalFileSystem {
         return this.files;
     }
 
+    /**
+     * Get size and modification time of a file found while scanning
+     * @param {string} path
+     * @returns {{size: number, mtime: number}|undefined} - mtime in milliseconds since epoch
+     */
+    getFileInfo(path) {
+        return this.fileInfo.get(path);
+    }
+
     /**
      * Writes a file
      * @param {string} path
@@ -120,6 +153,29 @@ export class LocalFileSystem {
         return await fs.readFile(path);
     }
 
+    /**
+     * Creates a stream to read a file
+     * @param {string} path
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(path) {
+        this.logger.debug(`Reading file ${path} as stream`);
+        return createReadStream(path);
+    }
+
+    /**
+     * Creates a stream to write a file
+     * @param {string} path
+     * @returns {Promise<Writable>}
+     */
+    async createWriteStream(path) {
+        this.logger.debug(`Writing file ${path} as stream`);
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return createDiscardStream();
+        }
+        return createWriteStream(path);
+    }
+
     /**
      * Deletes a file
      * @param {string} path
@@ -133,6 +189,50 @@ export class LocalFileSystem {
         await fs.unlink(path);
     }
 
+    /**
+     * Renames a file, replacing the target in case it exists
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async rename(from, to) {
+        this.logger.debug(`Renaming file ${from} to ${to}`);
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+        await fs.rename(from, to);
+    }
+
+    /**
+     * Creates a symlink
+     * @param {string} target - Path the symlink points to, relative to the directory of the symlink
+     * @param {string} path - Path of the symlink
+     * @returns {Promise<void>}
+     */
+    async symlink(target, path) {
+        this.logger.debug(`Creating symlink ${path} -> ${target}`);
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+        await fs.symlink(target, path);
+    }
+
+    /**
+     * Reads the target of a symlink
+     * @param {string} path - Path of the symlink
+     * @returns {Promise<string|null>} - null in case the path does not exist or is no symlink
+     */
+    async readLink(path) {
+        try {
+            return await fs.readlink(path);
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'EINVAL') {
+                return null;
+            }
+            throw err;
+        }
+    }
+
     /**
      * Creates a directory
      * @param {string} path
@@ -0,0 +1,31 @@
+import fs from 'fs/promises';
+import os from 'os';
+
+/**
+ * Expand "~/" at the start of a local path to the home directory
+ * @param {string} path
+ * @returns {string}
+ */
+export const expandHomeDirectory = (path) => {
+    return path.startsWith('~/') ? os.homedir() + path.substring(1) : path;
+};
+
+/**
+ * Get a PEM/OpenSSH encoded key or certificate, given either inline or as path of a file
+ * Inline values may have their line breaks escaped as "\n", as CI secrets often are single-line
+ * @param {string} value - Inline value or path, "~/" is expanded to the home directory
+ * @param {string} description - What is read, for error messages (e.g. "private key")
+ * @returns {Promise<Buffer>}
+ */
+export const readPem = async (value, description) => {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('-----BEGIN ')) {
+        return Buffer.from(trimmed.replace(/\\n/g, '\n') + '\n');
+    }
+    const path = expandHomeDirectory(trimmed);
+    try {
+        return await fs.readFile(path);
+    } catch (err) {
+        throw new Error(`Could not read ${description} ${path}: ${err.message}`);
+    }
+};
@@ -0,0 +1,470 @@
+import {
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    PutObjectCommand,
+    S3Client,
+    paginateListObjectsV2,
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import mime from 'mime-types';
+import { URL } from 'url';
+
+import { getOriginalPath, isTemporaryPath } from '../atomicUpload.js';
+import { getHeaderRules, getHeaders } from '../headers.js';
+import { createLogger } from '../logger.js';
+import { hashContent } from '../manifest.js';
+import { createDiscardStream, createUploadStream } from './streams.js';
+
+/**
+ * Get the Content-Type of a file from its extension
+ * Temporary files of atomic uploads get the type of their file, as it is kept when they are renamed
+ * @param {string} path
+ * @returns {string}
+ */
+export const getContentType = (path) => {
+    const filePath = isTemporaryPath(path) ? getOriginalPath(path) : path;
+    return mime.contentType(filePath.substring(filePath.lastIndexOf('/') + 1)) || 'application/octet-stream';
+};
+
+/**
+ * Parameters of S3 requests for the headers of PLUGIN_HEADERS
+ */
+const HEADER_PARAMETERS = {
+    'Cache-Control': 'CacheControl',
+    'Content-Type': 'ContentType',
+    'Content-Disposition': 'ContentDisposition',
+    'Content-Encoding': 'ContentEncoding',
+    'Content-Language': 'ContentLanguage',
+};
+
+/**
+ * Class to handle S3 compatible object storage
+ * Paths are "/<bucket>/<key>"; directories only exist as common prefixes of keys
+ */
+export class S3FileSystem {
+    logger;
+    client;
+    config;
+    url;
+    bucket;
+    prefix;
+    directory;
+    forcePathStyle;
+    headerRules;
+    files;
+    fileInfo;
+
+    /**
+     * Constructor
+     * @param {string} url - S3 URL (e.g., "s3://bucket/prefix")
+     * @param {Object} config - Configuration object
+     * @param {string} [config.ENDPOINT] - Endpoint of S3 compatible services (e.g., "http://localhost:9000" for MinIO)
+     * @param {string} [config.REGION] - Region of the bucket (default: us-east-1)
+     * @param {string} [config.FORCE_PATH_STYLE] - Address the bucket in the path instead of the host name (default: false)
+     * @param {string} [config.ACCESS_KEY_ID] - Access key, the default AWS credentials are used without
+     * @param {string} [config.SECRET_ACCESS_KEY] - Secret of the access key
+     * @param {string} [config.SESSION_TOKEN] - Session token of temporary credentials
+     */
+    constructor(url, config = {}) {
+        this.logger = createLogger('S3FileSystem');
+        this.url = url;
+        this.config = config;
+        this.files = [];
+        this.fileInfo = new Map();
+
+        // Parse the URL
+        const parsedUrl = new URL(url);
+        this.bucket = parsedUrl.hostname;
+        if (!this.bucket) {
+            throw new Error(`Invalid S3 URL, the bucket is missing: ${url}`);
+        }
+        this.prefix = parsedUrl.pathname.replace(/^\/+|\/+$/g, '');
+        this.directory = '/' + this.bucket + (this.prefix ? '/' + this.prefix : '');
+
+        const forcePathStyle = (config.FORCE_PATH_STYLE || 'false').trim().toLowerCase();
+        if (forcePathStyle !== 'true' && forcePathStyle !== 'false') {
+            throw new Error(`Invalid FORCE_PATH_STYLE: ${config.FORCE_PATH_STYLE}`);
+        }
+        this.forcePathStyle = forcePathStyle === 'true';
+
+        if (config.ENDPOINT && !/^https?:\/\/[^/]/i.test(config.ENDPOINT.trim())) {
+            throw new Error(`Invalid ENDPOINT, expected http(s)://host[:port]: ${config.ENDPOINT}`);
+        }
+        if (!!config.ACCESS_KEY_ID !== !!config.SECRET_ACCESS_KEY) {
+            throw new Error('ACCESS_KEY_ID and SECRET_ACCESS_KEY have to be set together');
+        }
+        this.headerRules = getHeaderRules();
+
+        this.logger.debug(`Initialized S3 client for ${this.directory}`);
+    }
+
+    /**
+     * Build the options of the S3 client
+     * @returns {Object}
+     */
+    buildClientConfig() {
+        const clientConfig = {
+            region: this.config.REGION || 'us-east-1',
+            forcePathStyle: this.forcePathStyle,
+        };
+        if (this.config.ENDPOINT) {
+            clientConfig.endpoint = this.config.ENDPOINT;
+            // Many S3 compatible services do not support the checksums the SDK adds by default
+            clientConfig.requestChecksumCalculation = 'WHEN_REQUIRED';
+            clientConfig.responseChecksumValidation = 'WHEN_REQUIRED';
+        }
+        if (this.config.ACCESS_KEY_ID) {
+            clientConfig.credentials = {
+                accessKeyId: this.config.ACCESS_KEY_ID,
+                secretAccessKey: this.config.SECRET_ACCESS_KEY,
+                sessionToken: this.config.SESSION_TOKEN || undefined,
+            };
+        }
+        return clientConfig;
+    }
+
+    /**
+     * Connect to the object storage
+     * The client connects on demand, so this only creates it
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        this.client = new S3Client(this.buildClientConfig());
+    }
+
+    /**
+     * Disconnect from the object storage
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.client) {
+            this.client.destroy();
+            this.client = null;
+        }
+    }
+
+    /**
+     * Get the key of an object from its path
+     * @param {string} path - "/<bucket>/<key>"
+     * @returns {string}
+     */
+    getKey(path) {
+        const bucketPath = '/' + this.bucket + '/';
+        if (!path.startsWith(bucketPath)) {
+            throw new Error(`Path ${path} is not within the bucket ${this.bucket}`);
+        }
+        return path.substring(bucketPath.length);
+    }
+
+    /**
+     * Get the source of a copy request for an object
+     * @param {string} path
+     * @returns {string}
+     */
+    getCopySource(path) {
+        return encodeURIComponent(this.bucket + '/' + this.getKey(path)).replace(/%2F/g, '/');
+    }
+
+    /**
+     * Get the header parameters of an upload, the Content-Type from the extension and the headers of PLUGIN_HEADERS
+     * Temporary files of atomic uploads get the headers of their file, as they are kept when they are renamed
+     * @param {string} path
+     * @returns {Object} - e.g. {ContentType: "text/html; charset=utf-8", CacheControl: "no-cache"}
+     */
+    getHeaderParameters(path) {
+        const filePath = isTemporaryPath(path) ? getOriginalPath(path) : path;
+        const headers = {
+            'Content-Type': getContentType(filePath),
+            ...getHeaders(this.getAsRelativePath(filePath), this.headerRules),
+        };
+
+        const parameters = {};
+        for (const [name, value] of Object.entries(headers)) {
+            parameters[HEADER_PARAMETERS[name]] = value;
+        }
+        return parameters;
+    }
+
+    /**
+     * Get relative path from absolute path based on this file system's base path
+     * @param {string} absolutePath - Absolute file path
+     * @returns {string} - Relative path from base path
+     */
+    getAsRelativePath(absolutePath) {
+        const normalizedBase = this.directory + '/';
+
+        if (absolutePath.startsWith(normalizedBase)) {
+            return absolutePath.substring(normalizedBase.length);
+        }
+
+        return absolutePath;
+    }
+
+    /**
+     * Scan all objects below the prefix
+     * @returns {Promise<void>}
+     */
+    async scanDirectory() {
+        this.logger.debug(`Scanning S3 prefix ${this.directory}`);
+        this.files = [];
+        this.fileInfo = new Map();
+
+        const pages = paginateListObjectsV2({ client: this.client }, {
+            Bucket: this.bucket,
+            Prefix: this.prefix ? this.prefix + '/' : undefined,
+        });
+        for await (const page of pages) {
+            for (const object of page.Contents || []) {
+                // Folder placeholders created by web consoles
+                if (object.Key.endsWith('/')) {
+                    continue;
+                }
+                const fullPath = '/' + this.bucket + '/' + object.Key;
+                this.logger.trace(`Found file ${fullPath}`);
+                this.files.push(fullPath);
+                this.fileInfo.set(fullPath, {
+                    size: object.Size,
+                    mtime: object.LastModified ? object.LastModified.getTime() : undefined,
+                });
+            }
+        }
+    }
+
+    /**
+     * Get the files
+     * @returns {Array<string>}
+     */
+    async getFiles() {
+        return this.files;
+    }
+
+    /**
+     * Get size and modification time of a file found while scanning
+     * @param {string} path
+     * @returns {{size: number, mtime: number}|undefined} - mtime in milliseconds since epoch
+     */
+    getFileInfo(path) {
+        return this.fileInfo.get(path);
+    }
+
+    /**
+     * Writes a file
+     * @param {string} path
+     * @param {Buffer} content
+     * @returns {Promise<void>}
+     */
+    async writeFile(path, content) {
+        this.logger.debug(`Writing file ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.client.send(new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getKey(path),
+                Body: content,
+                ...this.getHeaderParameters(path),
+            }));
+        } catch (err) {
+            this.logger.error(`Error writing file ${path}: ${err.message}`);
+            throw err;
+        }
+        this.logger.debug(`Successfully wrote file ${path}`);
+    }
+
+    /**
+     * Reads a file
+     * @param {string} path
+     * @returns {Promise<Buffer>}
+     */
+    async readFile(path) {
+        this.logger.debug(`Reading file ${path}`);
+
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getKey(path),
+            }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (err) {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates a stream to read a file
+     * @param {string} path
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(path) {
+        this.logger.debug(`Reading file ${path} as stream`);
+
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getKey(path),
+            }));
+            return response.Body;
+        } catch (err) {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates a stream to write a file
+     * Large files are uploaded in parts; the stream finishes once the upload was completed
+     * @param {string} path
+     * @returns {Promise<Writable>}
+     */
+    async createWriteStream(path) {
+        this.logger.debug(`Writing file ${path} as stream`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return createDiscardStream();
+        }
+
+        return createUploadStream(async (input) => {
+            const upload = new Upload({
+                client: this.client,
+                params: {
+                    Bucket: this.bucket,
+                    Key: this.getKey(path),
+                    Body: input,
+                    ...this.getHeaderParameters(path),
+                },
+            });
+            try {
+                await upload.done();
+            } catch (err) {
+                this.logger.error(`Error writing file ${path}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Successfully wrote file ${path}`);
+        });
+    }
+
+    /**
+     * Deletes a file
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async deleteFile(path) {
+        this.logger.debug(`Deleting file ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.client.send(new DeleteObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getKey(path),
+            }));
+            this.logger.debug(`Successfully deleted file ${path}`);
+        } catch (err) {
+            this.logger.warn(`Error deleting file ${path}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Renames a file, replacing the target in case it exists
+     * Objects can't be renamed, so it is copied (keeping its metadata) and the original is deleted
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async rename(from, to) {
+        this.logger.debug(`Renaming file ${from} to ${to}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.client.send(new CopyObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getKey(to),
+                CopySource: this.getCopySource(from),
+            }));
+        } catch (err) {
+            this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+            throw err;
+        }
+        await this.deleteFile(from);
+        this.logger.debug(`Successfully renamed file ${from} to ${to}`);
+    }
+
+    /**
+     * Get a hash of the header rules, stored in the manifest so unchanged files are only checked after the rules changed
+     * @returns {string}
+     */
+    getMetadataHash() {
+        return hashContent(JSON.stringify(this.headerRules));
+    }
+
+    /**
+     * Check if the headers of a file differ from the ones it would get when uploaded now, e.g. after PLUGIN_HEADERS was changed
+     * @param {string} path
+     * @returns {Promise<boolean>}
+     */
+    async hasOutdatedMetadata(path) {
+        const expected = this.getHeaderParameters(path);
+        const response = await this.client.send(new HeadObjectCommand({
+            Bucket: this.bucket,
+            Key: this.getKey(path),
+        }));
+        return Object.values(HEADER_PARAMETERS).some(parameter => (response[parameter] || '') !== (expected[parameter] || ''));
+    }
+
+    /**
+     * Replace the headers of a file by the ones it would get when uploaded now
+     * Objects can't be changed, so it is copied onto itself with the new headers
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async updateMetadata(path) {
+        this.logger.debug(`Updating metadata of file ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.client.send(new CopyObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getKey(path),
+                CopySource: this.getCopySource(path),
+                MetadataDirective: 'REPLACE',
+                ...this.getHeaderParameters(path),
+            }));
+        } catch (err) {
+            this.logger.error(`Error updating metadata of file ${path}: ${err.message}`);
+            throw err;
+        }
+        this.logger.debug(`Successfully updated metadata of file ${path}`);
+    }
+
+    /**
+     * Creates a directory (no-op, directories are prefixes of the keys)
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async createDirectory(path) {
+        this.logger.trace(`S3 has no directories, not creating ${path}`);
+    }
+
+    /**
+     * Deletes a directory (no-op, directories are prefixes of the keys and vanish with their last file)
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async deleteDirectory(path) {
+        this.logger.trace(`S3 has no directories, not deleting ${path}`);
+    }
+}
@@ -2,26 +2,70 @@ import SftpClient from 'ssh2-sftp-client';
 import { URL } from 'url';
 
 import { createLogger } from '../logger.js';
+import { ConnectionPool, getPoolSize } from './connectionPool.js';
+import {
+    answerKeyboardInteractive,
+    closeJumpChain,
+    createConnectionConfig,
+    createJumpHops,
+    getKeepaliveInterval,
+    openJumpChain,
+} from './ssh.js';
+import { createDiscardStream } from './streams.js';
+
+/**
+ * SFTP status code of missing files
+ */
+const SSH_FX_NO_SUCH_FILE = 2;
+
+/**
+ * SFTP status code of plain rename onto an existing file (and other unspecified failures)
+ */
+const SSH_FX_FAILURE = 4;
+
+/**
+ * Error of ssh2 for servers without the posix-rename@openssh.com extension
+ */
+const POSIX_RENAME_UNSUPPORTED = /does not support this extended request/;
 
 /**
  * Class to handle SFTP file system operations
  */
 export class SftpFileSystem {
     logger;
-    client;
+    pool;
     config;
     url;
     host;
     port;
     directory;
     files;
+    fileInfo;
+    connectionConfig;
+    hostKeyVerifier;
+    jumpHops;
+    jumpClients;
 
     /**
      * Constructor
      * @param {string} url - SFTP URL (e.g., "sftp://host[:port]/directory")
      * @param {Object} config - Configuration object
      * @param {string} config.USERNAME - SFTP username
-     * @param {string} config.PASSWORD - SFTP password
+     * @param {string} [config.PASSWORD] - SFTP password, also used to answer keyboard-interactive prompts
+     * @param {string} [config.PRIVATE_KEY] - Private key, either inline or as path of a key file
+     * @param {string} [config.PASSPHRASE] - Passphrase of the private key
+     * @param {string} [config.SSH_AUTH_SOCK] - Path of the socket of a running ssh-agent
+     * @param {string} [config.HOST_FINGERPRINT] - Comma separated SHA256 fingerprints of the host key, as printed by ssh-keygen
+     * @param {string} [config.KNOWN_HOSTS] - Path of a known_hosts file to verify the host key with
+     * @param {string} [config.JUMP_HOST] - Comma separated jump hosts as [user@]host[:port] to connect through
+     * @param {string} [config.JUMP_USERNAME] - Username on the jump hosts (default: USERNAME)
+     * @param {string} [config.JUMP_PASSWORD] - Password on the jump hosts
+     * @param {string} [config.JUMP_PRIVATE_KEY] - Private key for the jump hosts, either inline or as path of a key file
+     * @param {string} [config.JUMP_PASSPHRASE] - Passphrase of the private key for the jump hosts
+     * @param {string} [config.JUMP_SSH_AUTH_SOCK] - ssh-agent socket for the jump hosts (default: SSH_AUTH_SOCK)
+     * @param {string} [config.JUMP_HOST_FINGERPRINT] - Comma separated SHA256 fingerprints of the jump host keys
+     * @param {string} [config.CONNECTIONS] - Number of connections to open (default: 1)
+     * @param {string} [config.KEEPALIVE] - Interval of keepalive messages in milliseconds, 0 to disable (default: 10000)
      * @param {boolean} [config.IGNORE_SSL_TRUST] - Ignore SSL certificate trust
      */
     constructor(url, config = {}) {
@@ -29,12 +73,17 @@ export class SftpFileSystem {
         this.url = url;
         this.config = config;
         this.files = [];
+        this.fileInfo = new Map();
+        this.jumpClients = new Map();
         
         // Parse the URL
         const parsedUrl = new URL(url);
         this.host = parsedUrl.hostname;
         this.port = parsedUrl.port ? parseInt(parsedUrl.port) : 22;
         this.directory = parsedUrl.pathname || '/';
+
+        // Fail early for invalid values
+        getKeepaliveInterval(config);
         
         this.logger.debug(`Initialized SFTP client for ${this.host}:${this.port}${this.directory}`);
     }
@@ -44,31 +93,79 @@ export class SftpFileSystem {
      * @returns {Promise<void>}
      */
     async connect() {
-        this.client = new SftpClient();
+        this.connectionConfig = await this.buildConnectionConfig();
+        this.jumpHops = await createJumpHops(this.config, this.logger);
+        this.pool = new ConnectionPool({
+            size: getPoolSize(this.config),
+            createClient: () => this._createClient(),
+            destroyClient: (client) => this._destroyClient(client),
+            isAlive: (client) => !!client.sftp,
+            logger: this.logger,
+        });
+        await this.pool.open();
+    }
+
+    /**
+     * Build the ssh2 connection options, including every configured authentication method
+     * @returns {Promise<Object>}
+     */
+    async buildConnectionConfig() {
+        const { connectionConfig, hostKeyVerifier } = await createConnectionConfig(this.config, this.host, this.port, this.logger);
+        this.hostKeyVerifier = hostKeyVerifier;
+        return connectionConfig;
+    }
+
+    /**
+     * Open and authenticate a new client
+     * @returns {Promise<SftpClient>}
+     */
+    async _createClient() {
+        // Closed clients are reported to the pool they belong to, even after disconnecting
+        const pool = this.pool;
+        const client = new SftpClient();
 
         this.logger.trace('Connecting to SFTP server '+  this.config.USERNAME + '@' + this.host + ':' + this.port + this.directory);
-        
-        const connectionConfig = {
-            host: this.host,
-            port: this.port,
-            username: this.config.USERNAME,
-            password: this.config.PASSWORD
-        };
-        
-        // Add SSL trust configuration if specified
-        if (this.config.IGNORE_SSL_TRUST) {
-            connectionConfig.algorithms = {
-                serverHostKey: ['ssh-rsa', 'ssh-dss']
-            };
-            connectionConfig.hostVerifier = () => true;
+
+        if (this.connectionConfig.tryKeyboard) {
+            answerKeyboardInteractive(client.client, this.config.PASSWORD);
         }
-        
+
+        let jumpClients = [];
         try {
-            await this.client.connect(connectionConfig);
+            let connectionConfig = this.connectionConfig;
+            if (this.jumpHops.length > 0) {
+                this.logger.trace(`Connecting through ${this.jumpHops.length} jump host(s)`);
+                const chain = await openJumpChain(this.jumpHops, this.host, this.port);
+                jumpClients = chain.clients;
+                connectionConfig = { ...connectionConfig, sock: chain.sock };
+            }
+            await client.connect(connectionConfig);
             this.logger.debug('SFTP connection established');
+            this.jumpClients.set(client, jumpClients);
+            client.on('close', () => {
+                pool.markDead(client, new Error('SFTP connection closed'));
+            });
+            return client;
         } catch (err) {
-            this.logger.error('SFTP connection error: '+ err.message);
-            throw err;
+            closeJumpChain(jumpClients);
+            // ssh2 only reports that the host was denied, the verifier knows why
+            const error = this.hostKeyVerifier && this.hostKeyVerifier.error ? new Error(this.hostKeyVerifier.error) : err;
+            this.logger.error('SFTP connection error: '+ error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Close a client and the connections to the jump hosts it was opened through
+     * @param {SftpClient} client
+     * @returns {Promise<void>}
+     */
+    async _destroyClient(client) {
+        try {
+            await client.end();
+        } finally {
+            closeJumpChain(this.jumpClients.get(client) || []);
+            this.jumpClients.delete(client);
         }
     }
 
@@ -77,12 +174,20 @@ export class SftpFileSystem {
      * @returns {Promise<void>}
      */
     async disconnect() {
-        if (this.client) {
-            await this.client.end();
-            this.client = null;
+        if (this.pool) {
+            await this.pool.close();
+            this.pool = null;
         }
     }
 
+    /**
+     * Get the directory the SFTP user starts in after logging in, which usually is the home directory
+     * @returns {Promise<string>}
+     */
+    async getHomeDirectory() {
+        return this.pool.use((client) => client.realPath('.'));
+    }
+
     /**
      * Get relative path from absolute path based on this file system's base path
      * @param {string} absolutePath - Absolute file path
@@ -110,6 +215,7 @@ export class SftpFileSystem {
     async scanDirectory() {
         this.logger.debug(`Scanning SFTP directory ${this.directory}`);
         this.files = [];
+        this.fileInfo = new Map();
         
         await this._scanDirectoryRecursive(this.directory);
     }
@@ -121,7 +227,7 @@ export class SftpFileSystem {
      */
     async _scanDirectoryRecursive(dir) {
         try {
-            const list = await this.client.list(dir);
+            const list = await this.pool.use((client) => client.list(dir));
             
             const promises = [];
             
@@ -136,6 +242,10 @@ export class SftpFileSystem {
                     // File
                     this.logger.trace(`Found file ${fullPath}`);
                     this.files.push(fullPath);
+                    this.fileInfo.set(fullPath, {
+                        size: item.size,
+                        mtime: item.modifyTime,
+                    });
                 }
             }
             
@@ -157,6 +267,15 @@ export class SftpFileSystem {
         return this.files;
     }
 
+    /**
+     * Get size and modification time of a file found while scanning
+     * @param {string} path
+     * @returns {{size: number, mtime: number}|undefined} - mtime in milliseconds since epoch
+     */
+    getFileInfo(path) {
+        return this.fileInfo.get(path);
+    }
+
     /**
      * Writes a file
      * @param {string} path
@@ -171,7 +290,7 @@ export class SftpFileSystem {
         }
         
         try {
-            await this.client.put(content, path);
+            await this.pool.use((client) => client.put(content, path));
             this.logger.debug(`Successfully wrote file ${path}`);
         } catch (err) {
             this.logger.error(`Error writing file ${path}: ${err.message}`);
@@ -188,7 +307,7 @@ export class SftpFileSystem {
         this.logger.debug(`Reading file ${path}`);
         
         try {
-            const buffer = await this.client.get(path);
+            const buffer = await this.pool.use((client) => client.get(path));
             this.logger.debug(`Successfully read file ${path}`);
             return buffer;
         } catch (err) {
@@ -197,6 +316,42 @@ export class SftpFileSystem {
         }
     }
 
+    /**
+     * Creates a stream to read a file
+     * @param {string} path
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(path) {
+        this.logger.debug(`Reading file ${path} as stream`);
+        
+        try {
+            return await this.pool.use(async (client) => client.createReadStream(path));
+        } catch (err) {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates a stream to write a file
+     * @param {string} path
+     * @returns {Promise<Writable>}
+     */
+    async createWriteStream(path) {
+        this.logger.debug(`Writing file ${path} as stream`);
+        
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return createDiscardStream();
+        }
+        
+        try {
+            return await this.pool.use(async (client) => client.createWriteStream(path));
+        } catch (err) {
+            this.logger.error(`Error writing file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
     /**
      * Deletes a file
      * @param {string} path
@@ -210,13 +365,130 @@ export class SftpFileSystem {
         }
         
         try {
-            await this.client.delete(path);
+            await this.pool.use((client) => client.delete(path));
             this.logger.debug(`Successfully deleted file ${path}`);
         } catch (err) {
             this.logger.warn(`Error deleting file ${path}: ${err.message}`);
         }
     }
 
+    /**
+     * Renames a file, replacing the target in case it exists
+     * Uses the posix-rename extension where available, as plain SFTP rename fails on existing targets
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async rename(from, to) {
+        this.logger.debug(`Renaming file ${from} to ${to}`);
+        
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+        
+        try {
+            await this.pool.use((client) => client.posixRename(from, to));
+        } catch (err) {
+            if (!POSIX_RENAME_UNSUPPORTED.test(err.message)) {
+                this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Server does not support POSIX rename, renaming ${from} with plain SFTP`);
+            await this._renameReplacing(from, to);
+        }
+        this.logger.debug(`Successfully renamed file ${from} to ${to}`);
+    }
+
+    /**
+     * Renames a file with plain SFTP rename, which fails with SSH_FX_FAILURE in case the target exists
+     * Only then the target is deleted first; other errors (e.g. a missing source) must not cost the existing file
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async _renameReplacing(from, to) {
+        try {
+            await this.pool.use((client) => client.rename(from, to));
+            return;
+        } catch (err) {
+            if (err.code !== SSH_FX_FAILURE) {
+                this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Renaming file ${from} failed (${err.message}), deleting ${to} first`);
+        }
+        await this.deleteFile(to);
+        try {
+            await this.pool.use((client) => client.rename(from, to));
+        } catch (err) {
+            this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates a symlink
+     * @param {string} target - Path the symlink points to, relative to the directory of the symlink
+     * @param {string} path - Path of the symlink
+     * @returns {Promise<void>}
+     */
+    async symlink(target, path) {
+        this.logger.debug(`Creating symlink ${path} -> ${target}`);
+        
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+        
+        try {
+            // ssh2-sftp-client has no symlink method, so the sftp channel of ssh2 is used directly
+            await this.pool.use((client) => new Promise((resolve, reject) => {
+                if (!client.sftp) {
+                    const err = new Error('No SFTP connection available');
+                    err.code = 'ERR_NOT_CONNECTED';
+                    reject(err);
+                    return;
+                }
+                client.sftp.symlink(target, path, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            }));
+            this.logger.debug(`Successfully created symlink ${path}`);
+        } catch (err) {
+            this.logger.error(`Error creating symlink ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Reads the target of a symlink
+     * @param {string} path - Path of the symlink
+     * @returns {Promise<string|null>} - null in case the path does not exist or is no symlink
+     */
+    async readLink(path) {
+        return this.pool.use((client) => new Promise((resolve, reject) => {
+            if (!client.sftp) {
+                const err = new Error('No SFTP connection available');
+                err.code = 'ERR_NOT_CONNECTED';
+                reject(err);
+                return;
+            }
+            client.sftp.readlink(path, (err, target) => {
+                if (!err) {
+                    resolve(target);
+                } else if (err.code === SSH_FX_NO_SUCH_FILE || err.code === SSH_FX_FAILURE) {
+                    // Servers report paths that are no symlinks as failure
+                    resolve(null);
+                } else {
+                    reject(err);
+                }
+            });
+        }));
+    }
+
     /**
      * Creates a directory
      * @param {string} path
@@ -230,7 +502,7 @@ export class SftpFileSystem {
         }
         
         try {
-            await this.client.mkdir(path, true);
+            await this.pool.use((client) => client.mkdir(path, true));
             this.logger.debug(`Successfully created directory ${path}`);
         } catch (err) {
             this.logger.error(`Error creating directory ${path}: ${err.message}`);
@@ -251,7 +523,7 @@ export class SftpFileSystem {
         }
         
         try {
-            await this.client.rmdir(path, true);
+            await this.pool.use((client) => client.rmdir(path, true));
             this.logger.debug(`Successfully deleted directory ${path}`);
         } catch (err) {
             this.logger.warn(`Error deleting directory ${path}: ${err.message}`);
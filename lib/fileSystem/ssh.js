@@ -0,0 +1,484 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import ssh2 from 'ssh2';
+
+import { parseMilliseconds } from './ftpOptions.js';
+import { expandHomeDirectory, readPem } from './pem.js';
+
+/**
+ * Host key algorithms ssh2 can negotiate, per key type listed in known_hosts
+ */
+const HOST_KEY_ALGORITHMS = {
+    'ssh-ed25519': ['ssh-ed25519'],
+    'ecdsa-sha2-nistp256': ['ecdsa-sha2-nistp256'],
+    'ecdsa-sha2-nistp384': ['ecdsa-sha2-nistp384'],
+    'ecdsa-sha2-nistp521': ['ecdsa-sha2-nistp521'],
+    'ssh-rsa': ['rsa-sha2-512', 'rsa-sha2-256', 'ssh-rsa'],
+    'ssh-dss': ['ssh-dss'],
+};
+
+/**
+ * Get a private key, given either inline or as path of a key file
+ * @param {string} value - PEM/OpenSSH key or path, "~/" is expanded to the home directory
+ * @returns {Promise<Buffer>}
+ */
+export const readPrivateKey = (value) => readPem(value, 'private key');
+
+/**
+ * Build the authentication options of ssh2
+ * ssh2 tries them in the order password, private key, agent and keyboard-interactive
+ * @param {Object} options
+ * @param {string} options.username
+ * @param {string} [options.password] - Also used to answer keyboard-interactive prompts
+ * @param {string} [options.privateKey] - Private key, either inline or as path of a key file
+ * @param {string} [options.passphrase] - Passphrase of the private key
+ * @param {string} [options.agent] - Path of the socket of a running ssh-agent
+ * @param {string} [prefix] - Prefix of the parameters, for error messages
+ * @returns {Promise<Object>}
+ */
+export const createAuthConfig = async ({ username, password, privateKey, passphrase, agent }, prefix = '') => {
+    const authConfig = { username, password };
+
+    if (privateKey) {
+        const key = await readPrivateKey(privateKey);
+        // Fail before connecting, ssh2 would only report that authentication failed
+        const parsed = ssh2.utils.parseKey(key, passphrase);
+        if (parsed instanceof Error) {
+            throw new Error(`Invalid ${prefix}PRIVATE_KEY: ${parsed.message}`);
+        }
+        authConfig.privateKey = key;
+        if (passphrase) {
+            authConfig.passphrase = passphrase;
+        }
+    }
+
+    if (agent) {
+        authConfig.agent = agent;
+    }
+
+    // Servers with password authentication disabled often still ask for the password via keyboard-interactive
+    if (password) {
+        authConfig.tryKeyboard = true;
+    }
+
+    return authConfig;
+};
+
+/**
+ * Answer every keyboard-interactive prompt of the server with the password
+ * @param {ssh2.Client} client
+ * @param {string} password
+ */
+export const answerKeyboardInteractive = (client, password) => {
+    client.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        finish(prompts.map(() => password));
+    });
+};
+
+/**
+ * Get the fingerprint of a host key the way ssh-keygen prints it, e.g. "SHA256:nThbg6kXUpJWGl7E1IGOCspRomTxdCARLviKw6E5SY8"
+ * @param {Buffer} key - Host key in SSH wire format
+ * @returns {string}
+ */
+export const getHostKeyFingerprint = (key) => {
+    return 'SHA256:' + crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+};
+
+/**
+ * Get the type of a host key, e.g. "ssh-ed25519"
+ * @param {Buffer} key - Host key in SSH wire format
+ * @returns {string}
+ */
+export const getHostKeyType = (key) => {
+    if (key.length < 4 || key.readUInt32BE(0) > key.length - 4) {
+        return 'unknown';
+    }
+    return key.subarray(4, 4 + key.readUInt32BE(0)).toString();
+};
+
+/**
+ * Normalize a configured fingerprint, the "SHA256:" prefix and the base64 padding are optional
+ * @param {string} fingerprint
+ * @returns {string}
+ */
+const normalizeFingerprint = (fingerprint) => {
+    return 'SHA256:' + fingerprint.trim().replace(/^SHA256:/i, '').replace(/=+$/, '');
+};
+
+/**
+ * Parse the content of a known_hosts file
+ * @param {string} content
+ * @returns {{marker: string|null, hosts: string[], type: string, key: Buffer}[]}
+ */
+export const parseKnownHosts = (content) => {
+    const entries = [];
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+        const fields = line.split(/\s+/);
+        const marker = fields[0].startsWith('@') ? fields.shift() : null;
+        if (fields.length < 3) {
+            continue;
+        }
+        entries.push({
+            marker,
+            hosts: fields[0].split(','),
+            type: fields[1],
+            key: Buffer.from(fields[2], 'base64'),
+        });
+    }
+    return entries;
+};
+
+/**
+ * Check if a host name matches a single known_hosts pattern, either hashed or with "*" and "?" wildcards
+ * @param {string} pattern
+ * @param {string} name - Host name, "[host]:port" for ports other than 22
+ * @returns {boolean}
+ */
+const matchesHostPattern = (pattern, name) => {
+    if (pattern.startsWith('|1|')) {
+        const [salt, hash] = pattern.substring(3).split('|');
+        const hmac = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64');
+        return hmac === hash;
+    }
+    const regex = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${regex}$`, 'i').test(name);
+};
+
+/**
+ * Check if a host matches the host patterns of a known_hosts entry, negated patterns exclude the host
+ * @param {string[]} patterns
+ * @param {string} host
+ * @param {number} port
+ * @returns {boolean}
+ */
+export const matchesKnownHost = (patterns, host, port) => {
+    const name = port === 22 ? host : `[${host}]:${port}`;
+    let matched = false;
+    for (const pattern of patterns) {
+        if (pattern.startsWith('!')) {
+            if (matchesHostPattern(pattern.substring(1), name)) {
+                return false;
+            }
+        } else if (matchesHostPattern(pattern, name)) {
+            matched = true;
+        }
+    }
+    return matched;
+};
+
+/**
+ * Verifies the host key presented by a server against pinned fingerprints and known_hosts entries
+ * Fails closed: a key matching neither is refused, the reason is kept in `error`
+ * @param {string} host
+ * @param {number} port
+ * @param {Object} options
+ * @param {string[]} [options.fingerprints] - SHA256 fingerprints as printed by ssh-keygen
+ * @param {Object[]} [options.knownHosts] - Entries parsed by parseKnownHosts()
+ */
+export class HostKeyVerifier {
+    host;
+    port;
+    fingerprints;
+    knownHosts;
+    revoked;
+    error;
+
+    constructor(host, port, { fingerprints = [], knownHosts = [] } = {}) {
+        this.host = host;
+        this.port = port;
+        this.fingerprints = fingerprints.map(normalizeFingerprint);
+        const entries = knownHosts.filter(entry => matchesKnownHost(entry.hosts, host, port));
+        this.knownHosts = entries.filter(entry => entry.marker === null);
+        this.revoked = entries.filter(entry => entry.marker === '@revoked');
+        this.error = null;
+    }
+
+    /**
+     * Get the host key algorithms to negotiate, so the server presents a key type that is known
+     * @returns {string[]|null} - null in case any key type is fine
+     */
+    getHostKeyAlgorithms() {
+        if (this.fingerprints.length > 0 || this.knownHosts.length === 0) {
+            return null;
+        }
+        const algorithms = this.knownHosts.flatMap(entry => HOST_KEY_ALGORITHMS[entry.type] || []);
+        return algorithms.length > 0 ? [...new Set(algorithms)] : null;
+    }
+
+    /**
+     * Verify a host key, meant to be used as hostVerifier of ssh2
+     * @param {Buffer} key - Host key in SSH wire format
+     * @returns {boolean}
+     */
+    verify(key) {
+        const name = `${this.host}:${this.port}`;
+        const presented = `${getHostKeyType(key)} ${getHostKeyFingerprint(key)}`;
+
+        if (this.revoked.some(entry => entry.key.equals(key))) {
+            this.error = `Host key of ${name} is revoked in KNOWN_HOSTS: ${presented}`;
+            return false;
+        }
+        if (this.fingerprints.includes(getHostKeyFingerprint(key)) || this.knownHosts.some(entry => entry.key.equals(key))) {
+            this.error = null;
+            return true;
+        }
+        this.error = `Host key verification failed for ${name}, the server presented ${presented}, ` +
+            'which matches neither HOST_FINGERPRINT nor KNOWN_HOSTS';
+        return false;
+    }
+}
+
+/**
+ * Create the host key verifier from the HOST_FINGERPRINT and KNOWN_HOSTS parameters
+ * @param {Object} config - Parameters of the file system
+ * @param {string} host
+ * @param {number} port
+ * @returns {Promise<HostKeyVerifier|null>} - null in case host keys are not verified
+ */
+export const createHostKeyVerifier = async (config, host, port) => {
+    if (!config.HOST_FINGERPRINT && !config.KNOWN_HOSTS) {
+        return null;
+    }
+    if (config.IGNORE_SSL_TRUST) {
+        throw new Error('IGNORE_SSL_TRUST can not be combined with HOST_FINGERPRINT or KNOWN_HOSTS');
+    }
+
+    const fingerprints = config.HOST_FINGERPRINT
+        ? config.HOST_FINGERPRINT.split(',').map(fingerprint => fingerprint.trim()).filter(fingerprint => fingerprint)
+        : [];
+
+    let knownHosts = [];
+    if (config.KNOWN_HOSTS) {
+        const path = expandHomeDirectory(config.KNOWN_HOSTS.trim());
+        try {
+            knownHosts = parseKnownHosts(await fs.readFile(path, 'utf8'));
+        } catch (err) {
+            throw new Error(`Could not read KNOWN_HOSTS ${path}: ${err.message}`);
+        }
+    }
+
+    const verifier = new HostKeyVerifier(host, port, { fingerprints, knownHosts });
+    if (fingerprints.length === 0 && verifier.knownHosts.length === 0) {
+        throw new Error(`KNOWN_HOSTS has no entry for ${port === 22 ? host : `[${host}]:${port}`}`);
+    }
+    return verifier;
+};
+
+/**
+ * Let ssh2 verify the host key with a verifier, negotiating the key types known for the host
+ * @param {Object} connectionConfig - ssh2 connection options, modified in place
+ * @param {HostKeyVerifier} verifier
+ */
+export const applyHostKeyVerifier = (connectionConfig, verifier) => {
+    connectionConfig.hostVerifier = (key) => verifier.verify(key);
+    const algorithms = verifier.getHostKeyAlgorithms();
+    if (algorithms) {
+        connectionConfig.algorithms = { serverHostKey: algorithms };
+    }
+};
+
+/**
+ * Get the interval of the keepalive messages sent while a session is idle
+ * @param {Object} config - Parameters of the file system
+ * @param {string} [config.KEEPALIVE] - Interval in milliseconds, 0 to disable (default: 10000)
+ * @returns {number}
+ */
+export const getKeepaliveInterval = (config) => {
+    return parseMilliseconds(config, 'KEEPALIVE', 10000, 0);
+};
+
+/**
+ * Build the ssh2 connection options of a host, including every configured authentication method
+ * ssh2 tries them in the order password, private key, agent and keyboard-interactive
+ * @param {Object} config - Parameters of the file system
+ * @param {string} host
+ * @param {number} port
+ * @param {Logger} logger
+ * @returns {Promise<{connectionConfig: Object, hostKeyVerifier: HostKeyVerifier|null}>}
+ */
+export const createConnectionConfig = async (config, host, port, logger) => {
+    const connectionConfig = {
+        host,
+        port,
+        ...await createAuthConfig({
+            username: config.USERNAME,
+            password: config.PASSWORD,
+            privateKey: config.PRIVATE_KEY,
+            passphrase: config.PASSPHRASE,
+            agent: config.SSH_AUTH_SOCK,
+        }),
+        // Keep the session alive while no transfers happen, e.g. while large local files are read
+        keepaliveInterval: getKeepaliveInterval(config),
+    };
+
+    const hostKeyVerifier = await createHostKeyVerifier(config, host, port);
+    if (hostKeyVerifier) {
+        applyHostKeyVerifier(connectionConfig, hostKeyVerifier);
+    } else if (config.IGNORE_SSL_TRUST) {
+        // Add SSL trust configuration if specified
+        connectionConfig.algorithms = {
+            serverHostKey: ['ssh-rsa', 'ssh-dss']
+        };
+        connectionConfig.hostVerifier = () => true;
+    } else {
+        logger.warn(`Host key of ${host}:${port} is not verified, set HOST_FINGERPRINT or KNOWN_HOSTS`);
+    }
+
+    return { connectionConfig, hostKeyVerifier };
+};
+
+/**
+ * Parse the chain of jump hosts, e.g. "deploy@bastion.example.com:2222,10.0.0.5"
+ * @param {string} value - Comma separated hops as [user@]host[:port], the first one is connected to first
+ * @returns {{username: string|null, host: string, port: number}[]}
+ */
+export const parseJumpHosts = (value) => {
+    return value.split(',').map(hop => hop.trim()).filter(hop => hop).map((hop) => {
+        const match = hop.match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:@]+)(?::(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid JUMP_HOST: ${hop}`);
+        }
+        return {
+            username: match[1] || null,
+            host: match[2].replace(/^\[|\]$/g, ''),
+            port: match[3] ? parseInt(match[3], 10) : 22,
+        };
+    });
+};
+
+/**
+ * Create the connection options of every jump host from the JUMP_* parameters
+ * Host keys of the jump hosts are verified with JUMP_HOST_FINGERPRINT and KNOWN_HOSTS
+ * @param {Object} config - Parameters of the file system
+ * @param {Logger} logger
+ * @returns {Promise<{name: string, connectionConfig: Object, password: string|undefined, verifier: HostKeyVerifier|null}[]>}
+ */
+export const createJumpHops = async (config, logger) => {
+    if (!config.JUMP_HOST) {
+        return [];
+    }
+    const authConfig = await createAuthConfig({
+        username: config.JUMP_USERNAME || config.USERNAME,
+        password: config.JUMP_PASSWORD,
+        privateKey: config.JUMP_PRIVATE_KEY,
+        passphrase: config.JUMP_PASSPHRASE,
+        agent: config.JUMP_SSH_AUTH_SOCK || config.SSH_AUTH_SOCK,
+    }, 'JUMP_');
+
+    const hops = [];
+    for (const hop of parseJumpHosts(config.JUMP_HOST)) {
+        const name = `${hop.host}:${hop.port}`;
+        const connectionConfig = {
+            ...authConfig,
+            username: hop.username || authConfig.username,
+            host: hop.host,
+            port: hop.port,
+            keepaliveInterval: getKeepaliveInterval(config),
+        };
+        const verifier = await createHostKeyVerifier({
+            HOST_FINGERPRINT: config.JUMP_HOST_FINGERPRINT,
+            KNOWN_HOSTS: config.KNOWN_HOSTS,
+        }, hop.host, hop.port);
+        if (verifier) {
+            applyHostKeyVerifier(connectionConfig, verifier);
+        } else {
+            logger.warn(`Host key of jump host ${name} is not verified, set JUMP_HOST_FINGERPRINT or KNOWN_HOSTS`);
+        }
+        hops.push({ name, connectionConfig, password: authConfig.password, verifier });
+    }
+    return hops;
+};
+
+/**
+ * Connect and authenticate an ssh2 client
+ * @param {Object} connectionConfig - ssh2 connection options
+ * @param {string} [password] - Answer to keyboard-interactive prompts
+ * @returns {Promise<ssh2.Client>}
+ */
+export const connectClient = (connectionConfig, password) => {
+    return new Promise((resolve, reject) => {
+        const client = new ssh2.Client();
+        if (connectionConfig.tryKeyboard) {
+            answerKeyboardInteractive(client, password);
+        }
+        client.once('ready', () => resolve(client));
+        client.once('error', reject);
+        client.connect(connectionConfig);
+    });
+};
+
+/**
+ * Connect and authenticate an ssh2 client to a jump host
+ * @param {Object} hop - Created by createJumpHops()
+ * @param {Duplex} [sock] - Stream forwarded by the previous jump host
+ * @returns {Promise<ssh2.Client>}
+ */
+const connectJumpHost = async (hop, sock) => {
+    try {
+        return await connectClient(sock ? { ...hop.connectionConfig, sock } : hop.connectionConfig, hop.password);
+    } catch (err) {
+        // ssh2 only reports that the host was denied, the verifier knows why
+        const message = hop.verifier && hop.verifier.error ? hop.verifier.error : err.message;
+        throw new Error(`Jump host ${hop.name}: ${message}`);
+    }
+};
+
+/**
+ * Open a TCP channel from a jump host to the next host
+ * @param {ssh2.Client} client
+ * @param {string} host
+ * @param {number} port
+ * @returns {Promise<Duplex>}
+ */
+const forwardOut = (client, host, port) => {
+    return new Promise((resolve, reject) => {
+        client.forwardOut('127.0.0.1', 0, host, port, (err, stream) => {
+            if (err) {
+                reject(new Error(`Could not forward to ${host}:${port}: ${err.message}`));
+            } else {
+                resolve(stream);
+            }
+        });
+    });
+};
+
+/**
+ * Connect through a chain of jump hosts, every hop is reached through the previous one
+ * @param {Object[]} hops - Created by createJumpHops()
+ * @param {string} host - Host to reach through the last jump host
+ * @param {number} port
+ * @returns {Promise<{clients: ssh2.Client[], sock: Duplex}>} - sock is the forwarded stream to pass to ssh2
+ */
+export const openJumpChain = async (hops, host, port) => {
+    const clients = [];
+    let sock;
+    try {
+        for (const [index, hop] of hops.entries()) {
+            const client = await connectJumpHost(hop, sock);
+            clients.push(client);
+            const next = hops[index + 1] || { connectionConfig: { host, port } };
+            sock = await forwardOut(client, next.connectionConfig.host, next.connectionConfig.port);
+        }
+    } catch (err) {
+        closeJumpChain(clients);
+        throw err;
+    }
+    return { clients, sock };
+};
+
+/**
+ * Close the connections to the jump hosts, the last one first
+ * @param {ssh2.Client[]} clients
+ */
+export const closeJumpChain = (clients) => {
+    for (const client of [...clients].reverse()) {
+        client.end();
+    }
+};
@@ -0,0 +1,564 @@
+import { PassThrough, Readable, Stream } from 'stream';
+import { URL } from 'url';
+
+import { createLogger } from '../logger.js';
+import { ConnectionPool, getPoolSize } from './connectionPool.js';
+import {
+    closeJumpChain,
+    connectClient,
+    createConnectionConfig,
+    createJumpHops,
+    getKeepaliveInterval,
+    openJumpChain,
+} from './ssh.js';
+import { createDiscardStream, createUploadStream, onStreamError } from './streams.js';
+
+/**
+ * Maximum number of commands running at the same time on a connection
+ * OpenSSH refuses to open more than 10 channels per connection by default (MaxSessions)
+ */
+const MAX_CHANNELS = 8;
+
+/**
+ * Quote an argument for a POSIX shell, e.g. "it's" becomes "'it'\''s'"
+ * @param {string} value
+ * @returns {string}
+ */
+export const quoteShellArgument = (value) => {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+};
+
+/**
+ * Parse the output of find -printf '%y %s %T@ %P\0'
+ * @param {string} output
+ * @returns {{type: string, size: number, mtime: number, path: string}[]} - path relative to the searched directory
+ */
+export const parseFindOutput = (output) => {
+    return output.split('\0').filter(entry => entry).map((entry) => {
+        const match = entry.match(/^(\S) (\d+) (\d+(?:\.\d+)?) (.*)$/s);
+        if (!match) {
+            throw new Error(`Unexpected output of find: ${entry}`);
+        }
+        return {
+            type: match[1],
+            size: parseInt(match[2], 10),
+            mtime: Math.round(parseFloat(match[3]) * 1000),
+            path: match[4],
+        };
+    });
+};
+
+/**
+ * Class to handle file system operations over SSH, running shell commands on the server
+ * For servers that accept SSH but have the SFTP subsystem disabled; needs GNU find and coreutils on the server
+ */
+export class SshExecFileSystem {
+    logger;
+    pool;
+    config;
+    url;
+    host;
+    port;
+    directory;
+    files;
+    fileInfo;
+    connectionConfig;
+    hostKeyVerifier;
+    jumpHops;
+    jumpClients;
+    channels;
+
+    /**
+     * Constructor
+     * @param {string} url - SSH URL (e.g., "ssh://host[:port]/directory")
+     * @param {Object} config - Configuration object, same parameters as for SFTP
+     * @param {string} config.USERNAME - SSH username
+     * @param {string} [config.PASSWORD] - SSH password, also used to answer keyboard-interactive prompts
+     * @param {string} [config.PRIVATE_KEY] - Private key, either inline or as path of a key file
+     * @param {string} [config.PASSPHRASE] - Passphrase of the private key
+     * @param {string} [config.SSH_AUTH_SOCK] - Path of the socket of a running ssh-agent
+     * @param {string} [config.HOST_FINGERPRINT] - Comma separated SHA256 fingerprints of the host key, as printed by ssh-keygen
+     * @param {string} [config.KNOWN_HOSTS] - Path of a known_hosts file to verify the host key with
+     * @param {string} [config.JUMP_HOST] - Comma separated jump hosts as [user@]host[:port] to connect through
+     * @param {string} [config.CONNECTIONS] - Number of connections to open (default: 1)
+     * @param {string} [config.KEEPALIVE] - Interval of keepalive messages in milliseconds, 0 to disable (default: 10000)
+     * @param {boolean} [config.IGNORE_SSL_TRUST] - Ignore SSL certificate trust
+     */
+    constructor(url, config = {}) {
+        this.logger = createLogger('SshExecFileSystem');
+        this.url = url;
+        this.config = config;
+        this.files = [];
+        this.fileInfo = new Map();
+        this.jumpClients = new Map();
+        this.channels = new Map();
+
+        // Parse the URL
+        const parsedUrl = new URL(url);
+        this.host = parsedUrl.hostname;
+        this.port = parsedUrl.port ? parseInt(parsedUrl.port) : 22;
+        this.directory = decodeURIComponent(parsedUrl.pathname).replace(/(.)\/+$/, '$1') || '/';
+
+        // Fail early for invalid values
+        getKeepaliveInterval(config);
+
+        this.logger.debug(`Initialized SSH client for ${this.host}:${this.port}${this.directory}`);
+    }
+
+    /**
+     * Connect to SSH server
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        const { connectionConfig, hostKeyVerifier } = await createConnectionConfig(this.config, this.host, this.port, this.logger);
+        this.connectionConfig = connectionConfig;
+        this.hostKeyVerifier = hostKeyVerifier;
+        this.jumpHops = await createJumpHops(this.config, this.logger);
+        this.pool = new ConnectionPool({
+            size: getPoolSize(this.config),
+            createClient: () => this._createClient(),
+            destroyClient: (client) => this._destroyClient(client),
+            isAlive: (client) => this.channels.has(client),
+            logger: this.logger,
+        });
+        await this.pool.open();
+    }
+
+    /**
+     * Open and authenticate a new client
+     * @returns {Promise<ssh2.Client>}
+     */
+    async _createClient() {
+        // Closed clients are reported to the pool they belong to, even after disconnecting
+        const pool = this.pool;
+
+        this.logger.trace('Connecting to SSH server ' + this.config.USERNAME + '@' + this.host + ':' + this.port + this.directory);
+
+        let jumpClients = [];
+        try {
+            let connectionConfig = this.connectionConfig;
+            if (this.jumpHops.length > 0) {
+                this.logger.trace(`Connecting through ${this.jumpHops.length} jump host(s)`);
+                const chain = await openJumpChain(this.jumpHops, this.host, this.port);
+                jumpClients = chain.clients;
+                connectionConfig = { ...connectionConfig, sock: chain.sock };
+            }
+            const client = await connectClient(connectionConfig, this.config.PASSWORD);
+            this.logger.debug('SSH connection established');
+            this.jumpClients.set(client, jumpClients);
+            this.channels.set(client, { active: 0, waiting: [] });
+            client.on('error', (err) => {
+                this.logger.debug(`SSH connection error: ${err.message}`);
+            });
+            client.on('close', () => {
+                this.channels.delete(client);
+                pool.markDead(client, new Error('SSH connection closed'));
+            });
+            return client;
+        } catch (err) {
+            closeJumpChain(jumpClients);
+            // ssh2 only reports that the host was denied, the verifier knows why
+            const error = this.hostKeyVerifier && this.hostKeyVerifier.error ? new Error(this.hostKeyVerifier.error) : err;
+            this.logger.error('SSH connection error: ' + error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Close a client and the connections to the jump hosts it was opened through
+     * @param {ssh2.Client} client
+     * @returns {Promise<void>}
+     */
+    async _destroyClient(client) {
+        this.channels.delete(client);
+        try {
+            client.end();
+        } finally {
+            closeJumpChain(this.jumpClients.get(client) || []);
+            this.jumpClients.delete(client);
+        }
+    }
+
+    /**
+     * Disconnect from SSH server
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.pool) {
+            await this.pool.close();
+            this.pool = null;
+        }
+    }
+
+    /**
+     * Run a command with the next client of the pool, waiting for a free channel of its connection
+     * @param {string} command
+     * @param {Object} [options] - See _exec()
+     * @returns {Promise<Buffer>} - Standard output of the command
+     */
+    run(command, options = {}) {
+        // Commands transferring streams can't be replayed by the pool once they started
+        const streams = [options.stdin, options.stdout].filter(stream => stream instanceof Stream);
+        return this.pool.use(async (client) => {
+            const state = this.channels.get(client);
+            if (!state) {
+                const err = new Error('No SSH connection available');
+                err.code = 'ERR_NOT_CONNECTED';
+                throw err;
+            }
+            if (state.active >= MAX_CHANNELS) {
+                // The channel is handed over by the command finishing first
+                await new Promise(resolve => state.waiting.push(resolve));
+            } else {
+                state.active++;
+            }
+            try {
+                return await this._exec(client, command, options);
+            } finally {
+                const next = state.waiting.shift();
+                if (next) {
+                    next();
+                } else {
+                    state.active--;
+                }
+            }
+        }, { streams });
+    }
+
+    /**
+     * Run a command in an exec channel
+     * @param {ssh2.Client} client
+     * @param {string} command
+     * @param {Object} [options]
+     * @param {Buffer|Readable} [options.stdin] - Input of the command
+     * @param {Writable} [options.stdout] - Stream to write the output to, ended once the command succeeded
+     * @returns {Promise<Buffer>} - Standard output of the command, unless written to options.stdout
+     */
+    _exec(client, command, { stdin, stdout } = {}) {
+        return new Promise((resolve, reject) => {
+            this.logger.trace(`Running ${command}`);
+            client.exec(command, (err, channel) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const output = [];
+                const errorOutput = [];
+                let exitCode = null;
+                let inputError = null;
+                channel.stderr.on('data', chunk => errorOutput.push(chunk));
+                if (stdout) {
+                    channel.pipe(stdout, { end: false });
+                } else {
+                    channel.on('data', chunk => output.push(chunk));
+                }
+                channel.on('exit', (code) => {
+                    exitCode = code;
+                });
+                channel.on('close', () => {
+                    if (inputError) {
+                        reject(inputError);
+                        return;
+                    }
+                    if (exitCode === 0) {
+                        if (stdout) {
+                            stdout.end();
+                        }
+                        resolve(Buffer.concat(output));
+                        return;
+                    }
+                    const message = Buffer.concat(errorOutput).toString('utf8').trim();
+                    const error = new Error(message || (exitCode === null
+                        ? `Connection lost while running ${command}`
+                        : `${command} failed with exit code ${exitCode}`));
+                    if (exitCode === null) {
+                        error.code = 'ECONNRESET';
+                    }
+                    error.exitCode = exitCode;
+                    reject(error);
+                });
+
+                if (stdin instanceof Readable) {
+                    // The command would wait for the rest of the input forever
+                    onStreamError(stdin, (err) => {
+                        inputError = err;
+                        channel.close();
+                    });
+                    stdin.pipe(channel);
+                } else {
+                    channel.end(stdin);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the directory commands start in, which usually is the home directory
+     * @returns {Promise<string>}
+     */
+    async getHomeDirectory() {
+        return (await this.run('pwd')).toString('utf8').trim();
+    }
+
+    /**
+     * Get relative path from absolute path based on this file system's base path
+     * @param {string} absolutePath - Absolute file path
+     * @returns {string} - Relative path from base path
+     */
+    getAsRelativePath(absolutePath) {
+        const normalizedBase = this.directory.endsWith('/') ? this.directory : this.directory + '/';
+
+        if (absolutePath.startsWith(normalizedBase)) {
+            return absolutePath.substring(normalizedBase.length);
+        }
+
+        return absolutePath;
+    }
+
+    /**
+     * Scan the directory and all sub directories with a single find command
+     * Symlinks are not followed, they are listed as files like by SFTP
+     * @returns {Promise<void>}
+     */
+    async scanDirectory() {
+        this.logger.debug(`Scanning SSH directory ${this.directory}`);
+        this.files = [];
+        this.fileInfo = new Map();
+
+        try {
+            const output = await this.run(`find ${quoteShellArgument(this.directory)} -mindepth 1 -printf '%y %s %T@ %P\\0'`);
+            const base = this.directory.endsWith('/') ? this.directory : this.directory + '/';
+            for (const entry of parseFindOutput(output.toString('utf8'))) {
+                if (entry.type === 'd') {
+                    this.logger.trace(`Found directory ${base}${entry.path}`);
+                    continue;
+                }
+                const fullPath = base + entry.path;
+                this.logger.trace(`Found file ${fullPath}`);
+                this.files.push(fullPath);
+                this.fileInfo.set(fullPath, {
+                    size: entry.size,
+                    mtime: entry.mtime,
+                });
+            }
+        } catch (err) {
+            this.logger.error(`Error listing directory ${this.directory}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Get the files
+     * @returns {Array<string>}
+     */
+    async getFiles() {
+        return this.files;
+    }
+
+    /**
+     * Get size and modification time of a file found while scanning
+     * @param {string} path
+     * @returns {{size: number, mtime: number}|undefined} - mtime in milliseconds since epoch
+     */
+    getFileInfo(path) {
+        return this.fileInfo.get(path);
+    }
+
+    /**
+     * Writes a file
+     * @param {string} path
+     * @param {Buffer} content
+     * @returns {Promise<void>}
+     */
+    async writeFile(path, content) {
+        this.logger.debug(`Writing file ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.run(`cat > ${quoteShellArgument(path)}`, { stdin: content });
+            this.logger.debug(`Successfully wrote file ${path}`);
+        } catch (err) {
+            this.logger.error(`Error writing file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Reads a file
+     * @param {string} path
+     * @returns {Promise<Buffer>}
+     */
+    async readFile(path) {
+        this.logger.debug(`Reading file ${path}`);
+
+        try {
+            const content = await this.run(`cat -- ${quoteShellArgument(path)}`);
+            this.logger.debug(`Successfully read file ${path}`);
+            return content;
+        } catch (err) {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates a stream to read a file
+     * @param {string} path
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(path) {
+        this.logger.debug(`Reading file ${path} as stream`);
+
+        const stream = new PassThrough();
+        this.run(`cat -- ${quoteShellArgument(path)}`, { stdout: stream }).catch((err) => {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            stream.destroy(err);
+        });
+        return stream;
+    }
+
+    /**
+     * Creates a stream to write a file
+     * The stream finishes once the file was written
+     * @param {string} path
+     * @returns {Promise<Writable>}
+     */
+    async createWriteStream(path) {
+        this.logger.debug(`Writing file ${path} as stream`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return createDiscardStream();
+        }
+
+        return createUploadStream(async (input) => {
+            try {
+                await this.run(`cat > ${quoteShellArgument(path)}`, { stdin: input });
+            } catch (err) {
+                this.logger.error(`Error writing file ${path}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Successfully wrote file ${path}`);
+        });
+    }
+
+    /**
+     * Deletes a file
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async deleteFile(path) {
+        this.logger.debug(`Deleting file ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.run(`rm -f -- ${quoteShellArgument(path)}`);
+            this.logger.debug(`Successfully deleted file ${path}`);
+        } catch (err) {
+            this.logger.warn(`Error deleting file ${path}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Renames a file, replacing the target in case it exists
+     * The target is never treated as directory, so symlinks to directories are replaced as well
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async rename(from, to) {
+        this.logger.debug(`Renaming file ${from} to ${to}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.run(`mv -f -T -- ${quoteShellArgument(from)} ${quoteShellArgument(to)}`);
+        } catch (err) {
+            this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+            throw err;
+        }
+        this.logger.debug(`Successfully renamed file ${from} to ${to}`);
+    }
+
+    /**
+     * Creates a symlink
+     * @param {string} target - Path the symlink points to, relative to the directory of the symlink
+     * @param {string} path - Path of the symlink
+     * @returns {Promise<void>}
+     */
+    async symlink(target, path) {
+        this.logger.debug(`Creating symlink ${path} -> ${target}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.run(`ln -s -- ${quoteShellArgument(target)} ${quoteShellArgument(path)}`);
+            this.logger.debug(`Successfully created symlink ${path}`);
+        } catch (err) {
+            this.logger.error(`Error creating symlink ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Reads the target of a symlink
+     * @param {string} path - Path of the symlink
+     * @returns {Promise<string|null>} - null in case the path does not exist or is no symlink
+     */
+    async readLink(path) {
+        // readlink fails for missing paths and paths that are no symlinks, which is not an error here
+        const target = (await this.run(`readlink -- ${quoteShellArgument(path)} || true`)).toString('utf8').replace(/\n$/, '');
+        return target || null;
+    }
+
+    /**
+     * Creates a directory
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async createDirectory(path) {
+        this.logger.debug(`Creating directory ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.run(`mkdir -p -- ${quoteShellArgument(path)}`);
+            this.logger.debug(`Successfully created directory ${path}`);
+        } catch (err) {
+            this.logger.error(`Error creating directory ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Deletes a directory
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async deleteDirectory(path) {
+        this.logger.debug(`Deleting directory ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this.run(`rm -rf -- ${quoteShellArgument(path)}`);
+            this.logger.debug(`Successfully deleted directory ${path}`);
+        } catch (err) {
+            this.logger.warn(`Error deleting directory ${path}: ${err.message}`);
+        }
+    }
+}
@@ -0,0 +1,69 @@
+import { PassThrough, Writable } from 'stream';
+
+/**
+ * Create a stream that discards everything written to it, used for dry runs
+ * @returns {Writable}
+ */
+export const createDiscardStream = () => {
+    return new Writable({
+        write(_chunk, _encoding, callback) {
+            callback();
+        },
+    });
+};
+
+/**
+ * Call a listener once a stream failed, right away in case it failed already
+ * Uploads start after waiting for their connection, by then the input may have been destroyed
+ * @param {Stream} stream
+ * @param {function(Error): void} listener
+ */
+export const onStreamError = (stream, listener) => {
+    if (stream.errored) {
+        listener(stream.errored);
+    } else {
+        stream.once('error', listener);
+    }
+};
+
+/**
+ * Create a writable stream for clients that upload from a readable stream (e.g. ftp's put)
+ * The returned stream only finishes after the upload was completed, so it can be awaited with pipeline()
+ * @param {function(PassThrough): Promise<void>} startUpload - Starts the upload reading from the given stream
+ * @returns {Writable}
+ */
+export const createUploadStream = (startUpload) => {
+    const input = new PassThrough();
+    const upload = startUpload(input);
+
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            if (input.write(chunk, encoding)) {
+                callback();
+            } else {
+                input.once('drain', () => callback());
+            }
+        },
+        final(callback) {
+            input.end();
+            upload.then(() => callback(), callback);
+        },
+        destroy(err, callback) {
+            // Hand the error on, so the upload is aborted instead of waiting for the rest of the input
+            if (err || stream.writableFinished) {
+                input.destroy(err);
+            } else {
+                input.destroy(new Error('The upload was aborted'));
+            }
+            callback(err);
+        },
+    });
+
+    // The error is reported by the returned stream already, the uploads only react to it
+    input.on('error', () => {});
+
+    // In case the upload fails before everything was written, nobody would read the input anymore
+    upload.catch((err) => stream.destroy(err));
+
+    return stream;
+};
@@ -0,0 +1,569 @@
+import { XMLParser } from 'fast-xml-parser';
+import http from 'http';
+import https from 'https';
+import { Readable } from 'stream';
+import { URL } from 'url';
+
+import { createLogger } from '../logger.js';
+import { getPoolSize } from './connectionPool.js';
+import { HttpAuthenticator } from './httpAuth.js';
+import { createDiscardStream, createUploadStream, onStreamError } from './streams.js';
+
+/**
+ * Requests fail in case the server does not answer, or a transfer stalls, for this many milliseconds
+ */
+const REQUEST_TIMEOUT = 60000;
+
+/**
+ * Milliseconds to wait for "100 Continue" before sending the body of an upload anyway, as some servers never send it
+ */
+const CONTINUE_TIMEOUT = 1000;
+
+/**
+ * Properties requested when listing a directory
+ */
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:getcontentlength/><d:getlastmodified/></d:prop></d:propfind>';
+
+/**
+ * Encode a path for the request line, keeping its slashes
+ * @param {string} path
+ * @returns {string}
+ */
+const encodePath = (path) => {
+    return path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+};
+
+/**
+ * Parse the multistatus response of a PROPFIND request
+ * @param {string} xml
+ * @returns {{path: string, isDirectory: boolean, size: number|undefined, mtime: number|undefined}[]} - decoded paths without trailing slash
+ */
+export const parseMultiStatus = (xml) => {
+    const parser = new XMLParser({
+        removeNSPrefix: true,
+        parseTagValue: false,
+        isArray: (name) => name === 'response' || name === 'propstat',
+    });
+    const document = parser.parse(xml);
+    const responses = (document.multistatus && document.multistatus.response) || [];
+
+    return responses.map((response) => {
+        // The href is either a path or an absolute URL
+        const href = new URL(String(response.href).trim(), 'http://localhost').pathname;
+        const properties = Object.assign({}, ...(response.propstat || [])
+            .filter(propstat => / 200 /.test(` ${propstat.status} `))
+            .map(propstat => propstat.prop || {}));
+
+        const size = parseInt(properties.getcontentlength, 10);
+        const mtime = Date.parse(properties.getlastmodified);
+        return {
+            path: decodeURIComponent(href).replace(/\/+$/, '') || '/',
+            isDirectory: typeof properties.resourcetype === 'object' && 'collection' in properties.resourcetype,
+            size: isNaN(size) ? undefined : size,
+            mtime: isNaN(mtime) ? undefined : mtime,
+        };
+    });
+};
+
+/**
+ * Class to handle WebDAV file system operations
+ */
+export class WebDavFileSystem {
+    logger;
+    config;
+    url;
+    transport;
+    protocol;
+    host;
+    port;
+    directory;
+    authenticator;
+    agent;
+    files;
+    fileInfo;
+
+    /**
+     * Constructor
+     * @param {string} url - WebDAV URL (e.g., "webdavs://host[:port]/remote.php/dav/files/user/directory")
+     * @param {Object} config - Configuration object
+     * @param {string} [config.USERNAME] - Username for basic or digest authentication
+     * @param {string} [config.PASSWORD] - Password
+     * @param {string} [config.CONNECTIONS] - Number of parallel requests (default: 1)
+     * @param {boolean} [config.IGNORE_SSL_TRUST] - Ignore SSL certificate trust
+     */
+    constructor(url, config = {}) {
+        this.logger = createLogger('WebDavFileSystem');
+        this.url = url;
+        this.config = config;
+        this.files = [];
+        this.fileInfo = new Map();
+
+        // Parse the URL
+        const parsedUrl = new URL(url);
+        const secure = parsedUrl.protocol === 'webdavs:';
+        this.transport = secure ? https : http;
+        this.protocol = secure ? 'https:' : 'http:';
+        this.host = parsedUrl.hostname;
+        this.port = parsedUrl.port ? parseInt(parsedUrl.port) : (secure ? 443 : 80);
+        this.directory = decodeURIComponent(parsedUrl.pathname).replace(/\/+$/, '') || '/';
+
+        // Fail early for invalid values
+        getPoolSize(config);
+
+        this.logger.debug(`Initialized WebDAV client for ${this.protocol}//${this.host}:${this.port}${this.directory}`);
+    }
+
+    /**
+     * Connect to the WebDAV server
+     * HTTP has no sessions, so this only checks the credentials with a request to the directory
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        this.authenticator = new HttpAuthenticator(this.config.USERNAME, this.config.PASSWORD);
+        this.agent = new this.transport.Agent({
+            keepAlive: true,
+            maxSockets: getPoolSize(this.config),
+            rejectUnauthorized: !this.config.IGNORE_SSL_TRUST,
+        });
+
+        try {
+            // The directory may not exist yet
+            const response = await this.request('PROPFIND', this.getCollectionPath(this.directory), {
+                headers: { 'Depth': '0' },
+                expected: [207, 404],
+            });
+            response.resume();
+            this.logger.debug('WebDAV connection established');
+        } catch (err) {
+            this.logger.error('WebDAV connection error: ' + err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Disconnect from the WebDAV server
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.agent) {
+            this.agent.destroy();
+            this.agent = null;
+        }
+    }
+
+    /**
+     * Get the path of a directory for requests, as collections are addressed with a trailing slash
+     * @param {string} path
+     * @returns {string}
+     */
+    getCollectionPath(path) {
+        return path.endsWith('/') ? path : path + '/';
+    }
+
+    /**
+     * Send a request, answering authentication challenges of the server
+     * @param {string} method
+     * @param {string} path - Decoded path on the server
+     * @param {Object} [options]
+     * @param {Object} [options.headers]
+     * @param {Buffer|string|Readable} [options.body]
+     * @param {number[]} [options.expected] - Status codes of a successful response
+     * @returns {Promise<http.IncomingMessage>} - The response, its body has to be consumed
+     */
+    async request(method, path, { headers = {}, body, expected = [200, 201, 204] } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            const { response, repeatable } = await this._send(method, path, headers, body);
+
+            if (response.statusCode === 401 && attempt === 1 && repeatable) {
+                const challenges = [];
+                for (let i = 0; i < response.rawHeaders.length; i += 2) {
+                    if (response.rawHeaders[i].toLowerCase() === 'www-authenticate') {
+                        challenges.push(response.rawHeaders[i + 1]);
+                    }
+                }
+                response.resume();
+                if (this.authenticator.challenge(challenges)) {
+                    this.logger.trace(`Repeating ${method} ${path} with ${this.authenticator.scheme} authentication`);
+                    continue;
+                }
+            }
+
+            if (!expected.includes(response.statusCode)) {
+                response.resume();
+                const error = new Error(`${method} ${path} failed: ${response.statusCode} ${response.statusMessage}`);
+                error.statusCode = response.statusCode;
+                throw error;
+            }
+            return response;
+        }
+    }
+
+    /**
+     * Send a single request
+     * Bodies from streams are only sent once the server accepted the request ("100 Continue"),
+     * so the request can be repeated in case the credentials are challenged
+     * The authenticator learns when the server received the request, to hand out digest nonce counts in order
+     * @param {string} method
+     * @param {string} path - Decoded path on the server
+     * @param {Object} headers
+     * @param {Buffer|string|Readable} [body]
+     * @returns {Promise<{response: http.IncomingMessage, repeatable: boolean}>}
+     */
+    async _send(method, path, headers, body) {
+        const uri = encodePath(path);
+        const { authorization, received } = await this.authenticator.authorize(method, uri);
+
+        return new Promise((resolve, reject) => {
+            const isStream = body instanceof Readable;
+            const request = this.transport.request({
+                host: this.host,
+                port: this.port,
+                method,
+                path: uri,
+                agent: this.agent,
+                timeout: REQUEST_TIMEOUT,
+                headers: {
+                    ...headers,
+                    ...(authorization ? { 'Authorization': authorization } : {}),
+                    ...(isStream ? { 'Expect': '100-continue' } : {}),
+                },
+            });
+            let sending = false;
+            let continueTimer = null;
+
+            request.on('timeout', () => {
+                const error = new Error(`Timeout while waiting for the server on ${method} ${path}`);
+                error.code = 'ETIMEDOUT';
+                request.destroy(error);
+            });
+            request.on('error', reject);
+            // Also in case the request failed, so the following requests do not wait forever
+            request.on('continue', received);
+            request.on('close', received);
+            request.on('response', (response) => {
+                received();
+                clearTimeout(continueTimer);
+                if (isStream && !sending) {
+                    // Answered without the body, which is kept for the next attempt
+                    request.destroy();
+                }
+                resolve({ response, repeatable: !isStream || !sending });
+            });
+
+            if (!isStream) {
+                request.end(body);
+                return;
+            }
+            // Also while waiting for "100 Continue"
+            onStreamError(body, (err) => request.destroy(err));
+            const send = () => {
+                if (sending) {
+                    return;
+                }
+                sending = true;
+                clearTimeout(continueTimer);
+                body.pipe(request);
+            };
+            request.on('continue', send);
+            continueTimer = setTimeout(send, CONTINUE_TIMEOUT);
+        });
+    }
+
+    /**
+     * Read the body of a response
+     * @param {http.IncomingMessage} response
+     * @returns {Promise<Buffer>}
+     */
+    async readBody(response) {
+        const chunks = [];
+        for await (const chunk of response) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Get relative path from absolute path based on this file system's base path
+     * @param {string} absolutePath - Absolute file path
+     * @returns {string} - Relative path from base path
+     */
+    getAsRelativePath(absolutePath) {
+        const normalizedBase = this.getCollectionPath(this.directory);
+
+        if (absolutePath.startsWith(normalizedBase)) {
+            return absolutePath.substring(normalizedBase.length);
+        }
+
+        return absolutePath;
+    }
+
+    /**
+     * Scan the directory and all sub directories
+     * @returns {Promise<void>}
+     */
+    async scanDirectory() {
+        this.logger.debug(`Scanning WebDAV directory ${this.directory}`);
+        this.files = [];
+        this.fileInfo = new Map();
+
+        await this._scanDirectoryRecursive(this.directory);
+    }
+
+    /**
+     * Recursively scan directory, listing one level per PROPFIND request
+     * @param {string} dir - Directory path
+     * @returns {Promise<void>}
+     */
+    async _scanDirectoryRecursive(dir) {
+        try {
+            const response = await this.request('PROPFIND', this.getCollectionPath(dir), {
+                headers: { 'Depth': '1', 'Content-Type': 'application/xml; charset=utf-8' },
+                body: PROPFIND_BODY,
+                expected: [207],
+            });
+            const entries = parseMultiStatus((await this.readBody(response)).toString('utf8'));
+
+            const promises = [];
+
+            for (const entry of entries) {
+                // The directory itself is part of the response
+                if (entry.path === dir || !entry.path.startsWith(this.getCollectionPath(dir))) {
+                    continue;
+                }
+
+                if (entry.isDirectory) {
+                    this.logger.trace(`Found directory ${entry.path}`);
+                    promises.push(this._scanDirectoryRecursive(entry.path));
+                } else {
+                    this.logger.trace(`Found file ${entry.path}`);
+                    this.files.push(entry.path);
+                    this.fileInfo.set(entry.path, {
+                        size: entry.size,
+                        mtime: entry.mtime,
+                    });
+                }
+            }
+
+            if (promises.length > 0) {
+                this.logger.trace(`Waiting for ${promises.length} found sub directories`);
+                await Promise.all(promises);
+            }
+        } catch (err) {
+            this.logger.error(`Error listing directory ${dir}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Get the files
+     * @returns {Array<string>}
+     */
+    async getFiles() {
+        return this.files;
+    }
+
+    /**
+     * Get size and modification time of a file found while scanning
+     * @param {string} path
+     * @returns {{size: number, mtime: number}|undefined} - mtime in milliseconds since epoch
+     */
+    getFileInfo(path) {
+        return this.fileInfo.get(path);
+    }
+
+    /**
+     * Writes a file
+     * @param {string} path
+     * @param {Buffer} content
+     * @returns {Promise<void>}
+     */
+    async writeFile(path, content) {
+        this.logger.debug(`Writing file ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            const response = await this.request('PUT', path, { body: content });
+            response.resume();
+            this.logger.debug(`Successfully wrote file ${path}`);
+        } catch (err) {
+            this.logger.error(`Error writing file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Reads a file
+     * @param {string} path
+     * @returns {Promise<Buffer>}
+     */
+    async readFile(path) {
+        this.logger.debug(`Reading file ${path}`);
+
+        try {
+            const response = await this.request('GET', path, { expected: [200] });
+            const content = await this.readBody(response);
+            this.logger.debug(`Successfully read file ${path}`);
+            return content;
+        } catch (err) {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates a stream to read a file
+     * @param {string} path
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(path) {
+        this.logger.debug(`Reading file ${path} as stream`);
+
+        try {
+            return await this.request('GET', path, { expected: [200] });
+        } catch (err) {
+            this.logger.error(`Error reading file ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Creates a stream to write a file
+     * @param {string} path
+     * @returns {Promise<Writable>}
+     */
+    async createWriteStream(path) {
+        this.logger.debug(`Writing file ${path} as stream`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return createDiscardStream();
+        }
+
+        return createUploadStream(async (input) => {
+            try {
+                const response = await this.request('PUT', path, { body: input });
+                response.resume();
+            } catch (err) {
+                this.logger.error(`Error writing file ${path}: ${err.message}`);
+                throw err;
+            }
+            this.logger.debug(`Successfully wrote file ${path}`);
+        });
+    }
+
+    /**
+     * Deletes a file
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async deleteFile(path) {
+        this.logger.debug(`Deleting file ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            const response = await this.request('DELETE', path);
+            response.resume();
+            this.logger.debug(`Successfully deleted file ${path}`);
+        } catch (err) {
+            this.logger.warn(`Error deleting file ${path}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Renames a file, replacing the target in case it exists
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async rename(from, to) {
+        this.logger.debug(`Renaming file ${from} to ${to}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            const response = await this.request('MOVE', from, {
+                headers: {
+                    'Destination': `${this.protocol}//${this.host}:${this.port}${encodePath(to)}`,
+                    'Overwrite': 'T',
+                },
+            });
+            response.resume();
+        } catch (err) {
+            this.logger.error(`Error renaming file ${from} to ${to}: ${err.message}`);
+            throw err;
+        }
+        this.logger.debug(`Successfully renamed file ${from} to ${to}`);
+    }
+
+    /**
+     * Creates a directory, including missing parent directories
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async createDirectory(path) {
+        this.logger.debug(`Creating directory ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            await this._createCollection(path);
+            this.logger.debug(`Successfully created directory ${path}`);
+        } catch (err) {
+            this.logger.error(`Error creating directory ${path}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Create a collection, creating its parent first in case it is missing
+     * Directories are created in parallel, so a parent may not exist yet
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async _createCollection(path) {
+        // 405 tells that the collection exists already, 409 that its parent is missing
+        const response = await this.request('MKCOL', this.getCollectionPath(path), { expected: [201, 405, 409] });
+        response.resume();
+        if (response.statusCode !== 409) {
+            return;
+        }
+
+        const parent = path.substring(0, path.lastIndexOf('/'));
+        if (!parent) {
+            throw new Error(`MKCOL ${path} failed: ${response.statusCode} ${response.statusMessage}`);
+        }
+        await this._createCollection(parent);
+        (await this.request('MKCOL', this.getCollectionPath(path), { expected: [201, 405] })).resume();
+    }
+
+    /**
+     * Deletes a directory and everything inside of it
+     * @param {string} path
+     * @returns {Promise<void>}
+     */
+    async deleteDirectory(path) {
+        this.logger.debug(`Deleting directory ${path}`);
+
+        if (process.env.PLUGIN_DRY_RUN === "true") {
+            return;
+        }
+
+        try {
+            const response = await this.request('DELETE', this.getCollectionPath(path));
+            response.resume();
+            this.logger.debug(`Successfully deleted directory ${path}`);
+        } catch (err) {
+            this.logger.warn(`Error deleting directory ${path}: ${err.message}`);
+        }
+    }
+}
@@ -0,0 +1,87 @@
+import { isValidPattern, matchesPattern } from './skipFiles.js';
+
+/**
+ * Headers that can be set by PLUGIN_HEADERS, by their lower case name
+ */
+const SUPPORTED_HEADERS = {
+    'cache-control': 'Cache-Control',
+    'content-type': 'Content-Type',
+    'content-disposition': 'Content-Disposition',
+    'content-encoding': 'Content-Encoding',
+    'content-language': 'Content-Language',
+};
+
+/**
+ * Shorthands of Cache-Control values
+ */
+const CACHE_CONTROL_SHORTHANDS = {
+    immutable: 'public, max-age=31536000, immutable',
+};
+
+/**
+ * Parse the header of a rule, e.g. "Content-Type: text/plain" or just "no-cache" for the Cache-Control header
+ * @param {string} value
+ * @param {string} rule - The whole rule, for error messages
+ * @returns {{name: string, value: string}}
+ */
+const parseHeader = (value, rule) => {
+    const match = value.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) {
+        return { name: 'Cache-Control', value: CACHE_CONTROL_SHORTHANDS[value.toLowerCase()] || value };
+    }
+
+    const name = SUPPORTED_HEADERS[match[1].toLowerCase()];
+    if (!name) {
+        throw new Error(`Unsupported header in PLUGIN_HEADERS: ${match[1]}`);
+    }
+    const headerValue = match[2].trim();
+    if (!headerValue) {
+        throw new Error(`Invalid rule in PLUGIN_HEADERS: ${rule}`);
+    }
+    if (name === 'Cache-Control') {
+        return { name, value: CACHE_CONTROL_SHORTHANDS[headerValue.toLowerCase()] || headerValue };
+    }
+    return { name, value: headerValue };
+};
+
+/**
+ * Get the header rules, from semicolon separated "pattern=header" rules in PLUGIN_HEADERS
+ * A rule sets the Cache-Control header, unless it names another header (e.g. "**.map=Content-Type: application/json")
+ * @returns {{pattern: string, name: string, value: string}[]}
+ */
+export const getHeaderRules = () => {
+    const rules = (process.env.PLUGIN_HEADERS || '').split(';').map(rule => rule.trim()).filter(rule => rule);
+
+    return rules.map((rule) => {
+        const separator = rule.indexOf('=');
+        if (separator === -1) {
+            throw new Error(`Invalid rule in PLUGIN_HEADERS: ${rule}`);
+        }
+        const pattern = rule.substring(0, separator).trim();
+        const value = rule.substring(separator + 1).trim();
+        if (!pattern || !value) {
+            throw new Error(`Invalid rule in PLUGIN_HEADERS: ${rule}`);
+        }
+        if (!isValidPattern(pattern)) {
+            throw new Error(`Invalid pattern in PLUGIN_HEADERS: ${pattern}`);
+        }
+        return { pattern, ...parseHeader(value, rule) };
+    });
+};
+
+/**
+ * Get the headers of a file from the rules matching it
+ * Rules are applied in their order, so later rules win over earlier ones setting the same header
+ * @param {string} relativePath - Path of the file, relative to the target path
+ * @param {{pattern: string, name: string, value: string}[]} rules
+ * @returns {Object<string, string>} - Header values by their name, e.g. {"Cache-Control": "no-cache"}
+ */
+export const getHeaders = (relativePath, rules) => {
+    const headers = {};
+    for (const rule of rules) {
+        if (matchesPattern(relativePath, rule.pattern)) {
+            headers[rule.name] = rule.value;
+        }
+    }
+    return headers;
+};
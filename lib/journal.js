@@ -0,0 +1,382 @@
+import fs from 'fs/promises';
+import nodePath from 'path';
+
+import { createLogger } from './logger.js';
+import { PHASES } from './Plan.js';
+import { joinPath } from './paths.js';
+import { deserializePlan, serializePlan } from './planOutput.js';
+
+const logger = createLogger('journal');
+
+/**
+ * Name of the journal file, stored in the base path of the target
+ */
+export const JOURNAL_FILE_NAME = '.push-to-journal.json';
+
+/**
+ * Number of completed steps after which a journal on the target is rewritten
+ */
+const TARGET_FLUSH_INTERVAL = 50;
+
+/**
+ * Get where the journal is stored
+ * @returns {'local'|'target'|null} - null in case the journal is disabled
+ */
+export const getJournalMode = () => {
+    const mode = process.env.PLUGIN_JOURNAL;
+    if (!mode) {
+        return null;
+    }
+    if (mode !== 'local' && mode !== 'target') {
+        throw new Error(`Invalid PLUGIN_JOURNAL: ${mode}`);
+    }
+    return mode;
+};
+
+/**
+ * Get the base path of a file system
+ * @param {FileSystem} fileSystem
+ * @returns {string}
+ */
+const getBasePath = (fileSystem) => {
+    return fileSystem.path || fileSystem.directory || '';
+};
+
+/**
+ * Journal stored as JSON lines on the machine running push-to
+ * The first line holds the plan, every further line a completed step, so completing a step is a single append
+ */
+export class LocalJournalStorage {
+    path;
+
+    /**
+     * Constructor
+     * @param {string} path - Local path of the journal file
+     */
+    constructor(path) {
+        this.path = path;
+    }
+
+    /**
+     * Read the journal
+     * @returns {Promise<Object|null>} - null in case there is none
+     */
+    async read() {
+        let content;
+        try {
+            content = await fs.readFile(this.path, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+
+        const lines = content.split('\n').filter(line => line.trim());
+        const document = JSON.parse(lines[0]);
+        document.completed = [];
+        for (const line of lines.slice(1)) {
+            try {
+                document.completed.push(JSON.parse(line).completed);
+            } catch (err) {
+                // The last line may be truncated, in case the run was killed while appending it
+                logger.debug(`Ignoring invalid journal line: ${line}`);
+            }
+        }
+        return document;
+    }
+
+    /**
+     * Write the whole journal
+     * @param {Object} document
+     * @param {string[]} completed
+     * @returns {Promise<void>}
+     */
+    async write(document, completed) {
+        const lines = [JSON.stringify(document), ...completed.map(id => JSON.stringify({ completed: id }))];
+        await fs.mkdir(nodePath.dirname(this.path), { recursive: true });
+        await fs.writeFile(this.path, lines.join('\n') + '\n');
+    }
+
+    /**
+     * Record a completed step
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async record(id) {
+        await fs.appendFile(this.path, JSON.stringify({ completed: id }) + '\n');
+    }
+
+    /**
+     * Nothing to do, every step is appended right away
+     * @returns {Promise<void>}
+     */
+    async flush() {
+    }
+
+    /**
+     * Delete the journal
+     * @returns {Promise<void>}
+     */
+    async delete() {
+        await fs.rm(this.path, { force: true });
+    }
+}
+
+/**
+ * Journal stored as JSON file in the base path of the target
+ * Remote file systems can't append, so the journal is rewritten every few steps and after every phase
+ */
+export class TargetJournalStorage {
+    targetFs;
+    path;
+    pending;
+    document;
+    completed;
+
+    /**
+     * Constructor
+     * @param {FileSystem} targetFs
+     */
+    constructor(targetFs) {
+        this.targetFs = targetFs;
+        this.path = joinPath(getBasePath(targetFs), JOURNAL_FILE_NAME);
+        this.pending = 0;
+    }
+
+    /**
+     * Read the journal
+     * The target file system has to be scanned before
+     * @returns {Promise<Object|null>} - null in case there is none
+     */
+    async read() {
+        if (!(await this.targetFs.getFiles()).includes(this.path)) {
+            return null;
+        }
+        const content = await this.targetFs.readFile(this.path);
+        return JSON.parse(content.toString());
+    }
+
+    /**
+     * Write the whole journal
+     * @param {Object} document
+     * @param {string[]} completed
+     * @returns {Promise<void>}
+     */
+    async write(document, completed) {
+        this.document = document;
+        this.completed = completed;
+        this.pending = 0;
+        await this.targetFs.writeFile(this.path, Buffer.from(JSON.stringify({ ...document, completed })));
+    }
+
+    /**
+     * Record a completed step, the journal is only rewritten every few steps
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async record(id) {
+        this.completed.push(id);
+        this.pending++;
+        if (this.pending >= TARGET_FLUSH_INTERVAL) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Write the steps completed since the last write
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.pending > 0) {
+            await this.write(this.document, this.completed);
+        }
+    }
+
+    /**
+     * Delete the journal
+     * @returns {Promise<void>}
+     */
+    async delete() {
+        await this.targetFs.deleteFile(this.path);
+    }
+}
+
+/**
+ * Journal of a deployment, recording the plan and every completed step
+ * A run that was interrupted can be resumed from it, the journal is deleted after a clean completion
+ * @param {LocalJournalStorage|TargetJournalStorage} storage
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ */
+export class Journal {
+    storage;
+    sourceFs;
+    targetFs;
+    document;
+    completed;
+    queue;
+
+    constructor(storage, sourceFs, targetFs) {
+        this.storage = storage;
+        this.sourceFs = sourceFs;
+        this.targetFs = targetFs;
+        this.document = null;
+        this.completed = new Set();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Restore the plan of an unfinished deployment
+     * With PLUGIN_JOURNAL_ABORT=true, the unfinished deployment is discarded instead, so a new plan rolls forward
+     * @returns {Promise<Plan|null>} - null in case there is nothing to resume
+     */
+    async resume() {
+        // A journal on the target can only be found by scanning it, the scan is reused to check for deleted files below
+        const scanned = this.storage instanceof TargetJournalStorage;
+        if (scanned) {
+            await this.targetFs.scanDirectory();
+        }
+
+        let document;
+        try {
+            document = await this.storage.read();
+        } catch (err) {
+            logger.warn(`Journal is corrupt, creating a new plan: ${err.message}`);
+            return null;
+        }
+        if (!document) {
+            return null;
+        }
+
+        if (process.env.PLUGIN_JOURNAL_ABORT === 'true') {
+            logger.warn(`Discarding the unfinished deployment started at ${document.started}, creating a new plan`);
+            await this.storage.delete();
+            return null;
+        }
+        if (document.sourcePath !== getBasePath(this.sourceFs) || document.targetPath !== getBasePath(this.targetFs)) {
+            logger.warn('Journal belongs to a deployment of other paths, creating a new plan');
+            await this.storage.delete();
+            return null;
+        }
+
+        const plan = deserializePlan(document.plan, this.sourceFs, this.targetFs);
+        this.document = document;
+        this.completed = new Set(document.completed);
+
+        // Deletions may have happened without being recorded, those would fail when repeated
+        if (!scanned) {
+            await this.targetFs.scanDirectory();
+        }
+        const targetFiles = await this.targetFs.getFiles();
+        const existingFiles = new Set(targetFiles);
+        let total = 0;
+        for (const phase of PHASES) {
+            plan[phase].forEach((step, index) => {
+                total++;
+                const id = `${phase}/${index}`;
+                if (this.completed.has(id)) {
+                    return;
+                }
+                if ((step.action === 'delete_file' && !existingFiles.has(step.target)) ||
+                    (step.action === 'delete_directory' && !targetFiles.some(file => file.startsWith(step.target + '/')))) {
+                    this.completed.add(id);
+                }
+            });
+        }
+
+        logger.info(`Resuming unfinished deployment started at ${document.started}, ` +
+            `${this.completed.size} of ${total} steps are done already`);
+        return plan;
+    }
+
+    /**
+     * Write the plan to the journal, before it is executed
+     * @param {Plan} plan
+     * @returns {Promise<void>}
+     */
+    async start(plan) {
+        if (!this.document) {
+            this.document = {
+                version: 1,
+                started: new Date().toISOString(),
+                sourcePath: getBasePath(this.sourceFs),
+                targetPath: getBasePath(this.targetFs),
+                // Step ids are indexes within the phases, so the order of the steps must be kept
+                plan: serializePlan(plan, this.sourceFs, this.targetFs, { sort: false, manifest: true }),
+            };
+        }
+        logger.debug('Writing journal');
+        await this.storage.write(this.document, [...this.completed]);
+    }
+
+    /**
+     * Check if a step was completed by a previous run
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isCompleted(id) {
+        return this.completed.has(id);
+    }
+
+    /**
+     * Record a completed step
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async complete(id) {
+        this.completed.add(id);
+        await this.enqueue(() => this.storage.record(id));
+    }
+
+    /**
+     * Make sure all completed steps are persisted, called after every phase
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.enqueue(() => this.storage.flush());
+    }
+
+    /**
+     * Delete the journal after the deployment completed
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        await this.queue;
+        logger.debug('Deleting journal');
+        await this.storage.delete();
+    }
+
+    /**
+     * Run journal writes one after another, a failing write does not fail the deployment
+     * @param {function(): Promise<void>} write
+     * @returns {Promise<void>}
+     */
+    enqueue(write) {
+        this.queue = this.queue.then(write).catch((err) => {
+            logger.warn(`Could not write journal: ${err.message}`);
+        });
+        return this.queue;
+    }
+}
+
+/**
+ * Create the journal for a deployment, in case it is enabled
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {Journal|null}
+ */
+export const createJournal = (sourceFs, targetFs) => {
+    const mode = getJournalMode();
+    if (!mode) {
+        return null;
+    }
+    if (process.env.PLUGIN_DRY_RUN === "true") {
+        logger.info('Journal is disabled in dry run mode');
+        return null;
+    }
+    const storage = mode === 'local'
+        ? new LocalJournalStorage(nodePath.resolve(process.env.PLUGIN_JOURNAL_PATH || '.push-to-journal.jsonl'))
+        : new TargetJournalStorage(targetFs);
+    return new Journal(storage, sourceFs, targetFs);
+};
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('manifest');
+
+/**
+ * Name of the manifest file, stored in the base path of the target
+ */
+export const MANIFEST_FILE_NAME = '.push-to-manifest.json';
+
+/**
+ * Hash the content of a file
+ * @param {Buffer|string} content
+ * @returns {string} - SHA-256 hash as hex string
+ */
+export const hashContent = (content) => {
+    return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Hash a file of a file system
+ * The file is streamed in case the file system supports it
+ * @param {FileSystem} fileSystem
+ * @param {string} path
+ * @returns {Promise<{hash: string, size: number}>}
+ */
+export const hashFile = async (fileSystem, path) => {
+    if (typeof fileSystem.createReadStream !== 'function') {
+        const content = await fileSystem.readFile(path);
+        return {
+            hash: hashContent(content),
+            size: content.length,
+        };
+    }
+
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const stream = await fileSystem.createReadStream(path);
+    for await (const chunk of stream) {
+        hash.update(chunk);
+        size += chunk.length;
+    }
+    return {
+        hash: hash.digest('hex'),
+        size,
+    };
+};
+
+/**
+ * Read the manifest from the target file system
+ * Returns null in case the manifest is missing or corrupt, so a full upload and metadata check will happen
+ * @param {FileSystem} targetFs
+ * @param {string} path - Full path of the manifest file
+ * @param {string[]} targetFiles - Files found on the target
+ * @returns {Promise<{files: Object<string, {hash: string, size: number}>, metadataHash: string|null}|null>} - Files by their relative path
+ */
+export const readManifest = async (targetFs, path, targetFiles) => {
+    if (!targetFiles.includes(path)) {
+        logger.info('No manifest found on target');
+        return null;
+    }
+
+    try {
+        const content = await targetFs.readFile(path);
+        const manifest = JSON.parse(content.toString());
+        if (!manifest || typeof manifest.files !== 'object' || manifest.files === null) {
+            throw new Error('files are missing');
+        }
+        logger.debug(`Read manifest with ${Object.keys(manifest.files).length} files`);
+        return {
+            files: manifest.files,
+            // Written by versions that did not record the metadata yet
+            metadataHash: typeof manifest.metadataHash === 'string' ? manifest.metadataHash : null,
+        };
+    } catch (err) {
+        logger.warn(`Manifest on target is corrupt, ignoring it: ${err.message}`);
+        return null;
+    }
+};
+
+/**
+ * Manifest that will be written to the target after the plan was executed
+ * @param {FileSystem} targetFs
+ * @param {string} path - Full path of the manifest file
+ * @param {Object<string, {hash: string, size: number}>} files - Relative path -> entry, empty unless in hash mode
+ * @param {string|null} [metadataHash] - Hash of the settings the metadata of all files is up to date with, see FileSystem#getMetadataHash()
+ */
+export class Manifest {
+    targetFs;
+    path;
+    files;
+    metadataHash;
+
+    constructor(targetFs, path, files, metadataHash = null) {
+        this.targetFs = targetFs;
+        this.path = path;
+        this.files = files;
+        this.metadataHash = metadataHash;
+    }
+
+    /**
+     * Write the manifest to the target file system
+     * @returns {Promise<void>}
+     */
+    async write() {
+        logger.debug(`Writing manifest with ${Object.keys(this.files).length} files to ${this.path}`);
+        const content = JSON.stringify({
+            version: 1,
+            files: this.files,
+            metadataHash: this.metadataHash,
+        }, null, 2);
+        await this.targetFs.writeFile(this.path, Buffer.from(content));
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Get directory path from file path
+ * @param {string} filePath
+ * @returns {string}
+ */
+export const getDirectoryPath = (filePath) => {
+    const lastSlash = filePath.lastIndexOf('/');
+    return lastSlash === -1 ? '' : filePath.substring(0, lastSlash);
+};
+
+/**
+ * Get all directories from a list of files
+ * @param {string[]} files
+ * @returns {Set<string>}
+ */
+export const getDirectories = (files) => {
+    const directories = new Set();
+    for (const file of files) {
+        const dir = getDirectoryPath(file);
+        if (dir) {
+            directories.add(dir);
+        }
+    }
+    return directories;
+};
+
+/**
+ * Get relative path from base path
+ * @param {string} fullPath - Full file path
+ * @param {string} basePath - Base directory path
+ * @returns {string} - Relative path from base
+ */
+export const getRelativePath = (fullPath, basePath) => {
+    if (!basePath) {
+        return fullPath;
+    }
+
+    // If the full path is exactly the same as the base path, return empty string
+    if (fullPath === basePath) {
+        return '';
+    }
+
+    // Ensure base path ends with /
+    const normalizedBase = basePath.endsWith('/') ? basePath : basePath + '/';
+
+    if (fullPath.startsWith(normalizedBase)) {
+        return fullPath.substring(normalizedBase.length);
+    }
+
+    return fullPath;
+};
+
+/**
+ * Join base path with relative path
+ * @param {string} basePath - Base directory path
+ * @param {string} relativePath - Relative path
+ * @returns {string} - Full path
+ */
+export const joinPath = (basePath, relativePath) => {
+    if (!basePath) {
+        return relativePath;
+    }
+
+    // Ensure base path ends with /
+    const normalizedBase = basePath.endsWith('/') ? basePath : basePath + '/';
+
+    // Remove leading / from relative path if present
+    const normalizedRelative = relativePath.startsWith('/') ? relativePath.substring(1) : relativePath;
+
+    return normalizedBase + normalizedRelative;
+};
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+import { getCompareMode } from './createPlan.js';
+import { createLogger } from './logger.js';
+import { hashFile } from './manifest.js';
+import { getRelativePath } from './paths.js';
+import { deserializePlan, serializePlan } from './planOutput.js';
+
+const logger = createLogger('planFile');
+
+/**
+ * Get the local path of the plan file used by the plan and apply modes
+ * @returns {string}
+ */
+export const getPlanFilePath = () => {
+    return process.env.PLUGIN_PLAN_FILE || 'push-to-plan.json';
+};
+
+/**
+ * Fingerprint the listing of a file system, so changes between planning and applying can be detected
+ * Covers the path, size and modification time of every file, the file system has to be scanned before
+ * @param {FileSystem} fileSystem
+ * @param {Object} [options]
+ * @param {boolean} [options.hashContent] - Also cover the content of every file, e.g. as the manifest of hash mode is based on it
+ * @returns {Promise<string>} - SHA-256 hash as hex string
+ */
+export const fingerprintFiles = async (fileSystem, { hashContent = false } = {}) => {
+    const basePath = fileSystem.path || fileSystem.directory || '';
+    const lines = [];
+    for (const file of await fileSystem.getFiles()) {
+        const info = typeof fileSystem.getFileInfo === 'function' ? fileSystem.getFileInfo(file) : undefined;
+        lines.push([
+            getRelativePath(file, basePath),
+            info ? info.size : '',
+            info ? info.mtime : '',
+            hashContent ? (await hashFile(fileSystem, file)).hash : '',
+        ].join('\t'));
+    }
+    lines.sort((a, b) => (a === b ? 0 : a < b ? -1 : 1));
+
+    const hash = crypto.createHash('sha256');
+    for (const line of lines) {
+        hash.update(line + '\n');
+    }
+    return hash.digest('hex');
+};
+
+/**
+ * Write a plan to the plan file, together with the fingerprints of the source and the target it was created for
+ * In hash mode the content of the source is fingerprinted as well, as the manifest of the plan holds its hashes
+ * Both file systems have to be scanned before, which createPlan() does
+ * @param {Plan} plan
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @param {string} path - Local path of the plan file
+ * @returns {Promise<void>}
+ */
+export const writePlanFile = async (plan, sourceFs, targetFs, path) => {
+    const hashSource = getCompareMode() === 'hash';
+    const document = {
+        ...serializePlan(plan, sourceFs, targetFs, { manifest: true }),
+        created: new Date().toISOString(),
+        fingerprint: await fingerprintFiles(targetFs),
+        sourceFingerprint: await fingerprintFiles(sourceFs, { hashContent: hashSource }),
+        hashSource,
+    };
+    logger.info(`Writing plan file ${path}`);
+    await fs.writeFile(path, JSON.stringify(document, null, 2) + '\n');
+};
+
+/**
+ * Read a plan from the plan file
+ * Refuses plans created for other paths, or for a source or target that has changed since
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @param {string} path - Local path of the plan file
+ * @returns {Promise<Plan>}
+ */
+export const readPlanFile = async (sourceFs, targetFs, path) => {
+    logger.info(`Reading plan file ${path}`);
+    const document = JSON.parse(await fs.readFile(path, 'utf8'));
+    if (document.version !== 1 || !document.steps || !document.fingerprint || !document.sourceFingerprint) {
+        throw new Error(`Invalid plan file: ${path}`);
+    }
+
+    const sourceBasePath = sourceFs.path || sourceFs.directory || '';
+    const targetBasePath = targetFs.path || targetFs.directory || '';
+    if (document.source !== sourceBasePath || document.target !== targetBasePath) {
+        throw new Error(`Plan was created for ${document.source} -> ${document.target}, ` +
+            `not for ${sourceBasePath} -> ${targetBasePath}`);
+    }
+
+    logger.debug('Scanning source and target to check for changes since the plan was created');
+    await Promise.all([
+        sourceFs.scanDirectory(),
+        targetFs.scanDirectory(),
+    ]);
+    if (await fingerprintFiles(targetFs) !== document.fingerprint) {
+        throw new Error(`Target has changed since the plan was created at ${document.created}, create a new plan`);
+    }
+    if (await fingerprintFiles(sourceFs, { hashContent: document.hashSource === true }) !== document.sourceFingerprint) {
+        throw new Error(`Source has changed since the plan was created at ${document.created}, create a new plan`);
+    }
+
+    return deserializePlan(document, sourceFs, targetFs);
+};
@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+
+import { createLogger } from './logger.js';
+import { Manifest } from './manifest.js';
+import { Plan, PHASES, PlanStep } from './Plan.js';
+import { getRelativePath, joinPath } from './paths.js';
+
+const logger = createLogger('planOutput');
+
+/**
+ * Compare two strings by their code points, so the order does not depend on the locale
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const compare = (a, b) => {
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+};
+
+/**
+ * Serialize a plan to a stable document, with paths relative to the base paths of the file systems
+ * Steps within a phase are sorted by their target, as they are executed in parallel anyway
+ * @param {Plan} plan
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @param {Object} [options]
+ * @param {boolean} [options.sort] - Sort the steps within a phase, disable to keep the order of the plan
+ * @param {boolean} [options.manifest] - Include the manifest, to execute the plan from the document later on
+ * @returns {Object}
+ */
+export const serializePlan = (plan, sourceFs, targetFs, { sort = true, manifest = false } = {}) => {
+    const sourceBasePath = sourceFs.path || sourceFs.directory || '';
+    const targetBasePath = targetFs.path || targetFs.directory || '';
+
+    const steps = {};
+    for (const phase of PHASES) {
+        const phaseSteps = plan[phase]
+            .map(step => ({
+                action: step.action,
+                // The source of a symlink is the path it points to, not a file of the source
+                source: step.source === null || step.action === 'symlink'
+                    ? step.source
+                    : getRelativePath(step.source, sourceBasePath),
+                target: getRelativePath(step.target, targetBasePath),
+                reason: step.reason,
+                size: step.size,
+            }));
+        steps[phase] = sort ? phaseSteps.sort((a, b) => compare(a.target, b.target)) : phaseSteps;
+    }
+
+    const document = {
+        version: 1,
+        source: sourceBasePath,
+        target: targetBasePath,
+        steps,
+        skipped: [...plan.skipped].sort((a, b) => compare(a.path, b.path)),
+    };
+    if (manifest) {
+        document.manifest = plan.manifest
+            ? {
+                path: getRelativePath(plan.manifest.path, targetBasePath),
+                files: plan.manifest.files,
+                metadataHash: plan.manifest.metadataHash,
+            }
+            : null;
+    }
+    return document;
+};
+
+/**
+ * Restore a plan from a document created by serializePlan()
+ * The relative paths are resolved against the base paths of the given file systems, the manifest is restored if included
+ * @param {Object} document
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {Plan}
+ */
+export const deserializePlan = (document, sourceFs, targetFs) => {
+    const sourceBasePath = sourceFs.path || sourceFs.directory || '';
+    const targetBasePath = targetFs.path || targetFs.directory || '';
+
+    const plan = new Plan();
+    for (const phase of PHASES) {
+        plan[phase] = (document.steps[phase] || []).map(step => new PlanStep(
+            step.action,
+            step.source === null || step.action === 'symlink' ? step.source : joinPath(sourceBasePath, step.source),
+            joinPath(targetBasePath, step.target),
+            sourceFs,
+            targetFs,
+            { reason: step.reason, size: step.size }
+        ));
+    }
+    plan.skipped = document.skipped || [];
+    if (document.manifest) {
+        plan.manifest = new Manifest(
+            targetFs,
+            joinPath(targetBasePath, document.manifest.path),
+            document.manifest.files,
+            document.manifest.metadataHash || null
+        );
+    }
+    return plan;
+};
+
+/**
+ * Write a plan as JSON document to a local file, e.g. to inspect it in a later pipeline step
+ * @param {Plan} plan
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @param {string} path - Local path of the file
+ * @returns {Promise<void>}
+ */
+export const writePlanOutput = async (plan, sourceFs, targetFs, path) => {
+    logger.info(`Writing plan to ${path}`);
+    const document = serializePlan(plan, sourceFs, targetFs);
+    await fs.writeFile(path, JSON.stringify(document, null, 2) + '\n');
+};
@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+
+import { createLogger } from './logger.js';
+import { PHASES } from './Plan.js';
+import { serializePlan } from './planOutput.js';
+
+const logger = createLogger('report');
+
+/**
+ * Titles of the phases within the report
+ */
+const PHASE_TITLES = {
+    stepCreateMissingDirectories: 'Create missing directories',
+    stepUploadAssets: 'Upload assets',
+    stepUploadLogic: 'Upload logic files',
+    stepActivateRelease: 'Activate release',
+    stepRemoveOldLogic: 'Remove old logic files',
+    stepRemoveOldAssets: 'Remove old assets',
+    stepDeleteOldDirectories: 'Delete old directories',
+};
+
+/**
+ * Format a number of bytes for humans, e.g. "1.5 KB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Get the label of a step within the tree, e.g. "+ main.css (7 B)"
+ * @param {Object} step - Serialized plan step
+ * @param {string} name - Last segment of the target path
+ * @returns {string}
+ */
+const getStepLabel = (step, name) => {
+    const size = step.size !== null && step.size !== undefined ? ` (${formatBytes(step.size)})` : '';
+    switch (step.action) {
+        case 'create_directory':
+            return `+ ${name}/`;
+        case 'copy':
+            return `${step.reason === 'changed' ? '~' : '+'} ${name}${size}`;
+        case 'symlink':
+            return `> ${name} -> ${step.source}`;
+        case 'update_metadata':
+            return `* ${name}`;
+        case 'delete_file':
+            return `- ${name}${size}`;
+        case 'delete_directory':
+            return `- ${name}/`;
+        default:
+            return `? ${name}`;
+    }
+};
+
+/**
+ * Render paths as tree
+ * @param {{path: string, label: string}[]} entries - Label of the last segment of every path
+ * @returns {string}
+ */
+export const renderTree = (entries) => {
+    const root = { children: new Map(), label: null };
+    for (const entry of entries) {
+        let node = root;
+        for (const segment of entry.path.split('/')) {
+            if (!node.children.has(segment)) {
+                node.children.set(segment, { children: new Map(), label: null });
+            }
+            node = node.children.get(segment);
+        }
+        node.label = entry.label;
+    }
+
+    const lines = ['.'];
+    const render = (node, prefix) => {
+        const names = [...node.children.keys()].sort((a, b) => (a === b ? 0 : a < b ? -1 : 1));
+        names.forEach((name, index) => {
+            const child = node.children.get(name);
+            const isLast = index === names.length - 1;
+            const label = child.label || (child.children.size > 0 ? `${name}/` : name);
+            lines.push(`${prefix}${isLast ? '└── ' : '├── '}${label}`);
+            render(child, prefix + (isLast ? '    ' : '│   '));
+        });
+    };
+    render(root, '');
+    return lines.join('\n');
+};
+
+/**
+ * Sum the known sizes of steps
+ * @param {Object[]} steps - Serialized plan steps
+ * @returns {number}
+ */
+const sumSizes = (steps) => {
+    return steps.reduce((sum, step) => sum + (step.size || 0), 0);
+};
+
+/**
+ * Create a Markdown report of a plan, to review the changes before or after they are applied
+ * @param {Plan} plan
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {string}
+ */
+export const createReport = (plan, sourceFs, targetFs) => {
+    const document = serializePlan(plan, sourceFs, targetFs);
+    const allSteps = PHASES.flatMap(phase => document.steps[phase]);
+    const copies = allSteps.filter(step => step.action === 'copy');
+    const added = copies.filter(step => step.reason !== 'changed');
+    const modified = copies.filter(step => step.reason === 'changed');
+    const metadataUpdates = allSteps.filter(step => step.action === 'update_metadata');
+    const deletedFiles = allSteps.filter(step => step.action === 'delete_file');
+    const deletedDirectories = allSteps.filter(step => step.action === 'delete_directory');
+
+    const lines = [
+        '# Deployment report',
+        '',
+        `Source: \`${document.source}\`  `,
+        `Target: \`${document.target}\`  `,
+    ];
+    if (process.env.PLUGIN_DRY_RUN === "true") {
+        lines.push('Dry run: nothing will be changed on the target  ');
+    }
+
+    lines.push(
+        '',
+        '| | Count | Bytes |',
+        '| --- | ---: | ---: |',
+        `| Added files | ${added.length} | ${formatBytes(sumSizes(added))} |`,
+        `| Modified files | ${modified.length} | ${formatBytes(sumSizes(modified))} |`,
+        `| Updated metadata | ${metadataUpdates.length} | |`,
+        `| Deleted files | ${deletedFiles.length} | ${formatBytes(sumSizes(deletedFiles))} |`,
+        `| Deleted directories | ${deletedDirectories.length} | |`,
+        `| Skipped files | ${document.skipped.length} | |`,
+        `| **Steps in total** | **${allSteps.length}** | |`,
+        '',
+        'Legend: `+` added, `~` modified, `*` updated metadata, `-` deleted, `>` symlink',
+    );
+
+    for (const phase of PHASES) {
+        const steps = document.steps[phase];
+        // Only used in release mode
+        if (phase === 'stepActivateRelease' && steps.length === 0) {
+            continue;
+        }
+
+        lines.push('', `## ${PHASE_TITLES[phase]} (${steps.length})`, '');
+        if (steps.length === 0) {
+            lines.push('Nothing to do');
+            continue;
+        }
+        const bytes = sumSizes(steps);
+        if (bytes > 0) {
+            lines.push(`${formatBytes(bytes)} in total`, '');
+        }
+        lines.push('```', renderTree(steps.map(step => ({
+            path: step.target,
+            label: getStepLabel(step, step.target.split('/').pop()),
+        }))), '```');
+    }
+
+    lines.push('', `## Skipped (${document.skipped.length})`, '');
+    if (document.skipped.length === 0) {
+        lines.push('Nothing was skipped');
+    } else {
+        lines.push('```', renderTree(document.skipped.map(entry => ({
+            path: entry.path,
+            label: `${entry.path.split('/').pop()} (${entry.reason})`,
+        }))), '```');
+    }
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Write a Markdown report of a plan to a local file
+ * @param {Plan} plan
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @param {string} path - Local path of the report
+ * @returns {Promise<void>}
+ */
+export const writeReport = async (plan, sourceFs, targetFs, path) => {
+    logger.info(`Writing report to ${path}`);
+    await fs.writeFile(path, createReport(plan, sourceFs, targetFs));
+};
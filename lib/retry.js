@@ -0,0 +1,116 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('retry');
+
+/**
+ * Error codes of network failures, that are worth another try
+ */
+const RETRYABLE_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+    'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'EAI_AGAIN', 'ENOTCONN',
+    'ERR_NOT_CONNECTED',
+];
+
+/**
+ * Status codes of the SFTP protocol (ssh2), that are worth another try
+ * (6 = no connection, 7 = connection lost)
+ */
+const RETRYABLE_SFTP_STATUS_CODES = [6, 7];
+
+/**
+ * Check if an error is transient, so the failed operation may succeed when it is repeated
+ *  - network errors and timeouts are retryable
+ *  - FTP replies 4xx (transient negative completion) are retryable
+ *  - FTP replies 5xx (permanent negative completion), permission errors and anything unknown are fatal
+ *  - HTTP responses (WebDAV) with status 408, 429 and 5xx are retryable, other ones are fatal
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export const isRetryableError = (err) => {
+    if (!err) {
+        return false;
+    }
+
+    if (typeof err.statusCode === 'number') {
+        return err.statusCode === 408 || err.statusCode === 429 || err.statusCode >= 500;
+    }
+
+    if (typeof err.code === 'number') {
+        // FTP reply codes
+        if (err.code >= 400 && err.code < 500) {
+            return true;
+        }
+        if (err.code >= 100) {
+            return false;
+        }
+        // SFTP status codes
+        return RETRYABLE_SFTP_STATUS_CODES.includes(err.code);
+    }
+
+    if (typeof err.code === 'string' && RETRYABLE_CODES.includes(err.code)) {
+        return true;
+    }
+
+    const message = err.message || '';
+    if (/permission denied/i.test(message)) {
+        return false;
+    }
+    return /timed? ?out|connection (reset|lost|closed)|socket hang up|not connected/i.test(message);
+};
+
+/**
+ * Get the retry settings from the environment variables
+ * @returns {{retries: number, delay: number}} - number of retries and the initial delay in milliseconds
+ */
+export const getRetryOptions = () => {
+    const parse = (name, defaultValue) => {
+        const value = process.env[name];
+        if (value === undefined || value.trim() === '') {
+            return defaultValue;
+        }
+        const number = parseInt(value, 10);
+        if (isNaN(number) || number < 0 || String(number) !== value.trim()) {
+            throw new Error(`Invalid ${name}: ${value}`);
+        }
+        return number;
+    };
+
+    return {
+        retries: parse('PLUGIN_RETRIES', 0),
+        delay: parse('PLUGIN_RETRY_DELAY', 1000),
+    };
+};
+
+/**
+ * Get the delay before a retry, growing exponentially with a random jitter
+ * @param {number} attempt - number of the retry, starting with 1
+ * @param {number} delay - initial delay in milliseconds
+ * @returns {number}
+ */
+const getBackoffDelay = (attempt, delay) => {
+    const maximum = delay * Math.pow(2, attempt - 1);
+    // Use between 50% and 100% of the delay, so parallel steps don't retry at the same time
+    return Math.round(maximum / 2 + Math.random() * maximum / 2);
+};
+
+/**
+ * Run an operation and repeat it in case it fails with a retryable error
+ * @param {function(): Promise<*>} operation
+ * @param {string} description - used for logging
+ * @param {{retries: number, delay: number}} [options]
+ * @returns {Promise<*>} - result of the operation
+ */
+export const withRetry = async (operation, description, options = getRetryOptions()) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation();
+        } catch (err) {
+            if (attempt > options.retries || !isRetryableError(err)) {
+                throw err;
+            }
+            const backoff = getBackoffDelay(attempt, options.delay);
+            logger.warn(`${description} failed (${err.message}), retry ${attempt} of ${options.retries} in ${backoff}ms`);
+            await new Promise(resolve => setTimeout(resolve, backoff));
+        }
+    }
+};
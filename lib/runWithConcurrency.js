@@ -0,0 +1,35 @@
+/**
+ * Run a worker for every item, with at most `limit` workers running at the same time
+ * Stops picking up new items as soon as one worker failed, and rejects with its error
+ * @param {Array} items
+ * @param {number} limit - maximum number of items in flight; Infinity for no limit
+ * @param {function(*, number): Promise<void>} worker - called with the item and its index
+ * @returns {Promise<void>}
+ */
+export const runWithConcurrency = async (items, limit, worker) => {
+    if (limit >= items.length) {
+        await Promise.all(items.map((item, index) => worker(item, index)));
+        return;
+    }
+
+    let nextIndex = 0;
+    let failed = false;
+
+    const runner = async () => {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                await worker(items[index], index);
+            } catch (err) {
+                failed = true;
+                throw err;
+            }
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < limit; i++) {
+        runners.push(runner());
+    }
+    await Promise.all(runners);
+};
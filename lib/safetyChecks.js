@@ -0,0 +1,95 @@
+import { createLogger } from './logger.js';
+import { PHASES } from './Plan.js';
+
+const logger = createLogger('safetyChecks');
+
+/**
+ * Get the deletion limits from the environment variables
+ * @returns {{maxDeletions: number|null, maxDeletionPercent: number|null}} - null in case there is no limit
+ */
+export const getSafetyLimits = () => {
+    const maxDeletions = process.env.PLUGIN_MAX_DELETIONS;
+    const maxDeletionPercent = process.env.PLUGIN_MAX_DELETION_PERCENT;
+    const limits = {
+        maxDeletions: null,
+        maxDeletionPercent: null,
+    };
+
+    if (maxDeletions !== undefined && maxDeletions.trim() !== '') {
+        const value = parseInt(maxDeletions, 10);
+        if (isNaN(value) || value < 0 || String(value) !== maxDeletions.trim()) {
+            throw new Error(`Invalid PLUGIN_MAX_DELETIONS: ${maxDeletions}`);
+        }
+        limits.maxDeletions = value;
+    }
+
+    if (maxDeletionPercent !== undefined && maxDeletionPercent.trim() !== '') {
+        const value = Number(maxDeletionPercent);
+        if (isNaN(value) || value < 0 || value > 100) {
+            throw new Error(`Invalid PLUGIN_MAX_DELETION_PERCENT: ${maxDeletionPercent}`);
+        }
+        limits.maxDeletionPercent = value;
+    }
+
+    return limits;
+};
+
+/**
+ * Refuse to deploy an empty source, which would delete everything on the target
+ * Most likely the build failed or the source path is wrong
+ * @param {string[]} sourceFiles
+ */
+export const checkSourceFiles = (sourceFiles) => {
+    if (sourceFiles.length > 0) {
+        return;
+    }
+    if (process.env.PLUGIN_ALLOW_EMPTY_SOURCE === 'true') {
+        logger.warn('Source is empty, deploying anyway due to PLUGIN_ALLOW_EMPTY_SOURCE');
+        return;
+    }
+    throw new Error('Source is empty, refusing to deploy. Set PLUGIN_ALLOW_EMPTY_SOURCE=true to deploy anyway');
+};
+
+/**
+ * Refuse plans deleting more than the configured limits
+ * The number counts deleted files and directories, the percentage deleted files relative to all files on the target
+ * @param {Plan} plan
+ * @param {string[]} targetFiles
+ */
+export const checkDeletions = (plan, targetFiles) => {
+    const { maxDeletions, maxDeletionPercent } = getSafetyLimits();
+    const steps = PHASES.flatMap(phase => plan[phase]);
+    const deletions = steps.filter(step => step.action === 'delete_file' || step.action === 'delete_directory').length;
+    const deletedFiles = steps.filter(step => step.action === 'delete_file').length;
+    const percent = targetFiles.length > 0 ? deletedFiles / targetFiles.length * 100 : 0;
+
+    if (maxDeletions !== null && deletions > maxDeletions) {
+        if (process.env.PLUGIN_IGNORE_MAX_DELETIONS === 'true') {
+            logger.warn(`Deleting ${deletions} files and directories, ignoring PLUGIN_MAX_DELETIONS of ${maxDeletions}`);
+        } else {
+            throw new Error(`Plan deletes ${deletions} files and directories, more than PLUGIN_MAX_DELETIONS (${maxDeletions}). ` +
+                'Set PLUGIN_IGNORE_MAX_DELETIONS=true to deploy anyway');
+        }
+    }
+
+    if (maxDeletionPercent !== null && percent > maxDeletionPercent) {
+        if (process.env.PLUGIN_IGNORE_MAX_DELETION_PERCENT === 'true') {
+            logger.warn(`Deleting ${percent.toFixed(1)}% of the target files, ignoring PLUGIN_MAX_DELETION_PERCENT of ${maxDeletionPercent}%`);
+        } else {
+            throw new Error(`Plan deletes ${percent.toFixed(1)}% of the target files (${deletedFiles} of ${targetFiles.length}), ` +
+                `more than PLUGIN_MAX_DELETION_PERCENT (${maxDeletionPercent}%). Set PLUGIN_IGNORE_MAX_DELETION_PERCENT=true to deploy anyway`);
+        }
+    }
+};
+
+/**
+ * Check a newly created plan before it is executed, both file systems have to be scanned before
+ * @param {Plan} plan
+ * @param {FileSystem} sourceFs
+ * @param {FileSystem} targetFs
+ * @returns {Promise<void>}
+ */
+export const checkPlanSafety = async (plan, sourceFs, targetFs) => {
+    checkSourceFiles(await sourceFs.getFiles());
+    checkDeletions(plan, await targetFs.getFiles());
+};
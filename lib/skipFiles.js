@@ -7,7 +7,7 @@ const logger = createLogger('skipFiles');
  * @param {string} pattern - Pattern to validate
  * @returns {boolean} - True if pattern is valid
  */
-const isValidPattern = (pattern) => {
+export const isValidPattern = (pattern) => {
     // Check for invalid characters or multiple wildcards in wrong positions
     if (pattern.includes('***') || pattern.includes('//')) {
         return false;
@@ -59,7 +59,7 @@ const isValidPattern = (pattern) => {
  * @param {string} pattern - Pattern to match against
  * @returns {boolean} - True if file matches pattern
  */
-const matchesPattern = (filePath, pattern) => {
+export const matchesPattern = (filePath, pattern) => {
     // Normalize paths - remove leading slash and ensure consistent separators
     const normalizedPath = filePath.replace(/^\/+/, '').replace(/\\/g, '/');
     const normalizedPattern = pattern.replace(/^\/+/, '').replace(/\\/g, '/');
@@ -0,0 +1,153 @@
+import nodePath from 'path';
+
+import { createLogger } from './logger.js';
+import { joinPath } from './paths.js';
+
+/**
+ * Logger of the checks, exported so tests can silence the expected warnings
+ */
+export const logger = createLogger('targetGuard');
+
+/**
+ * Name of the marker file, stored in the base path of the target
+ */
+export const MARKER_FILE_NAME = '.push-to-target';
+
+/**
+ * Paths that are never a deployment target on their own
+ */
+const DANGEROUS_PATHS = [
+    '/',
+    '/bin',
+    '/boot',
+    '/dev',
+    '/etc',
+    '/home',
+    '/lib',
+    '/lib64',
+    '/opt',
+    '/proc',
+    '/root',
+    '/sbin',
+    '/srv',
+    '/sys',
+    '/usr',
+    '/var',
+    '/Users',
+];
+
+/**
+ * Get the configured site ID
+ * @returns {string|null} - null in case the marker is not required
+ */
+export const getSiteId = () => {
+    const siteId = (process.env.PLUGIN_SITE_ID || '').trim();
+    return siteId || null;
+};
+
+/**
+ * Normalize a path for comparison, without trailing slash
+ * @param {string} path
+ * @param {boolean} isLocal - Local paths are resolved against the working directory
+ * @returns {string}
+ */
+const normalizePath = (path, isLocal) => {
+    const normalized = isLocal ? nodePath.resolve(path) : nodePath.posix.normalize(path || '/');
+    return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+};
+
+/**
+ * Check if a path is a well-known dangerous target, e.g. "/", "/etc" or the home directory
+ * @param {string} path - Normalized path
+ * @param {string|null} homeDirectory - Normalized home directory, if known
+ * @param {boolean} [checkSystemPaths] - Check the system paths, only meaningful for the real root of a machine
+ * @returns {boolean}
+ */
+export const isDangerousPath = (path, homeDirectory, checkSystemPaths = true) => {
+    return (checkSystemPaths && DANGEROUS_PATHS.includes(path)) || (!!homeDirectory && path === homeDirectory);
+};
+
+/**
+ * Refuse to deploy into a well-known dangerous path, unless PLUGIN_ALLOW_DANGEROUS_TARGET is set
+ * Remote targets are often jailed (chroot) or have no real file system at all (e.g. S3), so their "/" is the site
+ * itself. The system paths are only checked for local targets and remote targets logging in below "/"
+ * @param {FileSystem} targetFs
+ * @returns {Promise<void>}
+ */
+export const checkDangerousTarget = async (targetFs) => {
+    const isLocal = targetFs.path !== undefined;
+    const path = normalizePath(targetFs.path || targetFs.directory || '', isLocal);
+
+    let homeDirectory = null;
+    if (typeof targetFs.getHomeDirectory === 'function') {
+        try {
+            homeDirectory = normalizePath(await targetFs.getHomeDirectory(), isLocal);
+        } catch (err) {
+            logger.debug(`Could not determine the home directory: ${err.message}`);
+        }
+    }
+
+    // A remote user starting in "/" is jailed, deploying into the jail is fine
+    if (!isLocal && homeDirectory === '/') {
+        homeDirectory = null;
+    }
+    const checkSystemPaths = isLocal || homeDirectory !== null;
+
+    if (!isDangerousPath(path, homeDirectory, checkSystemPaths)) {
+        return;
+    }
+    if (process.env.PLUGIN_ALLOW_DANGEROUS_TARGET === 'true') {
+        logger.warn(`Deploying into ${path} due to PLUGIN_ALLOW_DANGEROUS_TARGET`);
+        return;
+    }
+    throw new Error(`Refusing to deploy into ${path}, this looks like the wrong target path. ` +
+        'Set PLUGIN_ALLOW_DANGEROUS_TARGET=true to deploy anyway');
+};
+
+/**
+ * Read the site ID of the marker on the target, the target file system has to be scanned before
+ * @param {FileSystem} targetFs
+ * @returns {Promise<string|null>} - null in case there is no marker
+ */
+const readMarker = async (targetFs) => {
+    const path = joinPath(targetFs.path || targetFs.directory || '', MARKER_FILE_NAME);
+    if (!(await targetFs.getFiles()).includes(path)) {
+        return null;
+    }
+    return (await targetFs.readFile(path)).toString().trim();
+};
+
+/**
+ * Make sure the target belongs to the configured site before anything is changed on it
+ * With PLUGIN_SITE_ID set, the base path of the target has to contain a marker holding that ID; in init mode
+ * a missing marker is created. The target file system has to be scanned before
+ * @param {FileSystem} targetFs
+ * @param {Object} [options]
+ * @param {boolean} [options.init] - Create the marker in case it is missing
+ * @returns {Promise<void>}
+ */
+export const checkTargetMarker = async (targetFs, { init = false } = {}) => {
+    const siteId = getSiteId();
+    if (!siteId) {
+        if (init) {
+            throw new Error('PLUGIN_SITE_ID has to be set to initialize the target');
+        }
+        return;
+    }
+
+    const marker = await readMarker(targetFs);
+    if (marker === siteId) {
+        logger.debug(`Target is marked for site "${siteId}"`);
+        return;
+    }
+    if (marker !== null) {
+        throw new Error(`Target is marked for site "${marker}", not for "${siteId}"`);
+    }
+    if (!init) {
+        throw new Error(`Target has no ${MARKER_FILE_NAME} marker for site "${siteId}". ` +
+            'Run with PLUGIN_MODE=init once to create it');
+    }
+
+    logger.info(`Marking target for site "${siteId}"`);
+    await targetFs.writeFile(joinPath(targetFs.path || targetFs.directory || '', MARKER_FILE_NAME), Buffer.from(siteId + '\n'));
+};
@@ -0,0 +1,8 @@
+/**
+ * Format a date as sortable timestamp, e.g. "20250927143005"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatTimestamp = (date = new Date()) => {
+    return date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+};
@@ -0,0 +1,121 @@
+import { expect } from 'chai';
+import { createPlan } from '../lib/createPlan.js';
+import { getTemporaryPath, getOriginalPath, isTemporaryPath } from '../lib/atomicUpload.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Atomic Uploads', () => {
+    let sourceFs, targetFs;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_ATOMIC_UPLOADS;
+        delete process.env.PLUGIN_DONT_DELETE_TARGET_FILES;
+    };
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    describe('Temporary paths', () => {
+        it('should use a hidden sibling as temporary file', () => {
+            expect(getTemporaryPath('/test/target/index.html')).to.equal('/test/target/.index.html.push-to-tmp');
+            expect(getTemporaryPath('index.html')).to.equal('.index.html.push-to-tmp');
+        });
+
+        it('should detect temporary files', () => {
+            expect(isTemporaryPath('/test/target/.index.html.push-to-tmp')).to.be.true;
+            expect(isTemporaryPath('/test/target/index.html')).to.be.false;
+            expect(isTemporaryPath('/test/target/.push-to-tmp')).to.be.false;
+        });
+
+        it('should get the file a temporary file belongs to', () => {
+            expect(getOriginalPath('/test/target/assets/.main.css.push-to-tmp')).to.equal('/test/target/assets/main.css');
+        });
+    });
+
+    describe('Plan execution', () => {
+        it('should upload to a temporary file and rename it', async () => {
+            process.env.PLUGIN_ATOMIC_UPLOADS = 'true';
+            sourceFs.init({
+                files: {
+                    '/test/source/index.html': '<html>New</html>'
+                }
+            });
+            targetFs.init({
+                files: {
+                    '/test/target/index.html': '<html>Old</html>'
+                }
+            });
+
+            const plan = await createPlan(sourceFs, targetFs);
+            await plan.execute();
+
+            const operations = targetFs.getOperations().filter(op => op.type === 'writeFile' || op.type === 'rename');
+            expect(operations).to.deep.equal([
+                { type: 'writeFile', path: '/test/target/.index.html.push-to-tmp', content: '<html>New</html>' },
+                { type: 'rename', path: '/test/target/.index.html.push-to-tmp', target: '/test/target/index.html' }
+            ]);
+            expect(targetFs.files.get('/test/target/index.html')).to.equal('<html>New</html>');
+            expect(targetFs.fileExists('/test/target/.index.html.push-to-tmp')).to.be.false;
+        });
+
+        it('should write directly without atomic uploads', async () => {
+            sourceFs.init({
+                files: {
+                    '/test/source/index.html': '<html>New</html>'
+                }
+            });
+            targetFs.init({ files: {} });
+
+            const plan = await createPlan(sourceFs, targetFs);
+            await plan.execute();
+
+            const renames = targetFs.getOperations().filter(op => op.type === 'rename');
+            expect(renames).to.have.length(0);
+            expect(targetFs.files.get('/test/target/index.html')).to.equal('<html>New</html>');
+        });
+    });
+
+    describe('Leftover temporary files', () => {
+        it('should delete leftover temporary files even when protected from deletion', async () => {
+            process.env.PLUGIN_DONT_DELETE_TARGET_FILES = '**';
+            sourceFs.init({
+                files: {
+                    '/test/source/index.html': '<html>New</html>'
+                }
+            });
+            targetFs.init({
+                files: {
+                    '/test/target/index.html': '<html>Old</html>',
+                    '/test/target/assets/.main.css.push-to-tmp': 'partial'
+                }
+            });
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const deletePaths = plan.stepRemoveOldLogic.map(step => step.target);
+            expect(deletePaths).to.deep.equal(['/test/target/assets/.main.css.push-to-tmp']);
+        });
+
+        it('should not delete leftover temporary files that the atomic upload replaces', async () => {
+            process.env.PLUGIN_ATOMIC_UPLOADS = 'true';
+            sourceFs.init({
+                files: {
+                    '/test/source/index.html': '<html>New</html>'
+                }
+            });
+            targetFs.init({
+                files: {
+                    '/test/target/.index.html.push-to-tmp': 'partial'
+                }
+            });
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const deleteSteps = [...plan.stepRemoveOldLogic, ...plan.stepRemoveOldAssets];
+            expect(deleteSteps).to.have.length(0);
+        });
+    });
+});
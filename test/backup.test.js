@@ -0,0 +1,221 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import nodePath from 'path';
+import { Readable } from 'stream';
+import { createPlan } from '../lib/createPlan.js';
+import { createReleasePlan } from '../lib/createReleasePlan.js';
+import { createBackup, getBackupMode, getKeepBackups, rollback } from '../lib/backup.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Backup', () => {
+    let sourceFs, targetFs;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_BACKUP;
+        delete process.env.PLUGIN_BACKUP_PATH;
+        delete process.env.PLUGIN_KEEP_BACKUPS;
+        delete process.env.PLUGIN_DRY_RUN;
+        delete process.env.DRONE_COMMIT_SHA;
+        delete process.env.PLUGIN_RELEASE_NAME;
+    };
+
+    /**
+     * Create a plan with a backup and execute it
+     * @returns {Promise<Plan>}
+     */
+    const deploy = async () => {
+        const plan = await createPlan(sourceFs, targetFs);
+        plan.backup = createBackup(targetFs);
+        await plan.execute();
+        return plan;
+    };
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        sourceFs.init({
+            files: {
+                '/test/source/index.html': '<html>New</html>',
+                '/test/source/css/main.css': 'body {}'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/index.html': '<html>Old</html>',
+                '/test/target/old.php': '<?php',
+                '/test/target/legacy/app.js': 'old()'
+            }
+        });
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    describe('Settings', () => {
+        it('should be disabled by default', () => {
+            expect(getBackupMode()).to.be.null;
+            expect(createBackup(targetFs)).to.be.null;
+        });
+
+        it('should reject invalid settings', () => {
+            process.env.PLUGIN_BACKUP = 'cloud';
+            expect(() => getBackupMode()).to.throw('Invalid PLUGIN_BACKUP: cloud');
+            process.env.PLUGIN_KEEP_BACKUPS = '0';
+            expect(() => getKeepBackups()).to.throw('Invalid PLUGIN_KEEP_BACKUPS: 0');
+        });
+    });
+
+    describe('On the target', () => {
+        beforeEach(() => {
+            process.env.PLUGIN_BACKUP = 'target';
+            process.env.DRONE_COMMIT_SHA = '1a2b3c4d5e6f';
+        });
+
+        it('should save overwritten and deleted files before executing the plan', async () => {
+            const plan = await deploy();
+
+            const backupPath = `/test/target/.push-to-backups/${plan.backup.name}`;
+            expect(plan.backup.name).to.match(/^\d{14}-1a2b3c4d$/);
+            expect(targetFs.files.get(`${backupPath}/files/index.html`)).to.equal('<html>Old</html>');
+            expect(targetFs.files.get(`${backupPath}/files/old.php`)).to.equal('<?php');
+            expect(targetFs.files.get(`${backupPath}/files/legacy/app.js`)).to.equal('old()');
+
+            const index = JSON.parse(targetFs.files.get(`${backupPath}/.push-to-backup.json`).toString());
+            expect(index.files).to.deep.equal(['index.html', 'legacy/app.js', 'old.php']);
+            expect(index.createdFiles).to.deep.equal(['css/main.css']);
+            expect(index.createdDirectories).to.deep.equal(['css']);
+
+            // The backup is written before anything is changed
+            const operations = targetFs.getOperations();
+            const indexWrite = operations.findIndex(op => op.type === 'writeFile' && op.path.endsWith('.push-to-backup.json'));
+            const firstChange = operations.findIndex(op => op.type === 'writeFile' && !op.path.includes('.push-to-backups'));
+            expect(indexWrite).to.be.lessThan(firstChange);
+        });
+
+        it('should not delete or overwrite the backups', async () => {
+            targetFs.files.set('/test/target/.push-to-backups/20200101000000/.push-to-backup.json', '{}');
+            sourceFs.files.set('/test/source/.push-to-backups/evil.html', 'evil');
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const targets = [...plan.stepUploadAssets, ...plan.stepUploadLogic, ...plan.stepRemoveOldLogic,
+                ...plan.stepRemoveOldAssets, ...plan.stepDeleteOldDirectories].map(step => step.target);
+            expect(targets.filter(target => target.includes('.push-to-backups'))).to.be.empty;
+        });
+
+        it('should delete the oldest backups', async () => {
+            process.env.PLUGIN_KEEP_BACKUPS = '2';
+            targetFs.files.set('/test/target/.push-to-backups/20200101000000/.push-to-backup.json', '{}');
+            targetFs.files.set('/test/target/.push-to-backups/20200102000000/.push-to-backup.json', '{}');
+
+            await deploy();
+
+            const deleted = targetFs.getOperations().filter(op => op.type === 'deleteDirectory').map(op => op.path);
+            expect(deleted).to.include('/test/target/.push-to-backups/20200101000000');
+            expect(deleted).not.to.include('/test/target/.push-to-backups/20200102000000');
+        });
+
+        it('should roll back to the latest backup', async () => {
+            await deploy();
+            expect(targetFs.files.has('/test/target/old.php')).to.be.false;
+            targetFs.clearOperations();
+
+            await rollback(targetFs);
+
+            expect(targetFs.files.get('/test/target/index.html')).to.equal('<html>Old</html>');
+            expect(targetFs.files.get('/test/target/old.php')).to.equal('<?php');
+            expect(targetFs.files.get('/test/target/legacy/app.js')).to.equal('old()');
+            expect(targetFs.files.has('/test/target/css/main.css')).to.be.false;
+            expect(targetFs.getOperations()).to.deep.include({ type: 'deleteDirectory', path: '/test/target/css' });
+            // Scanned by the caller already
+            expect(targetFs.getOperations().map(op => op.type)).not.to.include('scanDirectory');
+        });
+
+        it('should point current back to the previous release before deleting the new one', async () => {
+            process.env.PLUGIN_RELEASE_NAME = 'r2';
+            targetFs.init({
+                files: {
+                    '/test/target/releases/r1/index.html': '<html>Old</html>',
+                    '/test/target/current': '-> releases/r1'
+                }
+            });
+            const plan = await createReleasePlan(sourceFs, targetFs);
+            plan.backup = createBackup(targetFs);
+            await plan.execute();
+            expect(targetFs.files.get('/test/target/current')).to.equal('-> releases/r2');
+            targetFs.clearOperations();
+
+            await rollback(targetFs);
+
+            expect(targetFs.files.get('/test/target/current')).to.equal('-> releases/r1');
+            const operations = targetFs.getOperations();
+            const relinked = operations.findIndex(op => op.type === 'rename' && op.target === '/test/target/current');
+            const deleted = operations.findIndex(op => op.type === 'deleteDirectory' && op.path === '/test/target/releases/r2');
+            expect(relinked).to.be.greaterThan(-1);
+            expect(deleted).to.be.greaterThan(relinked);
+        });
+
+        it('should fail for unknown backups', async () => {
+            await deploy();
+
+            let error;
+            try {
+                await rollback(targetFs, 'unknown');
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('Backup unknown not found');
+        });
+    });
+
+    describe('Local', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(nodePath.join(os.tmpdir(), 'push-to-backup-'));
+            process.env.PLUGIN_BACKUP = 'local';
+            process.env.PLUGIN_BACKUP_PATH = directory;
+        });
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it('should save files into a tar.gz archive and restore them', async () => {
+            const plan = await deploy();
+
+            expect(await fs.readdir(directory)).to.deep.equal([`${plan.backup.name}.tar.gz`]);
+
+            await rollback(targetFs, plan.backup.name);
+
+            expect(targetFs.files.get('/test/target/index.html').toString()).to.equal('<html>Old</html>');
+            expect(targetFs.files.get('/test/target/legacy/app.js').toString()).to.equal('old()');
+            expect(targetFs.files.has('/test/target/css/main.css')).to.be.false;
+        });
+
+        it('should stream the files into the archive', async () => {
+            const streamed = [];
+            targetFs.createReadStream = async (path) => {
+                streamed.push(path);
+                return Readable.from([Buffer.from(targetFs.files.get(path))]);
+            };
+            targetFs.readFile = async (path) => {
+                throw new Error(`Not streamed: ${path}`);
+            };
+
+            const plan = await deploy();
+            delete targetFs.readFile;
+            await rollback(targetFs, plan.backup.name);
+
+            expect(streamed).to.have.members(['/test/target/index.html', '/test/target/old.php', '/test/target/legacy/app.js']);
+            expect(targetFs.files.get('/test/target/index.html').toString()).to.equal('<html>Old</html>');
+        });
+
+        it('should not write backups in dry run mode', async () => {
+            process.env.PLUGIN_DRY_RUN = 'true';
+
+            await deploy();
+
+            expect(await fs.readdir(directory)).to.be.empty;
+        });
+    });
+});
@@ -0,0 +1,213 @@
+import { expect } from 'chai';
+import { PassThrough } from 'stream';
+import { ConnectionPool, getPoolSize } from '../lib/fileSystem/connectionPool.js';
+import { createLogger } from '../lib/logger.js';
+
+describe('ConnectionPool', () => {
+    const logger = createLogger('test');
+
+    /**
+     * Get the error of a failing promise
+     * @param {Promise} promise
+     * @returns {Promise<Error|undefined>}
+     */
+    const getError = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err;
+        }
+    };
+
+    // Helper to create a pool of fake clients that track their state
+    const createPool = (size, failingIndex = -1) => {
+        let created = 0;
+        const clients = [];
+        const pool = new ConnectionPool({
+            size,
+            createClient: async () => {
+                const index = created++;
+                if (index === failingIndex) {
+                    throw new Error('Connection refused');
+                }
+                const client = { index, open: true };
+                clients.push(client);
+                return client;
+            },
+            destroyClient: async (client) => {
+                client.open = false;
+            },
+            isAlive: (client) => client.open,
+            logger
+        });
+        return { pool, clients };
+    };
+
+    it('should open the configured number of clients', async () => {
+        const { pool, clients } = createPool(3);
+
+        await pool.open();
+
+        expect(clients).to.have.length(3);
+    });
+
+    it('should spread operations across all clients', async () => {
+        const { pool } = createPool(3);
+        await pool.open();
+
+        const used = [];
+        for (let i = 0; i < 6; i++) {
+            await pool.use(async (client) => used.push(client.index));
+        }
+
+        expect(used).to.deep.equal([0, 1, 2, 0, 1, 2]);
+    });
+
+    it('should close all clients on close', async () => {
+        const { pool, clients } = createPool(2);
+        await pool.open();
+
+        await pool.close();
+
+        expect(clients.every(client => !client.open)).to.be.true;
+    });
+
+    it('should close the opened clients when one client fails to connect', async () => {
+        const { pool, clients } = createPool(3, 1);
+
+        let error;
+        try {
+            await pool.open();
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).to.equal('Connection refused');
+        expect(clients).to.have.length(2);
+        expect(clients.every(client => !client.open)).to.be.true;
+    });
+
+    describe('Reconnect', () => {
+        it('should reconnect a closed client before using it', async () => {
+            const { pool, clients } = createPool(1);
+            await pool.open();
+            clients[0].open = false;
+
+            const used = await pool.use(async (client) => client.index);
+
+            expect(used).to.equal(1);
+            expect(clients).to.have.length(2);
+        });
+
+        it('should replay an operation whose connection broke', async () => {
+            const { pool } = createPool(1);
+            await pool.open();
+
+            const used = [];
+            const result = await pool.use(async (client) => {
+                used.push(client.index);
+                if (client.index === 0) {
+                    client.open = false;
+                    const err = new Error('read ECONNRESET');
+                    err.code = 'ECONNRESET';
+                    throw err;
+                }
+                return 'done';
+            });
+
+            expect(result).to.equal('done');
+            expect(used).to.deep.equal([0, 1]);
+        });
+
+        it('should fail operations that never return when the client dies', async () => {
+            const { pool, clients } = createPool(1);
+            await pool.open();
+
+            const used = [];
+            const result = await pool.use(async (client) => {
+                used.push(client.index);
+                if (client.index === 0) {
+                    // Like the ftp client, which drops its callbacks when the connection closes
+                    client.open = false;
+                    pool.markDead(client, new Error('FTP connection closed'));
+                    return new Promise(() => {});
+                }
+                return 'done';
+            });
+
+            expect(result).to.equal('done');
+            expect(used).to.deep.equal([0, 1]);
+            expect(clients[0].open).to.be.false;
+        });
+
+        it('should not replay operations failing for other reasons', async () => {
+            const { pool } = createPool(1);
+            await pool.open();
+
+            let calls = 0;
+            let error;
+            try {
+                await pool.use(async () => {
+                    calls++;
+                    throw new Error('Permission denied');
+                });
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).to.equal('Permission denied');
+            expect(calls).to.equal(1);
+        });
+
+        it('should not replay operations that started streaming', async () => {
+            const { pool, clients } = createPool(1);
+            await pool.open();
+
+            const input = new PassThrough();
+            let calls = 0;
+            const error = await getError(pool.use(async (client) => {
+                calls++;
+                client.open = false;
+                pool.markDead(client, new Error('FTP connection closed'));
+                return new Promise(() => {});
+            }, { streams: [input] }));
+
+            expect(error.code).to.equal('ECONNABORTED');
+            expect(calls).to.equal(1);
+
+            // The stream can't be used again, but the next operation reconnects
+            expect((await getError(pool.use(async () => {}, { streams: [input] }))).code).to.equal('ECONNABORTED');
+            await pool.use(async () => {});
+            expect(clients).to.have.length(2);
+        });
+
+        it('should share one reconnect between parallel operations', async () => {
+            const { pool, clients } = createPool(1);
+            await pool.open();
+            clients[0].open = false;
+
+            await Promise.all([
+                pool.use(async () => {}),
+                pool.use(async () => {}),
+                pool.use(async () => {})
+            ]);
+
+            expect(clients).to.have.length(2);
+        });
+    });
+
+    describe('getPoolSize', () => {
+        it('should default to one connection', () => {
+            expect(getPoolSize({})).to.equal(1);
+        });
+
+        it('should parse the CONNECTIONS parameter', () => {
+            expect(getPoolSize({ CONNECTIONS: '4' })).to.equal(4);
+        });
+
+        it('should reject invalid values', () => {
+            expect(() => getPoolSize({ CONNECTIONS: '0' })).to.throw('Invalid CONNECTIONS');
+            expect(() => getPoolSize({ CONNECTIONS: 'four' })).to.throw('Invalid CONNECTIONS');
+        });
+    });
+});
@@ -1,6 +1,7 @@
 import { expect } from 'chai';
 import { createPlan } from '../lib/createPlan.js';
 import { MockFileSystem } from './mockFileSystem.js';
+import { hashContent } from '../lib/manifest.js';
 
 describe('createPlan', () => {
     let sourceFs, targetFs;
@@ -13,6 +14,7 @@ describe('createPlan', () => {
         delete process.env.PLUGIN_DONT_DELETE_TARGET_FILES;
         delete process.env.PLUGIN_DONT_OVERRIDE_TARGET_FILES;
         delete process.env.PLUGIN_ASSETS_EXTENSIONS;
+        delete process.env.PLUGIN_COMPARE_MODE;
     });
 
     // Helper function to get all steps from a plan
@@ -325,6 +327,298 @@ describe('createPlan', () => {
         });
     });
 
+    describe('Unchanged Files', () => {
+        beforeEach(() => {
+            sourceFs.init({
+                files: {
+                    '/test/source/same.html': 'same content',
+                    '/test/source/resized.css': 'body { color: red; }',
+                    '/test/source/newer.js': 'console.log("b");'
+                },
+                mtimes: {
+                    '/test/source/same.html': 1000,
+                    '/test/source/resized.css': 1000,
+                    '/test/source/newer.js': 3000
+                }
+            });
+
+            targetFs.init({
+                files: {
+                    '/test/target/same.html': 'same content',
+                    '/test/target/resized.css': 'body { }',
+                    '/test/target/newer.js': 'console.log("a");'
+                },
+                mtimes: {
+                    '/test/target/same.html': 2000,
+                    '/test/target/resized.css': 2000,
+                    '/test/target/newer.js': 2000
+                }
+            });
+        });
+
+        it('should upload all files by default', async () => {
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const copySteps = getAllSteps(plan).filter(step => step.action === 'copy');
+            expect(copySteps).to.have.length(3);
+        });
+
+        it('should skip files with the same size in size mode', async () => {
+            process.env.PLUGIN_COMPARE_MODE = 'size';
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const copyTargets = getAllSteps(plan).filter(step => step.action === 'copy').map(step => step.target);
+            expect(copyTargets).to.have.members(['/test/target/resized.css']);
+        });
+
+        it('should upload files with a newer source in size_mtime mode', async () => {
+            process.env.PLUGIN_COMPARE_MODE = 'size_mtime';
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const copyTargets = getAllSteps(plan).filter(step => step.action === 'copy').map(step => step.target);
+            expect(copyTargets).to.have.members(['/test/target/resized.css', '/test/target/newer.js']);
+        });
+
+        it('should not delete skipped files', async () => {
+            process.env.PLUGIN_COMPARE_MODE = 'size';
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const deleteSteps = getAllSteps(plan).filter(step => step.action === 'delete_file');
+            expect(deleteSteps).to.have.length(0);
+        });
+
+        it('should reject an unknown compare mode', async () => {
+            process.env.PLUGIN_COMPARE_MODE = 'checksum';
+
+            let error;
+            try {
+                await createPlan(sourceFs, targetFs);
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.an('error');
+            expect(error.message).to.include('PLUGIN_COMPARE_MODE');
+        });
+    });
+
+    describe('Outdated Metadata', () => {
+        beforeEach(() => {
+            process.env.PLUGIN_COMPARE_MODE = 'size';
+            sourceFs.init({
+                files: {
+                    '/test/source/index.html': 'same content',
+                    '/test/source/main.css': 'body { }'
+                }
+            });
+            targetFs.init({
+                files: {
+                    '/test/target/index.html': 'same content',
+                    '/test/target/main.css': 'body { }'
+                }
+            });
+            targetFs.outdatedMetadata = new Set(['/test/target/index.html']);
+            targetFs.hasOutdatedMetadata = async (path) => targetFs.outdatedMetadata.has(path);
+            targetFs.updateMetadata = async () => {};
+            targetFs.getMetadataHash = () => 'rules';
+        });
+
+        /**
+         * Add the manifest of a last run with the given metadata hash to the target
+         * @param {string} metadataHash
+         */
+        const addManifest = (metadataHash) => {
+            targetFs.files.set('/test/target/.push-to-manifest.json', JSON.stringify({ version: 1, files: {}, metadataHash }));
+        };
+
+        it('should update the metadata of unchanged files with outdated metadata', async () => {
+            const plan = await createPlan(sourceFs, targetFs);
+
+            expect(plan.stepUploadLogic.map(step => [step.action, step.target, step.reason])).to.deep.equal([
+                ['update_metadata', '/test/target/index.html', 'metadata']
+            ]);
+            expect(plan.stepUploadAssets).to.have.length(0);
+            expect(plan.skipped).to.deep.equal([{ path: 'main.css', reason: 'unchanged' }]);
+        });
+
+        it('should not check the metadata of files that are uploaded anyway', async () => {
+            delete process.env.PLUGIN_COMPARE_MODE;
+            const checked = [];
+            targetFs.hasOutdatedMetadata = async (path) => {
+                checked.push(path);
+                return true;
+            };
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            expect(getAllSteps(plan).map(step => step.action)).to.deep.equal(['copy', 'copy']);
+            expect(checked).to.be.empty;
+        });
+
+        it('should keep files whose metadata can not be checked', async () => {
+            targetFs.hasOutdatedMetadata = async (path) => {
+                if (path === '/test/target/main.css') {
+                    throw new Error('Access Denied');
+                }
+                return true;
+            };
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            expect(plan.stepUploadLogic.map(step => step.action)).to.deep.equal(['update_metadata']);
+            expect(plan.skipped).to.deep.equal([{ path: 'main.css', reason: 'unchanged' }]);
+            // Checked again on the next run
+            expect(plan.manifest.metadataHash).to.be.null;
+        });
+
+        it('should record the settings the metadata follows in the manifest', async () => {
+            const plan = await createPlan(sourceFs, targetFs);
+            await plan.execute();
+
+            const manifest = JSON.parse(targetFs.files.get('/test/target/.push-to-manifest.json'));
+            expect(manifest.metadataHash).to.equal('rules');
+            expect(manifest.files).to.deep.equal({});
+        });
+
+        it('should not check the metadata when the settings did not change since the last run', async () => {
+            addManifest('rules');
+            const checked = [];
+            targetFs.hasOutdatedMetadata = async (path) => {
+                checked.push(path);
+                return true;
+            };
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            expect(checked).to.be.empty;
+            expect(getAllSteps(plan)).to.be.empty;
+            expect(plan.skipped).to.have.length(2);
+        });
+
+        it('should check the metadata after the settings changed since the last run', async () => {
+            addManifest('previous rules');
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            expect(plan.stepUploadLogic.map(step => [step.action, step.target])).to.deep.equal([
+                ['update_metadata', '/test/target/index.html']
+            ]);
+            expect(plan.manifest.metadataHash).to.equal('rules');
+        });
+
+        it('should check a few files at the same time', async () => {
+            const files = {};
+            for (let i = 0; i < 30; i++) {
+                files[`/test/source/${i}.html`] = 'same';
+            }
+            sourceFs.init({ files });
+            targetFs.init({ files: Object.fromEntries(Object.keys(files).map(path => [path.replace('/source/', '/target/'), 'same'])) });
+            let running = 0;
+            let maximum = 0;
+            targetFs.hasOutdatedMetadata = async () => {
+                running++;
+                maximum = Math.max(maximum, running);
+                await new Promise(resolve => setImmediate(resolve));
+                running--;
+                return false;
+            };
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            expect(plan.skipped).to.have.length(30);
+            expect(maximum).to.be.greaterThan(1);
+            expect(maximum).to.be.at.most(10);
+        });
+    });
+
+    describe('Content Hash Manifest', () => {
+        beforeEach(() => {
+            process.env.PLUGIN_COMPARE_MODE = 'hash';
+
+            sourceFs.init({
+                files: {
+                    '/test/source/index.html': '<html>Hello</html>',
+                    '/test/source/style.css': 'body { color: red; }'
+                }
+            });
+        });
+
+        const createManifest = (files) => JSON.stringify({
+            version: 1,
+            files: Object.fromEntries(Object.entries(files).map(([path, content]) => [
+                path,
+                { hash: hashContent(content), size: content.length }
+            ]))
+        });
+
+        it('should upload all files and write a manifest when the target has none', async () => {
+            targetFs.init({
+                files: {
+                    '/test/target/index.html': '<html>Hello</html>'
+                }
+            });
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const copySteps = getAllSteps(plan).filter(step => step.action === 'copy');
+            expect(copySteps).to.have.length(2);
+
+            await plan.execute();
+
+            const manifest = JSON.parse(targetFs.files.get('/test/target/.push-to-manifest.json'));
+            expect(manifest.files).to.have.all.keys('index.html', 'style.css');
+            expect(manifest.files['index.html'].hash).to.equal(hashContent('<html>Hello</html>'));
+        });
+
+        it('should only upload files whose hash differs from the manifest', async () => {
+            targetFs.init({
+                files: {
+                    '/test/target/index.html': '<html>Hello</html>',
+                    '/test/target/style.css': 'body { color: blue; }',
+                    '/test/target/.push-to-manifest.json': createManifest({
+                        'index.html': '<html>Hello</html>',
+                        'style.css': 'body { color: blue; }'
+                    })
+                }
+            });
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const copyTargets = getAllSteps(plan).filter(step => step.action === 'copy').map(step => step.target);
+            expect(copyTargets).to.have.members(['/test/target/style.css']);
+        });
+
+        it('should never delete the manifest', async () => {
+            targetFs.init({
+                files: {
+                    '/test/target/.push-to-manifest.json': createManifest({})
+                }
+            });
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const deleteSteps = getAllSteps(plan).filter(step => step.action === 'delete_file');
+            expect(deleteSteps).to.have.length(0);
+        });
+
+        it('should upload all files when the manifest is corrupt', async () => {
+            targetFs.init({
+                files: {
+                    '/test/target/index.html': '<html>Hello</html>',
+                    '/test/target/style.css': 'body { color: red; }',
+                    '/test/target/.push-to-manifest.json': '{ not json'
+                }
+            });
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            const copySteps = getAllSteps(plan).filter(step => step.action === 'copy');
+            expect(copySteps).to.have.length(2);
+        });
+    });
+
     describe('Edge Cases', () => {
         it('should handle files with same name in different directories', async () => {
             sourceFs.init({
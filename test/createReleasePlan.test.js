@@ -0,0 +1,208 @@
+import { expect } from 'chai';
+import { createReleasePlan } from '../lib/createReleasePlan.js';
+import { formatTimestamp } from '../lib/timestamp.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Release Plan', () => {
+    let sourceFs, targetFs;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_RELEASE_NAME;
+        delete process.env.PLUGIN_KEEP_RELEASES;
+        delete process.env.PLUGIN_SHARED_PATHS;
+        delete process.env.DRONE_COMMIT_SHA;
+    };
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    it('should format timestamps sortable', () => {
+        expect(formatTimestamp(new Date(Date.UTC(2024, 0, 2, 3, 4, 5)))).to.equal('20240102030405');
+    });
+
+    it('should upload into a new release and switch the current symlink', async () => {
+        process.env.PLUGIN_RELEASE_NAME = 'r2';
+        sourceFs.init({
+            files: {
+                '/test/source/index.php': '<?php',
+                '/test/source/css/main.css': 'body {}'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/releases/r1/index.php': '<?php old',
+                '/test/target/current': '-> releases/r1'
+            }
+        });
+
+        const plan = await createReleasePlan(sourceFs, targetFs);
+
+        expect(plan.stepCreateMissingDirectories.map(step => step.target)).to.have.members([
+            '/test/target/releases/r2',
+            '/test/target/releases/r2/css'
+        ]);
+        expect(plan.stepUploadAssets.map(step => step.target)).to.deep.equal(['/test/target/releases/r2/css/main.css']);
+        expect(plan.stepUploadLogic.map(step => step.target)).to.deep.equal(['/test/target/releases/r2/index.php']);
+        expect(plan.stepRemoveOldLogic).to.be.empty;
+        expect(plan.stepDeleteOldDirectories).to.be.empty;
+
+        await plan.execute();
+
+        expect(targetFs.files.get('/test/target/current')).to.equal('-> releases/r2');
+        expect(targetFs.files.get('/test/target/releases/r2/index.php')).to.equal('<?php');
+        expect(targetFs.files.get('/test/target/releases/r1/index.php')).to.equal('<?php old');
+
+        // The symlink is switched after all files were uploaded
+        const operations = targetFs.getOperations();
+        const lastWrite = operations.map(op => op.type).lastIndexOf('writeFile');
+        const switchIndex = operations.findIndex(op => op.type === 'rename' && op.target === '/test/target/current');
+        expect(switchIndex).to.be.greaterThan(lastWrite);
+    });
+
+    it('should name releases by timestamp and commit', async () => {
+        process.env.DRONE_COMMIT_SHA = '1a2b3c4d5e6f';
+        sourceFs.init({ files: { '/test/source/index.html': 'x' } });
+        targetFs.init({ files: {} });
+
+        const plan = await createReleasePlan(sourceFs, targetFs);
+
+        expect(plan.stepActivateRelease[0].source).to.match(/^releases\/\d{14}-1a2b3c4d$/);
+    });
+
+    it('should refuse to overwrite an existing release', async () => {
+        process.env.PLUGIN_RELEASE_NAME = 'r1';
+        sourceFs.init({ files: { '/test/source/index.html': 'x' } });
+        targetFs.init({ files: { '/test/target/releases/r1/index.html': 'x' } });
+
+        let error;
+        try {
+            await createReleasePlan(sourceFs, targetFs);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Release r1 already exists');
+    });
+
+    it('should link shared paths instead of uploading them', async () => {
+        process.env.PLUGIN_RELEASE_NAME = 'r1';
+        process.env.PLUGIN_SHARED_PATHS = '.env, storage/logs/';
+        sourceFs.init({
+            files: {
+                '/test/source/index.php': '<?php',
+                '/test/source/.env': 'LOCAL=1',
+                '/test/source/storage/logs/app.log': 'log'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/shared/.env': 'PRODUCTION=1',
+                '/test/target/shared/storage/logs/app.log': 'log'
+            }
+        });
+
+        const plan = await createReleasePlan(sourceFs, targetFs);
+        await plan.execute();
+
+        expect(targetFs.files.get('/test/target/releases/r1/.env')).to.equal('-> ../../shared/.env');
+        expect(targetFs.files.get('/test/target/releases/r1/storage/logs')).to.equal('-> ../../../shared/storage/logs');
+        expect(targetFs.files.has('/test/target/releases/r1/storage/logs/app.log')).to.be.false;
+        expect(targetFs.files.get('/test/target/shared/.env')).to.equal('PRODUCTION=1');
+        expect(targetFs.directories.has('/test/target/releases/r1/storage')).to.be.true;
+    });
+
+    it('should reject shared paths leaving the release', async () => {
+        process.env.PLUGIN_SHARED_PATHS = '../etc';
+        sourceFs.init({ files: { '/test/source/index.html': 'x' } });
+        targetFs.init({ files: {} });
+
+        let error;
+        try {
+            await createReleasePlan(sourceFs, targetFs);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Invalid path in PLUGIN_SHARED_PATHS: ../etc');
+    });
+
+    it('should delete the oldest releases', async () => {
+        process.env.PLUGIN_RELEASE_NAME = 'r4';
+        process.env.PLUGIN_KEEP_RELEASES = '2';
+        sourceFs.init({ files: { '/test/source/index.html': 'x' } });
+        targetFs.init({
+            files: {
+                '/test/target/releases/r2/index.html': 'x',
+                '/test/target/releases/r1/index.html': 'x',
+                '/test/target/releases/r3/index.html': 'x'
+            }
+        });
+
+        const plan = await createReleasePlan(sourceFs, targetFs);
+
+        expect(plan.stepDeleteOldDirectories.map(step => step.target)).to.deep.equal([
+            '/test/target/releases/r1',
+            '/test/target/releases/r2'
+        ]);
+    });
+
+    it('should delete the oldest releases by their modification time', async () => {
+        process.env.PLUGIN_RELEASE_NAME = '9d3e1f0a';
+        process.env.PLUGIN_KEEP_RELEASES = '2';
+        sourceFs.init({ files: { '/test/source/index.html': 'x' } });
+        targetFs.init({
+            files: {
+                '/test/target/releases/e5b7c2d1/index.html': 'x',
+                '/test/target/releases/0c4f8a9b/index.html': 'x',
+                '/test/target/releases/7a1d3e6f/index.html': 'x',
+                '/test/target/releases/7a1d3e6f/css/main.css': 'x'
+            },
+            mtimes: {
+                '/test/target/releases/e5b7c2d1/index.html': 1704067200000,
+                '/test/target/releases/0c4f8a9b/index.html': 1704240000000,
+                '/test/target/releases/7a1d3e6f/index.html': 1703980800000,
+                '/test/target/releases/7a1d3e6f/css/main.css': 1704153600000
+            }
+        });
+
+        const plan = await createReleasePlan(sourceFs, targetFs);
+
+        expect(plan.stepDeleteOldDirectories.map(step => step.target)).to.deep.equal([
+            '/test/target/releases/e5b7c2d1',
+            '/test/target/releases/7a1d3e6f'
+        ]);
+    });
+
+    it('should never delete the release current points to', async () => {
+        process.env.PLUGIN_RELEASE_NAME = 'r4';
+        process.env.PLUGIN_KEEP_RELEASES = '2';
+        sourceFs.init({ files: { '/test/source/index.html': 'x' } });
+        targetFs.init({
+            files: {
+                '/test/target/releases/r1/index.html': 'x',
+                '/test/target/releases/r2/index.html': 'x',
+                '/test/target/releases/r3/index.html': 'x',
+                // Rolled back to the oldest release
+                '/test/target/current': '-> releases/r1'
+            }
+        });
+
+        const plan = await createReleasePlan(sourceFs, targetFs);
+
+        expect(plan.stepDeleteOldDirectories.map(step => step.target)).to.deep.equal(['/test/target/releases/r2']);
+    });
+
+    it('should require a target supporting symlinks', async () => {
+        targetFs.symlink = undefined;
+
+        let error;
+        try {
+            await createReleasePlan(sourceFs, targetFs);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Release mode is only supported for local and SFTP targets');
+    });
+});
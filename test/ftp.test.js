@@ -0,0 +1,170 @@
+import { expect } from 'chai';
+import Client from 'ftp';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { FtpFileSystem, PATCHED_INTERNALS } from '../lib/fileSystem/ftp.js';
+import { startFtpServer } from './ftpServer.js';
+
+describe('FtpFileSystem', () => {
+    let server;
+
+    /**
+     * Get the error of a failing promise
+     * @param {Promise} promise
+     * @returns {Promise<Error|undefined>}
+     */
+    const getError = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err;
+        }
+    };
+
+    /**
+     * Create a connected file system for the test server, without logging the expected errors
+     * @param {Object} [config] - Additional parameters
+     * @returns {Promise<FtpFileSystem>}
+     */
+    const connect = async (config = {}) => {
+        const fileSystem = new FtpFileSystem(`ftp://127.0.0.1:${server.port}/`, { USERNAME: 'deploy', PASSWORD: 'secret', ...config });
+        fileSystem.logger.level = 'silent';
+        await fileSystem.connect();
+        return fileSystem;
+    };
+
+    beforeEach(async () => {
+        server = await startFtpServer();
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    describe('createWriteStream', () => {
+        const chunks = Array.from({ length: 64 }, (_value, index) => Buffer.alloc(16384, String(index % 10)));
+        const content = Buffer.concat(chunks).toString();
+
+        it('should upload streams', async () => {
+            const fileSystem = await connect();
+            await pipeline(Readable.from(chunks), await fileSystem.createWriteStream('/big.bin'));
+            await fileSystem.disconnect();
+
+            expect(server.files.get('/big.bin')).to.equal(content);
+        });
+
+        it('should not replay uploads whose connection broke in the middle', async () => {
+            const fileSystem = await connect();
+            server.dropUploads = 1;
+            const error = await getError(pipeline(Readable.from(chunks), await fileSystem.createWriteStream('/big.bin')));
+
+            // Retryable, so the step is repeated with a new stream
+            expect(error.code).to.equal('ECONNABORTED');
+            expect(server.files.has('/big.bin')).to.be.false;
+
+            await pipeline(Readable.from(chunks), await fileSystem.createWriteStream('/big.bin'));
+            await fileSystem.disconnect();
+            expect(server.files.get('/big.bin')).to.equal(content);
+        });
+
+        it('should abort uploads whose source fails halfway, without blocking the connection', async () => {
+            const fileSystem = await connect();
+            const failingSource = async function* () {
+                yield* chunks.slice(0, 8);
+                throw new Error('Read error');
+            };
+            const error = await getError(pipeline(Readable.from(failingSource()), await fileSystem.createWriteStream('/big.bin')));
+
+            expect(error.message).to.equal('Read error');
+            await fileSystem.writeFile('/index.html', Buffer.from('<html>'));
+            await fileSystem.disconnect();
+            expect(server.files.get('/index.html')).to.equal('<html>');
+        });
+    });
+
+    describe('active mode', () => {
+        it('should transfer files through connections the server opens', async () => {
+            const fileSystem = await connect({ PASSIVE: 'false' });
+            await fileSystem.writeFile('/index.html', Buffer.from('<html>'));
+            await pipeline(Readable.from(['body {}']), await fileSystem.createWriteStream('/main.css'));
+            const content = await fileSystem.readFile('/index.html');
+            await fileSystem.disconnect();
+
+            expect(content.toString()).to.equal('<html>');
+            expect(server.files.get('/main.css')).to.equal('body {}');
+            expect(server.commands.filter(command => command.startsWith('PORT 127,0,0,1,'))).to.have.length(3);
+            expect(server.commands).to.not.include('PASV');
+        });
+    });
+
+    describe('KEEPALIVE', () => {
+        it('should send NOOPs while idle', async () => {
+            const fileSystem = await connect({ KEEPALIVE: '10' });
+            await sleep(100);
+            await fileSystem.disconnect();
+
+            expect(server.commands).to.include('NOOP');
+        });
+
+        it('should not send NOOPs when disabled', async () => {
+            const fileSystem = await connect({ KEEPALIVE: '0' });
+            await fileSystem.getHomeDirectory();
+            await sleep(100);
+            await fileSystem.disconnect();
+
+            expect(server.commands).to.include('PWD');
+            expect(server.commands).to.not.include('NOOP');
+        });
+    });
+
+    describe('patched internals', () => {
+        it('should find the private members of the ftp package it patches', () => {
+            const client = new Client();
+            for (const names of Object.values(PATCHED_INTERNALS)) {
+                for (const name of names) {
+                    expect(client, name).to.have.property(name);
+                }
+            }
+        });
+    });
+
+    describe('rename', () => {
+        beforeEach(() => {
+            server.files.set('/index.html', 'old');
+            server.files.set('/.index.html.push-to-tmp', 'new');
+        });
+
+        it('should replace the target on servers refusing to rename onto existing files', async () => {
+            server.refuseOverwrite = true;
+            const fileSystem = await connect();
+            await fileSystem.rename('/.index.html.push-to-tmp', '/index.html');
+            await fileSystem.disconnect();
+
+            expect(server.files.get('/index.html')).to.equal('new');
+            expect(server.files.has('/.index.html.push-to-tmp')).to.be.false;
+        });
+
+        it('should keep the target when the rename fails for other reasons', async () => {
+            server.renameReplies.set('/index.html', '450 Busy');
+            const fileSystem = await connect();
+            const error = await getError(fileSystem.rename('/.index.html.push-to-tmp', '/index.html'));
+            await fileSystem.disconnect();
+
+            expect(error.code).to.equal(450);
+            expect(server.files.get('/index.html')).to.equal('old');
+            expect(server.commands).to.not.include('DELE /index.html');
+        });
+
+        it('should keep the target when the temporary file is missing', async () => {
+            server.refuseOverwrite = true;
+            server.files.delete('/.index.html.push-to-tmp');
+            const fileSystem = await connect();
+            const error = await getError(fileSystem.rename('/.index.html.push-to-tmp', '/index.html'));
+            await fileSystem.disconnect();
+
+            expect(error.code).to.equal(550);
+            expect(server.files.get('/index.html')).to.equal('old');
+        });
+    });
+});
@@ -0,0 +1,39 @@
+import { expect } from 'chai';
+import net from 'net';
+import { ActiveDataSocket } from '../lib/fileSystem/ftpActiveMode.js';
+
+describe('ActiveDataSocket', () => {
+    /**
+     * Get the error a stream is destroyed with
+     * @param {Stream} stream
+     * @returns {Promise<Error>}
+     */
+    const getStreamError = (stream) => new Promise((resolve) => stream.once('error', resolve));
+
+    it('should announce the address of the control connection with PORT', async () => {
+        const dataSocket = await ActiveDataSocket.listen({ host: '::ffff:127.0.0.1', acceptTimeout: 0 });
+        dataSocket.destroy();
+
+        expect(dataSocket.portCommand).to.equal(`PORT 127,0,0,1,${dataSocket.port >> 8},${dataSocket.port & 255}`);
+    });
+
+    it('should buffer writes until the server connected', async () => {
+        const dataSocket = await ActiveDataSocket.listen({ host: '127.0.0.1', acceptTimeout: 1000 });
+        const finished = new Promise((resolve) => dataSocket.end('content', resolve));
+
+        const serverSide = net.connect(dataSocket.port, '127.0.0.1');
+        const received = serverSide.toArray();
+        await finished;
+
+        expect(Buffer.concat(await received).toString()).to.equal('content');
+        expect(dataSocket.bytesWritten).to.equal(7);
+    });
+
+    it('should fail when the server does not connect in time', async () => {
+        const dataSocket = await ActiveDataSocket.listen({ host: '127.0.0.1', acceptTimeout: 10 });
+        const error = await getStreamError(dataSocket);
+
+        expect(error.message).to.equal(`Timeout while waiting for the server to open the data connection to 127.0.0.1:${dataSocket.port} (active mode)`);
+        expect(dataSocket.server.listening).to.be.false;
+    });
+});
@@ -0,0 +1,61 @@
+import { expect } from 'chai';
+import { FtpFileSystem } from '../lib/fileSystem/ftp.js';
+import { FtpsFileSystem } from '../lib/fileSystem/ftps.js';
+import { getFtpOptions } from '../lib/fileSystem/ftpOptions.js';
+
+describe('FTP options', () => {
+    describe('getFtpOptions', () => {
+        it('should use passive mode and 10 second timeouts by default', () => {
+            expect(getFtpOptions({})).to.deep.equal({
+                passive: true,
+                connectTimeout: 10000,
+                pasvHostOverride: null,
+                keepalive: 10000,
+            });
+        });
+
+        it('should read the parameters', () => {
+            expect(getFtpOptions({
+                PASSIVE: 'TRUE',
+                CONNECT_TIMEOUT: '30000',
+                PASV_HOST_OVERRIDE: ' ftp.example.com ',
+                KEEPALIVE: '5000',
+            })).to.deep.equal({
+                passive: true,
+                connectTimeout: 30000,
+                pasvHostOverride: 'ftp.example.com',
+                keepalive: 5000,
+            });
+        });
+
+        it('should allow active mode', () => {
+            expect(getFtpOptions({ PASSIVE: 'False' }).passive).to.equal(false);
+            expect(() => getFtpOptions({ PASSIVE: 'no' })).to.throw('Invalid PASSIVE: no');
+        });
+
+        it('should refuse PASV_HOST_OVERRIDE in active mode', () => {
+            expect(() => getFtpOptions({ PASSIVE: 'false', PASV_HOST_OVERRIDE: 'ftp.example.com' })).to.throw('PASV_HOST_OVERRIDE only applies to passive mode');
+        });
+
+        it('should refuse invalid timeouts', () => {
+            expect(() => getFtpOptions({ CONNECT_TIMEOUT: '10s' })).to.throw('Invalid CONNECT_TIMEOUT: 10s');
+            expect(() => getFtpOptions({ CONNECT_TIMEOUT: '0' })).to.throw('Invalid CONNECT_TIMEOUT: 0');
+            expect(() => getFtpOptions({ KEEPALIVE: '-1' })).to.throw('Invalid KEEPALIVE: -1');
+        });
+
+        it('should allow to disable the keepalive', () => {
+            expect(getFtpOptions({ KEEPALIVE: '0' }).keepalive).to.equal(0);
+        });
+
+        it('should refuse invalid PASV hosts', () => {
+            expect(() => getFtpOptions({ PASV_HOST_OVERRIDE: '203.0.113.5:21' })).to.throw('Invalid PASV_HOST_OVERRIDE: 203.0.113.5:21');
+        });
+    });
+
+    describe('file systems', () => {
+        it('should validate the options before connecting', () => {
+            expect(() => new FtpFileSystem('ftp://example.com/www', { CONNECT_TIMEOUT: '-1' })).to.throw('Invalid CONNECT_TIMEOUT');
+            expect(() => new FtpsFileSystem('ftps://example.com/www', { PASSIVE: 'off' })).to.throw('Invalid PASSIVE');
+        });
+    });
+});
@@ -0,0 +1,202 @@
+import net from 'net';
+
+/**
+ * Start a minimal FTP server for the user "deploy" with the password "secret", keeping files in memory
+ * Data connections are supported in passive (PASV) and active mode (PORT, EPRT)
+ * Uploads can be broken off and renames refused, to test how the clients handle it:
+ *  - dropUploads: number of following uploads whose connections are closed after their first chunk
+ *  - refuseOverwrite: refuse to rename onto existing files, like some servers do
+ *  - renameReplies: replies to send to RNTO by its target path, e.g. "450 Busy"
+ * @returns {Promise<Object>} - The server state, with port, files (path to content), commands and the options above
+ */
+export const startFtpServer = () => {
+    const state = {
+        port: null,
+        files: new Map(),
+        commands: [],
+        dropUploads: 0,
+        refuseOverwrite: false,
+        renameReplies: new Map(),
+        close: null,
+    };
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let dataConnection = null;
+        let renameFrom = null;
+        let buffer = '';
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        /**
+         * Keep track of a data connection of the server
+         * @param {net.Socket} dataSocket
+         * @returns {net.Socket}
+         */
+        const addDataSocket = (dataSocket) => {
+            sockets.add(dataSocket);
+            dataSocket.on('close', () => sockets.delete(dataSocket));
+            dataSocket.on('error', () => {});
+            return dataSocket;
+        };
+
+        /**
+         * Wait for the data connection, in passive mode the client opens it
+         * @returns {Promise<net.Socket>}
+         */
+        const openPassive = () => {
+            return new Promise((resolve) => {
+                const dataServer = net.createServer((dataSocket) => {
+                    dataServer.close();
+                    resolve(addDataSocket(dataSocket));
+                });
+                dataServer.listen(0, '127.0.0.1', () => {
+                    const port = dataServer.address().port;
+                    reply(`227 Entering Passive Mode (127,0,0,1,${port >> 8},${port & 255})`);
+                });
+            });
+        };
+
+        /**
+         * Connect to the client, in active mode only once the transfer command arrived
+         * @param {string} host
+         * @param {number} port
+         * @returns {function(): Promise<net.Socket>}
+         */
+        const openActive = (host, port) => () => new Promise((resolve) => {
+            const dataSocket = addDataSocket(net.connect(port, host, () => resolve(dataSocket)));
+        });
+
+        /**
+         * Take the data connection of a transfer
+         * @returns {Promise<net.Socket>}
+         */
+        const takeDataConnection = () => {
+            const connection = dataConnection;
+            dataConnection = null;
+            reply('150 Opening data connection');
+            return connection();
+        };
+
+        const handle = (line) => {
+            state.commands.push(line);
+            const [, command, argument] = line.match(/^(\S+) ?(.*)$/);
+            switch (command.toUpperCase()) {
+                case 'USER':
+                    reply('331 Password required');
+                    break;
+                case 'PASS':
+                    reply(argument === 'secret' ? '230 Logged in' : '530 Login incorrect');
+                    break;
+                case 'FEAT':
+                    reply('211 No features');
+                    break;
+                case 'TYPE':
+                case 'NOOP':
+                    reply('200 OK');
+                    break;
+                case 'PWD':
+                    reply('257 "/" is the current directory');
+                    break;
+                case 'PASV': {
+                    const connection = openPassive();
+                    dataConnection = () => connection;
+                    break;
+                }
+                case 'PORT': {
+                    const numbers = argument.split(',');
+                    dataConnection = openActive(numbers.slice(0, 4).join('.'), numbers[4] * 256 + Number(numbers[5]));
+                    reply('200 PORT command successful');
+                    break;
+                }
+                case 'EPRT': {
+                    const [, , host, port] = argument.split('|');
+                    dataConnection = openActive(host, Number(port));
+                    reply('200 EPRT command successful');
+                    break;
+                }
+                case 'RETR':
+                    if (!state.files.has(argument)) {
+                        reply('550 No such file');
+                        break;
+                    }
+                    takeDataConnection().then((dataSocket) => {
+                        dataSocket.end(state.files.get(argument), () => reply('226 Transfer complete'));
+                    });
+                    break;
+                case 'STOR':
+                    takeDataConnection().then((dataSocket) => {
+                        const chunks = [];
+                        dataSocket.on('data', (chunk) => {
+                            chunks.push(chunk);
+                            if (state.dropUploads > 0 && chunks.length === 1) {
+                                state.dropUploads--;
+                                dataSocket.destroy();
+                                socket.destroy();
+                            }
+                        });
+                        dataSocket.on('end', () => {
+                            state.files.set(argument, Buffer.concat(chunks).toString());
+                            reply('226 Transfer complete');
+                        });
+                    });
+                    break;
+                case 'SIZE':
+                    reply(state.files.has(argument) ? `213 ${state.files.get(argument).length}` : '550 No such file');
+                    break;
+                case 'DELE':
+                    reply(state.files.delete(argument) ? '250 Deleted' : '550 No such file');
+                    break;
+                case 'RNFR':
+                    renameFrom = argument;
+                    reply(state.files.has(argument) ? '350 Ready for RNTO' : '550 No such file');
+                    break;
+                case 'RNTO':
+                    if (state.renameReplies.has(argument)) {
+                        reply(state.renameReplies.get(argument));
+                    } else if (state.refuseOverwrite && state.files.has(argument)) {
+                        reply('553 File exists');
+                    } else {
+                        state.files.set(argument, state.files.get(renameFrom));
+                        state.files.delete(renameFrom);
+                        reply('250 Renamed');
+                    }
+                    break;
+                case 'QUIT':
+                    reply('221 Bye');
+                    socket.end();
+                    break;
+                default:
+                    reply('502 Command not implemented');
+            }
+        };
+
+        reply('220 Test server');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.substring(0, index);
+                buffer = buffer.substring(index + 2);
+                handle(line);
+            }
+        });
+    });
+
+    state.close = () => new Promise((resolve) => {
+        for (const socket of sockets) {
+            socket.destroy();
+        }
+        server.close(() => resolve());
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            state.port = server.address().port;
+            resolve(state);
+        });
+    });
+};
@@ -0,0 +1,53 @@
+import { expect } from 'chai';
+import { getHeaderRules, getHeaders } from '../lib/headers.js';
+
+describe('headers', () => {
+    afterEach(() => {
+        delete process.env.PLUGIN_HEADERS;
+    });
+
+    describe('getHeaderRules', () => {
+        it('should have no rules by default', () => {
+            expect(getHeaderRules()).to.deep.equal([]);
+        });
+
+        it('should set the Cache-Control header and expand the immutable shorthand', () => {
+            process.env.PLUGIN_HEADERS = '**.html=no-cache; assets/**=immutable;';
+            expect(getHeaderRules()).to.deep.equal([
+                { pattern: '**.html', name: 'Cache-Control', value: 'no-cache' },
+                { pattern: 'assets/**', name: 'Cache-Control', value: 'public, max-age=31536000, immutable' },
+            ]);
+        });
+
+        it('should set other headers by their name', () => {
+            process.env.PLUGIN_HEADERS = '**.map=content-type: application/json;*.html=Cache-Control: max-age=60';
+            expect(getHeaderRules()).to.deep.equal([
+                { pattern: '**.map', name: 'Content-Type', value: 'application/json' },
+                { pattern: '*.html', name: 'Cache-Control', value: 'max-age=60' },
+            ]);
+        });
+
+        it('should refuse invalid rules', () => {
+            process.env.PLUGIN_HEADERS = 'no-cache';
+            expect(() => getHeaderRules()).to.throw('Invalid rule in PLUGIN_HEADERS: no-cache');
+            process.env.PLUGIN_HEADERS = '**/*.html=no-cache';
+            expect(() => getHeaderRules()).to.throw('Invalid pattern in PLUGIN_HEADERS: **/*.html');
+            process.env.PLUGIN_HEADERS = '**=X-Frame-Options: DENY';
+            expect(() => getHeaderRules()).to.throw('Unsupported header in PLUGIN_HEADERS: X-Frame-Options');
+        });
+    });
+
+    describe('getHeaders', () => {
+        it('should apply all matching rules, later rules winning', () => {
+            process.env.PLUGIN_HEADERS = '**=max-age=300;**.html=no-cache;assets/**=immutable;**.svg=Content-Type: image/svg+xml';
+            const rules = getHeaderRules();
+
+            expect(getHeaders('index.html', rules)).to.deep.equal({ 'Cache-Control': 'no-cache' });
+            expect(getHeaders('robots.txt', rules)).to.deep.equal({ 'Cache-Control': 'max-age=300' });
+            expect(getHeaders('assets/img/logo.svg', rules)).to.deep.equal({
+                'Cache-Control': 'public, max-age=31536000, immutable',
+                'Content-Type': 'image/svg+xml',
+            });
+        });
+    });
+});
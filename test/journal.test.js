@@ -0,0 +1,190 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import nodePath from 'path';
+import { createPlan } from '../lib/createPlan.js';
+import { createJournal, JOURNAL_FILE_NAME } from '../lib/journal.js';
+import { deserializePlan, serializePlan } from '../lib/planOutput.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Journal', () => {
+    let sourceFs, targetFs;
+    const journalPath = `/test/target/${JOURNAL_FILE_NAME}`;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_JOURNAL;
+        delete process.env.PLUGIN_JOURNAL_PATH;
+        delete process.env.PLUGIN_JOURNAL_ABORT;
+        delete process.env.PLUGIN_DRY_RUN;
+    };
+
+    /**
+     * Execute a plan whose deletions fail, like a run that was interrupted after uploading
+     * @returns {Promise<void>}
+     */
+    const interruptedDeploy = async () => {
+        const plan = await createPlan(sourceFs, targetFs);
+        plan.journal = createJournal(sourceFs, targetFs);
+        const deleteFile = targetFs.deleteFile;
+        targetFs.deleteFile = async () => {
+            throw new Error('Connection lost');
+        };
+        try {
+            await plan.execute();
+            throw new Error('Plan should have failed');
+        } catch (err) {
+            expect(err.message).to.equal('Connection lost');
+        } finally {
+            targetFs.deleteFile = deleteFile;
+        }
+    };
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        sourceFs.init({
+            files: {
+                '/test/source/index.html': '<html>New</html>',
+                '/test/source/css/main.css': 'body {}'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/old.php': '<?php',
+                '/test/target/old.png': 'png'
+            }
+        });
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    it('should serialize and restore a plan', async () => {
+        const plan = await createPlan(sourceFs, targetFs);
+        const options = { sort: false, manifest: true };
+
+        const restored = deserializePlan(JSON.parse(JSON.stringify(serializePlan(plan, sourceFs, targetFs, options))), sourceFs, targetFs);
+
+        expect(serializePlan(restored, sourceFs, targetFs, options)).to.deep.equal(serializePlan(plan, sourceFs, targetFs, options));
+        expect(restored.stepUploadLogic[0].targetFs).to.equal(targetFs);
+    });
+
+    it('should be disabled by default', () => {
+        expect(createJournal(sourceFs, targetFs)).to.be.null;
+    });
+
+    describe('On the target', () => {
+        beforeEach(() => {
+            process.env.PLUGIN_JOURNAL = 'target';
+        });
+
+        it('should record the completed steps of an interrupted run', async () => {
+            await interruptedDeploy();
+
+            const journal = JSON.parse(targetFs.files.get(journalPath).toString());
+            expect(journal.targetPath).to.equal('/test/target');
+            expect(journal.completed).to.include.members([
+                'stepCreateMissingDirectories/0',
+                'stepUploadAssets/0',
+                'stepUploadLogic/0'
+            ]);
+            expect(journal.completed.some(id => id.startsWith('stepRemoveOld'))).to.be.false;
+        });
+
+        it('should resume from the first incomplete step and delete the journal', async () => {
+            await interruptedDeploy();
+            targetFs.clearOperations();
+
+            const journal = createJournal(sourceFs, targetFs);
+            const plan = await journal.resume();
+            plan.journal = journal;
+            await plan.execute();
+
+            const operations = targetFs.getOperations();
+            expect(operations.filter(op => op.type === 'scanDirectory')).to.have.length(1);
+            expect(operations.filter(op => op.type === 'writeFile' && op.path !== journalPath)).to.be.empty;
+            expect(operations.filter(op => op.type === 'deleteFile').map(op => op.path)).to.have.members([
+                '/test/target/old.php',
+                '/test/target/old.png',
+                journalPath
+            ]);
+            expect(targetFs.files.has(journalPath)).to.be.false;
+        });
+
+        it('should skip deletions that happened before the run was interrupted', async () => {
+            await interruptedDeploy();
+            targetFs.files.delete('/test/target/old.php');
+            targetFs.clearOperations();
+
+            const journal = createJournal(sourceFs, targetFs);
+            const plan = await journal.resume();
+            plan.journal = journal;
+            await plan.execute();
+
+            const deleted = targetFs.getOperations().filter(op => op.type === 'deleteFile').map(op => op.path);
+            expect(deleted).to.deep.equal(['/test/target/old.png', journalPath]);
+        });
+
+        it('should discard the journal when aborting', async () => {
+            await interruptedDeploy();
+            process.env.PLUGIN_JOURNAL_ABORT = 'true';
+
+            const plan = await createJournal(sourceFs, targetFs).resume();
+
+            expect(plan).to.be.null;
+            expect(targetFs.files.has(journalPath)).to.be.false;
+        });
+
+        it('should never delete the journal as part of a plan', async () => {
+            targetFs.files.set(journalPath, '{}');
+
+            const plan = await createPlan(sourceFs, targetFs);
+
+            expect(plan.stepRemoveOldLogic.map(step => step.target)).not.to.include(journalPath);
+            expect(plan.stepRemoveOldAssets.map(step => step.target)).not.to.include(journalPath);
+        });
+    });
+
+    describe('Local', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(nodePath.join(os.tmpdir(), 'push-to-journal-'));
+            process.env.PLUGIN_JOURNAL = 'local';
+            process.env.PLUGIN_JOURNAL_PATH = nodePath.join(directory, 'journal.jsonl');
+        });
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it('should append completed steps and resume from them', async () => {
+            await interruptedDeploy();
+
+            const lines = (await fs.readFile(process.env.PLUGIN_JOURNAL_PATH, 'utf8')).trim().split('\n');
+            expect(JSON.parse(lines[0]).plan.steps.stepUploadLogic).to.have.length(1);
+            expect(lines.slice(1).map(line => JSON.parse(line).completed)).to.include('stepUploadLogic/0');
+
+            targetFs.clearOperations();
+            const journal = createJournal(sourceFs, targetFs);
+            const plan = await journal.resume();
+            plan.journal = journal;
+            await plan.execute();
+
+            expect(targetFs.getOperations().filter(op => op.type === 'writeFile')).to.be.empty;
+            expect(await fs.readdir(directory)).to.be.empty;
+        });
+
+        it('should ignore a truncated last line', async () => {
+            await interruptedDeploy();
+            await fs.appendFile(process.env.PLUGIN_JOURNAL_PATH, '{"comple');
+
+            const plan = await createJournal(sourceFs, targetFs).resume();
+
+            expect(plan.stepUploadLogic.map(step => step.target)).to.deep.equal(['/test/target/index.html']);
+        });
+
+        it('should be disabled in dry run mode', () => {
+            process.env.PLUGIN_DRY_RUN = 'true';
+            expect(createJournal(sourceFs, targetFs)).to.be.null;
+        });
+    });
+});
@@ -7,18 +7,27 @@ export class MockFileSystem {
         this.path = path;
         this.files = new Map(); // path -> content
         this.directories = new Set(); // directory paths
+        this.mtimes = new Map(); // path -> modification time in ms
         this.operations = []; // track all operations for testing
     }
 
     /**
      * Initialize the file system with custom files and directories
-     * @param {Object} structure - { files: { path: content }, directories: [path1, path2] }
+     * @param {Object} structure - { files: { path: content }, directories: [path1, path2], mtimes: { path: ms } }
      */
     init(structure = {}) {
         this.files.clear();
         this.directories.clear();
+        this.mtimes.clear();
         this.operations = [];
 
+        // Add modification times
+        if (structure.mtimes) {
+            Object.entries(structure.mtimes).forEach(([path, mtime]) => {
+                this.mtimes.set(path, mtime);
+            });
+        }
+
         // Add directories
         if (structure.directories) {
             structure.directories.forEach(dir => {
@@ -47,6 +56,21 @@ export class MockFileSystem {
         return Array.from(this.files.keys());
     }
 
+    /**
+     * Get size and modification time of a file
+     * @param {string} filePath - Path to file
+     * @returns {Object|undefined} { size, mtime }
+     */
+    getFileInfo(filePath) {
+        if (!this.files.has(filePath)) {
+            return undefined;
+        }
+        return {
+            size: Buffer.byteLength(this.files.get(filePath)),
+            mtime: this.mtimes.get(filePath) || 0
+        };
+    }
+
     /**
      * Scan directory and return all files
      * @param {string} directory - Directory to scan
@@ -103,6 +127,40 @@ export class MockFileSystem {
         this.files.delete(filePath);
     }
 
+    /**
+     * Rename file
+     * @param {string} fromPath - Current path of the file
+     * @param {string} toPath - New path of the file
+     */
+    async rename(fromPath, toPath) {
+        this.operations.push({ type: 'rename', path: fromPath, target: toPath });
+        if (!this.files.has(fromPath)) {
+            throw new Error(`File not found: ${fromPath}`);
+        }
+        this.files.set(toPath, this.files.get(fromPath));
+        this.files.delete(fromPath);
+    }
+
+    /**
+     * Create symlink, stored as file with the content "-> target"
+     * @param {string} target - Path the symlink points to
+     * @param {string} linkPath - Path of the symlink
+     */
+    async symlink(target, linkPath) {
+        this.operations.push({ type: 'symlink', path: linkPath, target });
+        this.files.set(linkPath, `-> ${target}`);
+    }
+
+    /**
+     * Read the target of a symlink created by symlink()
+     * @param {string} linkPath - Path of the symlink
+     * @returns {Promise<string|null>}
+     */
+    async readLink(linkPath) {
+        const content = this.files.get(linkPath);
+        return typeof content === 'string' && content.startsWith('-> ') ? content.substring(3) : null;
+    }
+
     /**
      * Create directory
      * @param {string} dirPath - Path to directory
@@ -135,6 +193,14 @@ export class MockFileSystem {
         this.operations.push({ type: 'disconnect' });
     }
 
+    /**
+     * Get the home directory, configurable via homeDirectory
+     * @returns {string} Home directory
+     */
+    async getHomeDirectory() {
+        return this.homeDirectory || '/home/mock';
+    }
+
     /**
      * Get relative path from base path
      * @param {string} absolutePath - Absolute path
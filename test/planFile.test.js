@@ -0,0 +1,163 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import nodePath from 'path';
+import { createPlan } from '../lib/createPlan.js';
+import { fingerprintFiles, readPlanFile, writePlanFile } from '../lib/planFile.js';
+import { serializePlan } from '../lib/planOutput.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Plan File', () => {
+    let sourceFs, targetFs, directory, planFile;
+
+    beforeEach(async () => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        sourceFs.init({
+            files: {
+                '/test/source/index.html': '<html>New</html>',
+                '/test/source/css/main.css': 'body {}'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/index.html': '<html>Old</html>',
+                '/test/target/old.php': '<?php'
+            },
+            mtimes: {
+                '/test/target/index.html': 1000,
+                '/test/target/old.php': 2000
+            }
+        });
+        directory = await fs.mkdtemp(nodePath.join(os.tmpdir(), 'push-to-plan-file-'));
+        planFile = nodePath.join(directory, 'plan.json');
+        delete process.env.PLUGIN_COMPARE_MODE;
+    });
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+        delete process.env.PLUGIN_COMPARE_MODE;
+    });
+
+    describe('Fingerprint', () => {
+        it('should not depend on the order of the files', async () => {
+            const reversedFs = new MockFileSystem('/test/target');
+            reversedFs.init({
+                files: Object.fromEntries([...targetFs.files.entries()].reverse()),
+                mtimes: Object.fromEntries(targetFs.mtimes.entries())
+            });
+
+            expect(await fingerprintFiles(reversedFs)).to.equal(await fingerprintFiles(targetFs));
+        });
+
+        it('should change when a file is added, changed or touched', async () => {
+            const original = await fingerprintFiles(targetFs);
+
+            targetFs.files.set('/test/target/new.html', 'new');
+            const added = await fingerprintFiles(targetFs);
+            targetFs.files.delete('/test/target/new.html');
+            expect(await fingerprintFiles(targetFs)).to.equal(original);
+
+            targetFs.files.set('/test/target/old.php', '<?php // changed');
+            const changed = await fingerprintFiles(targetFs);
+            targetFs.files.set('/test/target/old.php', '<?php');
+
+            targetFs.mtimes.set('/test/target/old.php', 3000);
+            const touched = await fingerprintFiles(targetFs);
+
+            expect(new Set([original, added, changed, touched]).size).to.equal(4);
+        });
+
+        it('should cover the content on request', async () => {
+            const listing = await fingerprintFiles(targetFs);
+            const content = await fingerprintFiles(targetFs, { hashContent: true });
+
+            // Same size and modification time
+            targetFs.files.set('/test/target/old.php', '<?PHP');
+
+            expect(await fingerprintFiles(targetFs)).to.equal(listing);
+            expect(await fingerprintFiles(targetFs, { hashContent: true })).not.to.equal(content);
+        });
+    });
+
+    describe('Apply', () => {
+        it('should execute exactly the saved steps', async () => {
+            const plan = await createPlan(sourceFs, targetFs);
+            await writePlanFile(plan, sourceFs, targetFs, planFile);
+
+            const savedPlan = await readPlanFile(sourceFs, targetFs, planFile);
+            expect(serializePlan(savedPlan, sourceFs, targetFs)).to.deep.equal(serializePlan(plan, sourceFs, targetFs));
+
+            await savedPlan.execute();
+            expect(targetFs.files.get('/test/target/index.html')).to.equal('<html>New</html>');
+            expect(targetFs.files.has('/test/target/old.php')).to.be.false;
+        });
+
+        it('should keep the manifest of the plan', async () => {
+            process.env.PLUGIN_COMPARE_MODE = 'hash';
+            const plan = await createPlan(sourceFs, targetFs);
+            await writePlanFile(plan, sourceFs, targetFs, planFile);
+
+            const savedPlan = await readPlanFile(sourceFs, targetFs, planFile);
+
+            expect(savedPlan.manifest.path).to.equal('/test/target/.push-to-manifest.json');
+            expect(savedPlan.manifest.files).to.deep.equal(plan.manifest.files);
+        });
+
+        it('should refuse to run when the target has drifted', async () => {
+            const plan = await createPlan(sourceFs, targetFs);
+            await writePlanFile(plan, sourceFs, targetFs, planFile);
+            targetFs.files.set('/test/target/hotfix.php', '<?php');
+
+            let error;
+            try {
+                await readPlanFile(sourceFs, targetFs, planFile);
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.match(/^Target has changed since the plan was created/);
+        });
+
+        it('should refuse to run when the source has drifted', async () => {
+            const plan = await createPlan(sourceFs, targetFs);
+            await writePlanFile(plan, sourceFs, targetFs, planFile);
+            sourceFs.files.set('/test/source/later.html', 'later');
+
+            let error;
+            try {
+                await readPlanFile(sourceFs, targetFs, planFile);
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.match(/^Source has changed since the plan was created/);
+        });
+
+        it('should refuse to run when the content of the source changed in hash mode', async () => {
+            process.env.PLUGIN_COMPARE_MODE = 'hash';
+            const plan = await createPlan(sourceFs, targetFs);
+            await writePlanFile(plan, sourceFs, targetFs, planFile);
+            // The manifest of the plan holds the hash of the old content
+            sourceFs.files.set('/test/source/css/main.css', 'body{}\n');
+
+            let error;
+            try {
+                await readPlanFile(sourceFs, targetFs, planFile);
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.match(/^Source has changed since the plan was created/);
+        });
+
+        it('should refuse plans created for another target', async () => {
+            const plan = await createPlan(sourceFs, targetFs);
+            await writePlanFile(plan, sourceFs, targetFs, planFile);
+
+            let error;
+            try {
+                await readPlanFile(sourceFs, new MockFileSystem('/test/other'), planFile);
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.equal('Plan was created for /test/source -> /test/target, not for /test/source -> /test/other');
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import nodePath from 'path';
+import { createPlan } from '../lib/createPlan.js';
+import { deserializePlan, serializePlan, writePlanOutput } from '../lib/planOutput.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Plan Output', () => {
+    let sourceFs, targetFs;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_DONT_DELETE_TARGET_FILES;
+        delete process.env.PLUGIN_DONT_OVERRIDE_TARGET_FILES;
+        delete process.env.PLUGIN_COMPARE_MODE;
+    };
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        sourceFs.init({
+            files: {
+                '/test/source/index.html': '<html>New</html>',
+                '/test/source/css/main.css': 'body {}',
+                '/test/source/robots.txt': 'User-agent: *',
+                '/test/source/config.php': '<?php'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/index.html': '<html>Older</html>',
+                '/test/target/robots.txt': 'User-agent: *',
+                '/test/target/config.php': '<?php // production',
+                '/test/target/old.php': '<?php',
+                '/test/target/uploads/photo.jpg': 'jpg'
+            }
+        });
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    it('should serialize the steps with relative paths, reasons and sizes', async () => {
+        process.env.PLUGIN_COMPARE_MODE = 'size';
+        process.env.PLUGIN_DONT_DELETE_TARGET_FILES = 'uploads/*';
+        process.env.PLUGIN_DONT_OVERRIDE_TARGET_FILES = 'config.php';
+
+        const plan = await createPlan(sourceFs, targetFs);
+        const document = serializePlan(plan, sourceFs, targetFs);
+
+        expect(document.source).to.equal('/test/source');
+        expect(document.target).to.equal('/test/target');
+        expect(document.steps.stepCreateMissingDirectories).to.deep.equal([
+            { action: 'create_directory', source: null, target: 'css', reason: 'new', size: null }
+        ]);
+        expect(document.steps.stepUploadAssets).to.deep.equal([
+            { action: 'copy', source: 'css/main.css', target: 'css/main.css', reason: 'new', size: 7 }
+        ]);
+        expect(document.steps.stepUploadLogic).to.deep.equal([
+            { action: 'copy', source: 'index.html', target: 'index.html', reason: 'changed', size: 16 }
+        ]);
+        expect(document.steps.stepRemoveOldLogic).to.deep.equal([
+            { action: 'delete_file', source: null, target: 'old.php', reason: 'orphaned', size: 5 }
+        ]);
+        expect(document.skipped).to.deep.equal([
+            { path: 'config.php', reason: 'dont_override' },
+            { path: 'robots.txt', reason: 'unchanged' },
+            { path: 'uploads/photo.jpg', reason: 'dont_delete' }
+        ]);
+    });
+
+    it('should contain all phases', async () => {
+        const plan = await createPlan(sourceFs, targetFs);
+        const document = serializePlan(plan, sourceFs, targetFs);
+
+        expect(Object.keys(document.steps)).to.deep.equal([
+            'stepCreateMissingDirectories',
+            'stepUploadAssets',
+            'stepUploadLogic',
+            'stepActivateRelease',
+            'stepRemoveOldLogic',
+            'stepRemoveOldAssets',
+            'stepDeleteOldDirectories'
+        ]);
+    });
+
+    it('should not depend on the order files were found in', async () => {
+        const first = serializePlan(await createPlan(sourceFs, targetFs), sourceFs, targetFs);
+
+        const reversedSourceFs = new MockFileSystem('/test/source');
+        reversedSourceFs.init({ files: Object.fromEntries([...sourceFs.files.entries()].reverse()) });
+        const second = serializePlan(await createPlan(reversedSourceFs, targetFs), reversedSourceFs, targetFs);
+
+        expect(JSON.stringify(second)).to.equal(JSON.stringify(first));
+    });
+
+    it('should keep the order of the steps when asked to', async () => {
+        const unsortedSourceFs = new MockFileSystem('/test/source');
+        unsortedSourceFs.init({ files: { '/test/source/b.html': 'b', '/test/source/a.html': 'a' } });
+        const plan = await createPlan(unsortedSourceFs, targetFs);
+        const targets = plan.stepUploadLogic.map(step => step.target);
+
+        const document = serializePlan(plan, unsortedSourceFs, targetFs, { sort: false });
+        const restored = deserializePlan(document, unsortedSourceFs, targetFs);
+
+        expect(restored.stepUploadLogic.map(step => step.target)).to.deep.equal(targets);
+        expect(serializePlan(plan, unsortedSourceFs, targetFs).steps.stepUploadLogic.map(step => step.target)).to.deep.equal(['a.html', 'b.html']);
+    });
+
+    it('should write the plan to a file', async () => {
+        const directory = await fs.mkdtemp(nodePath.join(os.tmpdir(), 'push-to-plan-'));
+        try {
+            const path = nodePath.join(directory, 'plan.json');
+            const plan = await createPlan(sourceFs, targetFs);
+
+            await writePlanOutput(plan, sourceFs, targetFs, path);
+
+            const document = JSON.parse(await fs.readFile(path, 'utf8'));
+            expect(document).to.deep.equal(serializePlan(plan, sourceFs, targetFs));
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,80 @@
+import { expect } from 'chai';
+import { createPlan } from '../lib/createPlan.js';
+import { createReport, formatBytes, renderTree } from '../lib/report.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Report', () => {
+    let sourceFs, targetFs;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_DONT_DELETE_TARGET_FILES;
+        delete process.env.PLUGIN_DRY_RUN;
+    };
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        sourceFs.init({
+            files: {
+                '/test/source/index.html': '<html>New</html>',
+                '/test/source/css/main.css': 'body {}'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/index.html': '<html>Older</html>',
+                '/test/target/old/app.php': '<?php',
+                '/test/target/robots.txt': 'User-agent: *'
+            }
+        });
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    it('should format bytes', () => {
+        expect(formatBytes(0)).to.equal('0 B');
+        expect(formatBytes(1023)).to.equal('1023 B');
+        expect(formatBytes(1536)).to.equal('1.5 KB');
+        expect(formatBytes(5 * 1024 * 1024)).to.equal('5.0 MB');
+    });
+
+    it('should render paths as tree', () => {
+        const tree = renderTree([
+            { path: 'css/vendor/a.css', label: '+ a.css' },
+            { path: 'css/b.css', label: '~ b.css' },
+            { path: 'index.html', label: '- index.html' }
+        ]);
+
+        expect(tree).to.equal([
+            '.',
+            '├── css/',
+            '│   ├── ~ b.css',
+            '│   └── vendor/',
+            '│       └── + a.css',
+            '└── - index.html'
+        ].join('\n'));
+    });
+
+    it('should report totals and every phase', async () => {
+        process.env.PLUGIN_DONT_DELETE_TARGET_FILES = 'robots.txt';
+        process.env.PLUGIN_DRY_RUN = 'true';
+        const plan = await createPlan(sourceFs, targetFs);
+
+        const report = createReport(plan, sourceFs, targetFs);
+
+        expect(report).to.include('Dry run: nothing will be changed on the target');
+        expect(report).to.include('| Added files | 1 | 7 B |');
+        expect(report).to.include('| Modified files | 1 | 16 B |');
+        expect(report).to.include('| Deleted files | 1 | 5 B |');
+        expect(report).to.include('| Deleted directories | 1 | |');
+        expect(report).to.include('| Skipped files | 1 | |');
+        expect(report).to.include('## Create missing directories (1)');
+        expect(report).to.include('## Upload assets (1)');
+        expect(report).to.include('## Remove old assets (0)\n\nNothing to do');
+        expect(report).to.include('└── ~ index.html (16 B)');
+        expect(report).to.include('└── old/\n    └── - app.php (5 B)');
+        expect(report).to.include('└── robots.txt (dont_delete)');
+        // Only used in release mode
+        expect(report).not.to.include('Activate release');
+    });
+});
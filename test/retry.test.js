@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+import { isRetryableError, withRetry, getRetryOptions } from '../lib/retry.js';
+
+describe('retry', () => {
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_RETRIES;
+        delete process.env.PLUGIN_RETRY_DELAY;
+    };
+
+    beforeEach(clearEnvironment);
+    afterEach(clearEnvironment);
+
+    // Helper to create an error with a code
+    const createError = (message, code) => {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    };
+
+    describe('isRetryableError', () => {
+        it('should retry network errors', () => {
+            expect(isRetryableError(createError('read ECONNRESET', 'ECONNRESET'))).to.be.true;
+            expect(isRetryableError(createError('connect ETIMEDOUT', 'ETIMEDOUT'))).to.be.true;
+            expect(isRetryableError(new Error('Timed out while waiting for handshake'))).to.be.true;
+        });
+
+        it('should retry transient FTP replies', () => {
+            expect(isRetryableError(createError('Service not available', 421))).to.be.true;
+            expect(isRetryableError(createError('Can\'t open data connection', 425))).to.be.true;
+        });
+
+        it('should not retry permanent FTP replies', () => {
+            expect(isRetryableError(createError('Permission denied', 550))).to.be.false;
+            expect(isRetryableError(createError('Not logged in', 530))).to.be.false;
+        });
+
+        it('should retry lost SFTP connections', () => {
+            expect(isRetryableError(createError('Connection lost', 7))).to.be.true;
+            expect(isRetryableError(createError('put: Permission denied', 3))).to.be.false;
+        });
+
+        it('should retry HTTP timeouts, rate limits and server errors', () => {
+            const createResponseError = (statusCode) => Object.assign(new Error(`PUT /index.html failed: ${statusCode}`), { statusCode });
+            expect(isRetryableError(createResponseError(503))).to.be.true;
+            expect(isRetryableError(createResponseError(429))).to.be.true;
+            expect(isRetryableError(createResponseError(403))).to.be.false;
+            expect(isRetryableError(createResponseError(404))).to.be.false;
+        });
+
+        it('should not retry permission and unknown errors', () => {
+            expect(isRetryableError(createError('EACCES: permission denied', 'EACCES'))).to.be.false;
+            expect(isRetryableError(new Error('Something went wrong'))).to.be.false;
+        });
+    });
+
+    describe('withRetry', () => {
+        const options = { retries: 3, delay: 1 };
+
+        it('should repeat an operation failing with a retryable error', async () => {
+            let calls = 0;
+            const result = await withRetry(async () => {
+                calls++;
+                if (calls < 3) {
+                    throw createError('read ECONNRESET', 'ECONNRESET');
+                }
+                return 'done';
+            }, 'test', options);
+
+            expect(result).to.equal('done');
+            expect(calls).to.equal(3);
+        });
+
+        it('should give up after the configured number of retries', async () => {
+            let calls = 0;
+            let error;
+            try {
+                await withRetry(async () => {
+                    calls++;
+                    throw createError('read ECONNRESET', 'ECONNRESET');
+                }, 'test', options);
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.code).to.equal('ECONNRESET');
+            expect(calls).to.equal(4);
+        });
+
+        it('should not repeat an operation failing with a fatal error', async () => {
+            let calls = 0;
+            let error;
+            try {
+                await withRetry(async () => {
+                    calls++;
+                    throw createError('Permission denied', 550);
+                }, 'test', options);
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.code).to.equal(550);
+            expect(calls).to.equal(1);
+        });
+    });
+
+    describe('getRetryOptions', () => {
+        it('should not retry by default', () => {
+            expect(getRetryOptions()).to.deep.equal({ retries: 0, delay: 1000 });
+        });
+
+        it('should read the environment variables', () => {
+            process.env.PLUGIN_RETRIES = '5';
+            process.env.PLUGIN_RETRY_DELAY = '250';
+
+            expect(getRetryOptions()).to.deep.equal({ retries: 5, delay: 250 });
+        });
+
+        it('should reject invalid values', () => {
+            process.env.PLUGIN_RETRIES = '-1';
+
+            expect(() => getRetryOptions()).to.throw('Invalid PLUGIN_RETRIES');
+        });
+    });
+});
@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import { runWithConcurrency } from '../lib/runWithConcurrency.js';
+import { Plan, PlanStep, getConcurrency } from '../lib/Plan.js';
+
+describe('runWithConcurrency', () => {
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_CONCURRENCY;
+        delete process.env.PLUGIN_CONCURRENCY_UPLOAD_ASSETS;
+    };
+
+    beforeEach(clearEnvironment);
+    afterEach(clearEnvironment);
+
+    // Helper to create a worker that tracks how many calls are in flight
+    const createTrackingWorker = () => {
+        const tracker = { inFlight: 0, maxInFlight: 0, processed: [] };
+        tracker.worker = async (item) => {
+            tracker.inFlight++;
+            tracker.maxInFlight = Math.max(tracker.maxInFlight, tracker.inFlight);
+            await new Promise(resolve => setTimeout(resolve, 1));
+            tracker.processed.push(item);
+            tracker.inFlight--;
+        };
+        return tracker;
+    };
+
+    it('should never exceed the limit', async () => {
+        const tracker = createTrackingWorker();
+        const items = Array.from({ length: 20 }, (_, i) => i);
+
+        await runWithConcurrency(items, 3, tracker.worker);
+
+        expect(tracker.maxInFlight).to.equal(3);
+        expect(tracker.processed).to.have.members(items);
+    });
+
+    it('should run everything at once without a limit', async () => {
+        const tracker = createTrackingWorker();
+        const items = Array.from({ length: 20 }, (_, i) => i);
+
+        await runWithConcurrency(items, Infinity, tracker.worker);
+
+        expect(tracker.maxInFlight).to.equal(20);
+    });
+
+    it('should stop picking up items after a failure', async () => {
+        const processed = [];
+        const items = Array.from({ length: 10 }, (_, i) => i);
+
+        let error;
+        try {
+            await runWithConcurrency(items, 1, async (item) => {
+                if (item === 2) {
+                    throw new Error('Simulated error');
+                }
+                processed.push(item);
+            });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).to.equal('Simulated error');
+        expect(processed).to.deep.equal([0, 1]);
+    });
+
+    describe('getConcurrency', () => {
+        it('should be unlimited by default', () => {
+            expect(getConcurrency('stepUploadAssets')).to.equal(Infinity);
+        });
+
+        it('should prefer the phase specific limit', () => {
+            process.env.PLUGIN_CONCURRENCY = '4';
+            process.env.PLUGIN_CONCURRENCY_UPLOAD_ASSETS = '8';
+
+            expect(getConcurrency('stepUploadAssets')).to.equal(8);
+            expect(getConcurrency('stepUploadLogic')).to.equal(4);
+        });
+
+        it('should reject invalid values', () => {
+            process.env.PLUGIN_CONCURRENCY = 'many';
+
+            expect(() => getConcurrency('stepUploadLogic')).to.throw('Invalid PLUGIN_CONCURRENCY');
+        });
+    });
+
+    describe('Plan.execute', () => {
+        it('should keep the phase order with a limit', async () => {
+            process.env.PLUGIN_CONCURRENCY = '2';
+            const executed = [];
+            const createStep = (name) => {
+                const step = new PlanStep('create_directory', null, name, null, null);
+                step.execute = async () => {
+                    await new Promise(resolve => setTimeout(resolve, 1));
+                    executed.push(name);
+                };
+                return step;
+            };
+
+            const plan = new Plan();
+            plan.stepCreateMissingDirectories.push(createStep('dir1'), createStep('dir2'), createStep('dir3'));
+            plan.stepUploadAssets.push(createStep('asset1'));
+            plan.stepDeleteOldDirectories.push(createStep('old1'));
+
+            await plan.execute();
+
+            expect(executed.slice(0, 3)).to.have.members(['dir1', 'dir2', 'dir3']);
+            expect(executed.slice(3)).to.deep.equal(['asset1', 'old1']);
+        });
+    });
+});
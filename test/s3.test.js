@@ -0,0 +1,133 @@
+import { expect } from 'chai';
+import { createFs } from '../lib/createFs.js';
+import { S3FileSystem, getContentType } from '../lib/fileSystem/s3.js';
+
+describe('S3FileSystem', () => {
+    describe('constructor', () => {
+        it('should be created for s3:// URLs', () => {
+            expect(createFs('s3://site/www', {})).to.be.instanceOf(S3FileSystem);
+        });
+
+        it('should map the bucket and prefix to the base path', () => {
+            const fileSystem = new S3FileSystem('s3://site/www/prod/', {});
+            expect(fileSystem.bucket).to.equal('site');
+            expect(fileSystem.prefix).to.equal('www/prod');
+            expect(fileSystem.directory).to.equal('/site/www/prod');
+            expect(fileSystem.getKey('/site/www/prod/index.html')).to.equal('www/prod/index.html');
+            expect(fileSystem.getAsRelativePath('/site/www/prod/css/app.css')).to.equal('css/app.css');
+        });
+
+        it('should use the whole bucket without prefix', () => {
+            const fileSystem = new S3FileSystem('s3://site', {});
+            expect(fileSystem.prefix).to.equal('');
+            expect(fileSystem.directory).to.equal('/site');
+            expect(fileSystem.getKey('/site/index.html')).to.equal('index.html');
+        });
+
+        it('should refuse paths outside the bucket', () => {
+            expect(() => new S3FileSystem('s3://site/www', {}).getKey('/other/index.html')).to.throw('not within the bucket site');
+        });
+
+        it('should refuse invalid parameters', () => {
+            expect(() => new S3FileSystem('s3://site', { FORCE_PATH_STYLE: 'yes' })).to.throw('Invalid FORCE_PATH_STYLE: yes');
+            expect(() => new S3FileSystem('s3://site', { ENDPOINT: 'localhost:9000/' })).to.throw('Invalid ENDPOINT');
+            expect(() => new S3FileSystem('s3://site', { ACCESS_KEY_ID: 'minio' })).to.throw('ACCESS_KEY_ID and SECRET_ACCESS_KEY');
+        });
+    });
+
+    describe('buildClientConfig', () => {
+        it('should use AWS defaults', () => {
+            expect(new S3FileSystem('s3://site', {}).buildClientConfig()).to.deep.equal({
+                region: 'us-east-1',
+                forcePathStyle: false,
+            });
+        });
+
+        it('should address a MinIO endpoint with path-style and credentials', () => {
+            const config = new S3FileSystem('s3://site', {
+                ENDPOINT: 'http://localhost:9000',
+                REGION: 'eu-central-1',
+                FORCE_PATH_STYLE: 'true',
+                ACCESS_KEY_ID: 'minio',
+                SECRET_ACCESS_KEY: 'minio123',
+            }).buildClientConfig();
+            expect(config).to.include({
+                endpoint: 'http://localhost:9000',
+                region: 'eu-central-1',
+                forcePathStyle: true,
+                requestChecksumCalculation: 'WHEN_REQUIRED',
+            });
+            expect(config.credentials).to.deep.equal({ accessKeyId: 'minio', secretAccessKey: 'minio123', sessionToken: undefined });
+        });
+    });
+
+    describe('getContentType', () => {
+        it('should detect the type from the extension', () => {
+            expect(getContentType('/site/index.html')).to.equal('text/html; charset=utf-8');
+            expect(getContentType('/site/img/logo.svg')).to.equal('image/svg+xml');
+            expect(getContentType('/site/LICENSE')).to.equal('application/octet-stream');
+        });
+
+        it('should use the type of the file for temporary files of atomic uploads', () => {
+            expect(getContentType('/site/css/.app.css.push-to-tmp')).to.equal('text/css; charset=utf-8');
+        });
+    });
+
+    describe('getHeaderParameters', () => {
+        afterEach(() => {
+            delete process.env.PLUGIN_HEADERS;
+        });
+
+        it('should apply the rules of PLUGIN_HEADERS to the path below the prefix', () => {
+            process.env.PLUGIN_HEADERS = '**.html=no-cache;assets/**=immutable;**.map=Content-Type: application/json';
+            const fileSystem = new S3FileSystem('s3://site/www', {});
+
+            expect(fileSystem.getHeaderParameters('/site/www/index.html')).to.deep.equal({
+                ContentType: 'text/html; charset=utf-8',
+                CacheControl: 'no-cache',
+            });
+            expect(fileSystem.getHeaderParameters('/site/www/assets/.app.css.push-to-tmp')).to.deep.equal({
+                ContentType: 'text/css; charset=utf-8',
+                CacheControl: 'public, max-age=31536000, immutable',
+            });
+            expect(fileSystem.getHeaderParameters('/site/www/app.js.map')).to.deep.equal({
+                ContentType: 'application/json',
+            });
+        });
+
+        it('should notice headers of removed rules', async () => {
+            const fileSystem = new S3FileSystem('s3://site/www', {});
+            fileSystem.client = { send: async () => ({ ContentType: 'text/html; charset=utf-8', CacheControl: 'no-cache' }) };
+            expect(await fileSystem.hasOutdatedMetadata('/site/www/index.html')).to.be.true;
+
+            process.env.PLUGIN_HEADERS = '**.html=no-cache';
+            const configured = new S3FileSystem('s3://site/www', {});
+            configured.client = fileSystem.client;
+            expect(await configured.hasOutdatedMetadata('/site/www/index.html')).to.be.false;
+        });
+
+        it('should hash the rules, so changed rules are noticed', () => {
+            const hashes = ['', '**.html=no-cache', '**.html=no-cache;assets/**=immutable', '**.html=no-cache'].map((rules) => {
+                process.env.PLUGIN_HEADERS = rules;
+                return new S3FileSystem('s3://site/www', {}).getMetadataHash();
+            });
+
+            expect(new Set(hashes).size).to.equal(3);
+            expect(hashes[3]).to.equal(hashes[1]);
+        });
+
+        it('should refuse invalid rules when created', () => {
+            process.env.PLUGIN_HEADERS = '**.html';
+            expect(() => new S3FileSystem('s3://site/www', {})).to.throw('Invalid rule in PLUGIN_HEADERS');
+        });
+    });
+
+    describe('directories', () => {
+        it('should neither create nor delete directories', async () => {
+            // Without a client, any request would fail
+            const fileSystem = new S3FileSystem('s3://site/www', {});
+            await fileSystem.createDirectory('/site/www/css');
+            await fileSystem.deleteDirectory('/site/www/css');
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import { expect } from 'chai';
+import { createPlan } from '../lib/createPlan.js';
+import { Plan } from '../lib/Plan.js';
+import { checkDeletions, checkPlanSafety, getSafetyLimits } from '../lib/safetyChecks.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Safety Checks', () => {
+    let sourceFs, targetFs;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_MAX_DELETIONS;
+        delete process.env.PLUGIN_MAX_DELETION_PERCENT;
+        delete process.env.PLUGIN_IGNORE_MAX_DELETIONS;
+        delete process.env.PLUGIN_IGNORE_MAX_DELETION_PERCENT;
+        delete process.env.PLUGIN_ALLOW_EMPTY_SOURCE;
+    };
+
+    /**
+     * Create a plan and run the safety checks on it
+     * @returns {Promise<Plan>}
+     */
+    const createCheckedPlan = async () => {
+        const plan = await createPlan(sourceFs, targetFs);
+        await checkPlanSafety(plan, sourceFs, targetFs);
+        return plan;
+    };
+
+    /**
+     * Get the error of a failing promise
+     * @param {Promise} promise
+     * @returns {Promise<Error|undefined>}
+     */
+    const getError = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err;
+        }
+    };
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        sourceFs.init({
+            files: {
+                '/test/source/index.html': '<html></html>'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/index.html': '<html></html>',
+                '/test/target/a.php': 'a',
+                '/test/target/b.php': 'b',
+                '/test/target/old/c.php': 'c'
+            }
+        });
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    it('should not limit deletions by default', async () => {
+        expect(getSafetyLimits()).to.deep.equal({ maxDeletions: null, maxDeletionPercent: null });
+        const plan = await createCheckedPlan();
+        expect(plan.stepRemoveOldLogic).to.have.length(3);
+    });
+
+    it('should reject invalid limits', () => {
+        process.env.PLUGIN_MAX_DELETIONS = '-1';
+        expect(() => getSafetyLimits()).to.throw('Invalid PLUGIN_MAX_DELETIONS: -1');
+        process.env.PLUGIN_MAX_DELETIONS = '10';
+        process.env.PLUGIN_MAX_DELETION_PERCENT = '120';
+        expect(() => getSafetyLimits()).to.throw('Invalid PLUGIN_MAX_DELETION_PERCENT: 120');
+    });
+
+    it('should refuse plans deleting more files and directories than allowed', async () => {
+        // 3 files and the directory "old"
+        process.env.PLUGIN_MAX_DELETIONS = '3';
+
+        const error = await getError(createCheckedPlan());
+
+        expect(error.message).to.equal('Plan deletes 4 files and directories, more than PLUGIN_MAX_DELETIONS (3). ' +
+            'Set PLUGIN_IGNORE_MAX_DELETIONS=true to deploy anyway');
+    });
+
+    it('should allow plans deleting as many files as allowed', async () => {
+        process.env.PLUGIN_MAX_DELETIONS = '4';
+        await createCheckedPlan();
+    });
+
+    it('should refuse plans deleting a larger share of the target files than allowed', async () => {
+        process.env.PLUGIN_MAX_DELETION_PERCENT = '50';
+
+        const error = await getError(createCheckedPlan());
+
+        expect(error.message).to.match(/^Plan deletes 75\.0% of the target files \(3 of 4\)/);
+    });
+
+    it('should deploy anyway with the override flags', async () => {
+        process.env.PLUGIN_MAX_DELETIONS = '1';
+        process.env.PLUGIN_MAX_DELETION_PERCENT = '10';
+        process.env.PLUGIN_IGNORE_MAX_DELETIONS = 'true';
+        process.env.PLUGIN_IGNORE_MAX_DELETION_PERCENT = 'true';
+
+        const plan = await createCheckedPlan();
+
+        expect(plan.stepRemoveOldLogic).to.have.length(3);
+    });
+
+    it('should refuse an empty source', async () => {
+        sourceFs.init({ files: {} });
+
+        const error = await getError(createCheckedPlan());
+
+        expect(error.message).to.equal('Source is empty, refusing to deploy. Set PLUGIN_ALLOW_EMPTY_SOURCE=true to deploy anyway');
+    });
+
+    it('should deploy an empty source with the override flag', async () => {
+        process.env.PLUGIN_ALLOW_EMPTY_SOURCE = 'true';
+        sourceFs.init({ files: {} });
+
+        const plan = await createCheckedPlan();
+
+        expect(plan.stepRemoveOldLogic).to.have.length(4);
+    });
+
+    it('should not count deletions of an empty target as percentage', () => {
+        process.env.PLUGIN_MAX_DELETION_PERCENT = '0';
+        checkDeletions(new Plan(), []);
+    });
+});
@@ -0,0 +1,149 @@
+import { expect } from 'chai';
+import ssh2 from 'ssh2';
+import { SftpFileSystem } from '../lib/fileSystem/sftp.js';
+import { getHostKeyFingerprint } from '../lib/fileSystem/ssh.js';
+import { generateKeyPair } from './sshKeys.js';
+
+describe('SftpFileSystem', () => {
+    const keys = generateKeyPair();
+    const encryptedKeys = generateKeyPair({ passphrase: 'secret', cipher: 'aes256-ctr' });
+
+    /**
+     * Get the error of a failing promise
+     * @param {Promise} promise
+     * @returns {Promise<Error|undefined>}
+     */
+    const getError = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err;
+        }
+    };
+
+    describe('buildConnectionConfig', () => {
+        it('should only use the password by default', async () => {
+            const fileSystem = new SftpFileSystem('sftp://example.com/www', { USERNAME: 'deploy', PASSWORD: 'pw' });
+            const config = await fileSystem.buildConnectionConfig();
+            expect(config).to.include({ host: 'example.com', port: 22, username: 'deploy', password: 'pw', tryKeyboard: true });
+            expect(config).to.not.have.property('privateKey');
+            expect(config).to.not.have.property('agent');
+        });
+
+        it('should add the private key and passphrase', async () => {
+            const fileSystem = new SftpFileSystem('sftp://example.com/www', {
+                USERNAME: 'deploy',
+                PRIVATE_KEY: encryptedKeys.private,
+                PASSPHRASE: 'secret',
+            });
+            const config = await fileSystem.buildConnectionConfig();
+            expect(config.privateKey.toString()).to.include('OPENSSH PRIVATE KEY');
+            expect(config.passphrase).to.equal('secret');
+            expect(config).to.not.have.property('tryKeyboard');
+        });
+
+        it('should refuse a private key with a wrong passphrase', async () => {
+            const fileSystem = new SftpFileSystem('sftp://example.com/www', {
+                USERNAME: 'deploy',
+                PRIVATE_KEY: encryptedKeys.private,
+                PASSPHRASE: 'wrong',
+            });
+            const error = await getError(fileSystem.buildConnectionConfig());
+            expect(error.message).to.include('Invalid PRIVATE_KEY');
+        });
+
+        it('should use the ssh-agent', async () => {
+            const fileSystem = new SftpFileSystem('sftp://example.com/www', {
+                USERNAME: 'deploy',
+                SSH_AUTH_SOCK: '/run/ssh-agent.sock',
+            });
+            const config = await fileSystem.buildConnectionConfig();
+            expect(config.agent).to.equal('/run/ssh-agent.sock');
+        });
+
+        it('should verify the host key against the pinned fingerprint', async () => {
+            const hostKey = ssh2.utils.parseKey(keys.public).getPublicSSH();
+            const fileSystem = new SftpFileSystem('sftp://example.com/www', {
+                USERNAME: 'deploy',
+                PASSWORD: 'pw',
+                HOST_FINGERPRINT: getHostKeyFingerprint(hostKey),
+            });
+            const config = await fileSystem.buildConnectionConfig();
+            expect(config.hostVerifier(hostKey)).to.be.true;
+            expect(config.hostVerifier(ssh2.utils.parseKey(encryptedKeys.public).getPublicSSH())).to.be.false;
+            expect(fileSystem.hostKeyVerifier.error).to.include('Host key verification failed for example.com:22');
+        });
+    });
+
+    describe('rename', () => {
+        let calls;
+
+        /**
+         * Create a file system whose operations are answered by a fake client
+         * @param {Object<string, Error[]>} failures - Errors of the following calls per method, e.g. {rename: [error]}
+         * @returns {SftpFileSystem}
+         */
+        const createFileSystem = (failures) => {
+            const fileSystem = new SftpFileSystem('sftp://example.com/www', {});
+            fileSystem.logger.level = 'silent';
+            const answer = async (method, ...args) => {
+                calls.push(`${method} ${args.join(' ')}`);
+                const error = (failures[method] || []).shift();
+                if (error) {
+                    throw error;
+                }
+            };
+            const client = {
+                posixRename: (...args) => answer('posixRename', ...args),
+                rename: (...args) => answer('rename', ...args),
+                delete: (...args) => answer('delete', ...args),
+            };
+            fileSystem.pool = { use: (operation) => operation(client) };
+            return fileSystem;
+        };
+
+        /**
+         * Create an error like ssh2-sftp-client does
+         * @param {string} message
+         * @param {number} [code] - SFTP status code
+         * @returns {Error}
+         */
+        const createError = (message, code) => Object.assign(new Error(message), { code });
+
+        beforeEach(() => {
+            calls = [];
+        });
+
+        it('should use POSIX rename', async () => {
+            await createFileSystem({}).rename('/www/.a.push-to-tmp', '/www/a');
+            expect(calls).to.deep.equal(['posixRename /www/.a.push-to-tmp /www/a']);
+        });
+
+        it('should fall back to plain rename, replacing existing targets', async () => {
+            await createFileSystem({
+                posixRename: [createError('Server does not support this extended request')],
+                rename: [createError('_rename: Failure From: /www/.a.push-to-tmp To: /www/a', 4)],
+            }).rename('/www/.a.push-to-tmp', '/www/a');
+            expect(calls).to.deep.equal([
+                'posixRename /www/.a.push-to-tmp /www/a',
+                'rename /www/.a.push-to-tmp /www/a',
+                'delete /www/a',
+                'rename /www/.a.push-to-tmp /www/a',
+            ]);
+        });
+
+        it('should keep the target when the rename fails for other reasons', async () => {
+            const permission = await getError(createFileSystem({
+                posixRename: [createError('_posixRename: Permission denied', 3)],
+            }).rename('/www/.a.push-to-tmp', '/www/a'));
+            expect(permission.code).to.equal(3);
+
+            const missing = await getError(createFileSystem({
+                posixRename: [createError('Server does not support this extended request')],
+                rename: [createError('_rename: No such file', 2)],
+            }).rename('/www/.a.push-to-tmp', '/www/a'));
+            expect(missing.code).to.equal(2);
+            expect(calls.filter(call => call.startsWith('delete'))).to.deep.equal([]);
+        });
+    });
+});
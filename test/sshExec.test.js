@@ -0,0 +1,232 @@
+import { expect } from 'chai';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ssh2 from 'ssh2';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createFs } from '../lib/createFs.js';
+import { SshExecFileSystem, parseFindOutput, quoteShellArgument } from '../lib/fileSystem/sshExec.js';
+import { getHostKeyFingerprint } from '../lib/fileSystem/ssh.js';
+import { generateKeyPair } from './sshKeys.js';
+
+describe('SshExecFileSystem', () => {
+    describe('constructor', () => {
+        it('should be created for ssh:// URLs', () => {
+            expect(createFs('ssh://example.com/www', {})).to.be.instanceOf(SshExecFileSystem);
+            expect(createFs('SSH://example.com/www', {})).to.be.instanceOf(SshExecFileSystem);
+        });
+
+        it('should parse host, port and directory', () => {
+            const fileSystem = new SshExecFileSystem('ssh://example.com:2222/var/www/my%20site/', {});
+            expect(fileSystem.host).to.equal('example.com');
+            expect(fileSystem.port).to.equal(2222);
+            expect(fileSystem.directory).to.equal('/var/www/my site');
+            expect(new SshExecFileSystem('ssh://example.com', {}).directory).to.equal('/');
+        });
+    });
+
+    describe('quoteShellArgument', () => {
+        it('should quote arguments for the shell', () => {
+            expect(quoteShellArgument('/www/index.html')).to.equal(`'/www/index.html'`);
+            expect(quoteShellArgument(`it's $(rm -rf /)`)).to.equal(`'it'\\''s $(rm -rf /)'`);
+        });
+    });
+
+    describe('parseFindOutput', () => {
+        it('should read types, sizes, modification times and paths', () => {
+            expect(parseFindOutput('d 4096 1704110400.0000000000 css\0f 8 1704184200.5000000000 css/main.css\0l 10 1704110400 current\0')).to.deep.equal([
+                { type: 'd', size: 4096, mtime: 1704110400000, path: 'css' },
+                { type: 'f', size: 8, mtime: 1704184200500, path: 'css/main.css' },
+                { type: 'l', size: 10, mtime: 1704110400000, path: 'current' },
+            ]);
+        });
+
+        it('should keep line breaks and spaces in paths', () => {
+            expect(parseFindOutput('f 0 1704110400 a b\nc.txt\0')[0].path).to.equal('a b\nc.txt');
+        });
+
+        it('should refuse unexpected output', () => {
+            expect(() => parseFindOutput('find: permission denied\0')).to.throw('Unexpected output of find');
+        });
+    });
+
+    describe('commands', () => {
+        const keys = generateKeyPair();
+        const fingerprint = getHostKeyFingerprint(ssh2.utils.parseKey(keys.public).getPublicSSH());
+        let server;
+        let port;
+        let tempDir;
+        let commands;
+        let closedChannels;
+
+        /**
+         * Get the error of a failing promise
+         * @param {Promise} promise
+         * @returns {Promise<Error|undefined>}
+         */
+        const getError = async (promise) => {
+            try {
+                await promise;
+            } catch (err) {
+                return err;
+            }
+        };
+
+        beforeEach(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'push-to-ssh-'));
+            await fs.mkdir(path.join(tempDir, 'www', 'css'), { recursive: true });
+            await fs.writeFile(path.join(tempDir, 'www', 'index.html'), 'old');
+            await fs.writeFile(path.join(tempDir, 'www', 'css', 'main.css'), 'body { }');
+            commands = [];
+            closedChannels = [];
+
+            // SSH server without SFTP subsystem, running commands with the local shell
+            server = new ssh2.Server({ hostKeys: [keys.private] }, (client) => {
+                client.on('authentication', (ctx) => {
+                    if (ctx.method === 'password' && ctx.username === 'deploy' && ctx.password === 'secret') {
+                        ctx.accept();
+                    } else {
+                        ctx.reject(['password']);
+                    }
+                });
+                client.on('ready', () => client.on('session', (accept) => {
+                    const session = accept();
+                    session.on('subsystem', (accept, reject) => reject());
+                    session.on('exec', (accept, reject, info) => {
+                        commands.push(info.command);
+                        const channel = accept();
+                        const child = spawn('sh', ['-c', info.command], { cwd: tempDir });
+                        channel.pipe(child.stdin);
+                        child.stdout.pipe(channel, { end: false });
+                        child.stderr.pipe(channel.stderr);
+                        child.on('close', (code) => {
+                            if (code === null) {
+                                // Killed as the channel was closed
+                                return;
+                            }
+                            channel.exit(code);
+                            channel.end();
+                        });
+                        // Like sshd, which ends the command when the client closes the channel
+                        channel.on('close', () => {
+                            closedChannels.push(info.command);
+                            child.kill();
+                        });
+                    });
+                }));
+                client.on('error', () => {});
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+        });
+
+        afterEach(async () => {
+            server.close();
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        /**
+         * Create a connected file system for the directory "www" of the temp directory
+         * @returns {Promise<SshExecFileSystem>}
+         */
+        const connect = async () => {
+            const fileSystem = new SshExecFileSystem(`ssh://127.0.0.1:${port}${tempDir}/www`, {
+                USERNAME: 'deploy',
+                PASSWORD: 'secret',
+                HOST_FINGERPRINT: fingerprint,
+            });
+            await fileSystem.connect();
+            return fileSystem;
+        };
+
+        it('should scan the directory recursively', async () => {
+            const fileSystem = await connect();
+            await fileSystem.scanDirectory();
+            expect(await fileSystem.getHomeDirectory()).to.equal(tempDir);
+            await fileSystem.disconnect();
+
+            expect(await fileSystem.getFiles()).to.have.members([`${tempDir}/www/index.html`, `${tempDir}/www/css/main.css`]);
+            expect(fileSystem.getFileInfo(`${tempDir}/www/css/main.css`).size).to.equal(8);
+        });
+
+        it('should write, read, rename and delete files with special characters in their name', async () => {
+            const name = `${tempDir}/www/$(touch pwned) "it's".txt`;
+            const fileSystem = await connect();
+            await fileSystem.createDirectory(`${tempDir}/www/js/vendor`);
+            await pipeline(Readable.from([Buffer.from('console.'), Buffer.from('log()')]), await fileSystem.createWriteStream(`${tempDir}/www/js/vendor/app.js`));
+            await fileSystem.writeFile(name, Buffer.from('content'));
+            expect((await fileSystem.readFile(name)).toString()).to.equal('content');
+            await fileSystem.rename(name, `${tempDir}/www/index.html`);
+            await fileSystem.deleteDirectory(`${tempDir}/www/css`);
+            await fileSystem.disconnect();
+
+            expect(await fs.readFile(path.join(tempDir, 'www', 'js', 'vendor', 'app.js'), 'utf8')).to.equal('console.log()');
+            expect(await fs.readFile(path.join(tempDir, 'www', 'index.html'), 'utf8')).to.equal('content');
+            expect(await fs.readdir(path.join(tempDir, 'www'))).to.have.members(['index.html', 'js']);
+            expect(await fs.readdir(tempDir)).to.not.include('pwned');
+        });
+
+        it('should replace symlinks', async () => {
+            const fileSystem = await connect();
+            await fileSystem.createDirectory(`${tempDir}/www/releases/a`);
+            await fileSystem.createDirectory(`${tempDir}/www/releases/b`);
+            await fileSystem.symlink('releases/a', `${tempDir}/www/current`);
+            await fileSystem.symlink('releases/b', `${tempDir}/www/.current.tmp`);
+            await fileSystem.rename(`${tempDir}/www/.current.tmp`, `${tempDir}/www/current`);
+            expect(await fileSystem.readLink(`${tempDir}/www/current`)).to.equal('releases/b');
+            expect(await fileSystem.readLink(`${tempDir}/www/index.html`)).to.be.null;
+            await fileSystem.disconnect();
+
+            expect(await fs.readlink(path.join(tempDir, 'www', 'current'))).to.equal('releases/b');
+        });
+
+        it('should abort uploads whose source fails halfway', async () => {
+            const fileSystem = await connect();
+            fileSystem.logger.level = 'silent';
+            const failingSource = async function* () {
+                yield Buffer.from('console.');
+                throw new Error('Read error');
+            };
+            const error = await getError(pipeline(Readable.from(failingSource()), await fileSystem.createWriteStream(`${tempDir}/www/app.js`)));
+            await fileSystem.writeFile(`${tempDir}/www/index.html`, Buffer.from('new'));
+            // The channel of the aborted upload was closed before the next command
+            expect(closedChannels).to.include(`cat > '${tempDir}/www/app.js'`);
+            await fileSystem.disconnect();
+
+            expect(error.message).to.equal('Read error');
+            expect(await fs.readFile(path.join(tempDir, 'www', 'index.html'), 'utf8')).to.equal('new');
+        });
+
+        it('should report failing commands', async () => {
+            const fileSystem = await connect();
+            fileSystem.logger.level = 'silent';
+            let error;
+            try {
+                await fileSystem.readFile(`${tempDir}/www/missing.html`);
+            } catch (err) {
+                error = err;
+            }
+            await fileSystem.disconnect();
+            expect(error.message).to.include('No such file or directory');
+            expect(error.exitCode).to.equal(1);
+        });
+
+        it('should not change anything in dry run mode', async () => {
+            process.env.PLUGIN_DRY_RUN = 'true';
+            try {
+                const fileSystem = await connect();
+                await fileSystem.writeFile(`${tempDir}/www/index.html`, Buffer.from('new'));
+                await fileSystem.createDirectory(`${tempDir}/www/js`);
+                await fileSystem.deleteFile(`${tempDir}/www/css/main.css`);
+                await fileSystem.disconnect();
+            } finally {
+                delete process.env.PLUGIN_DRY_RUN;
+            }
+
+            expect(await fs.readFile(path.join(tempDir, 'www', 'index.html'), 'utf8')).to.equal('old');
+            expect(commands).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,16 @@
+import ssh2 from 'ssh2';
+
+/**
+ * Generate an ed25519 key pair for the tests
+ * ssh2 now and then writes private keys it fails to parse again, those are generated anew
+ * @param {Object} [options] - Options of ssh2.utils.generateKeyPairSync, e.g. passphrase and cipher
+ * @returns {{private: string, public: string}}
+ */
+export const generateKeyPair = (options = {}) => {
+    for (;;) {
+        const keys = ssh2.utils.generateKeyPairSync('ed25519', options);
+        if (!(ssh2.utils.parseKey(keys.private, options.passphrase) instanceof Error)) {
+            return keys;
+        }
+    }
+};
@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createUploadStream } from '../lib/fileSystem/streams.js';
+
+describe('createUploadStream', () => {
+    // Helper to consume the input like ftp's put does
+    const readAll = async (input) => {
+        const chunks = [];
+        for await (const chunk of input) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    };
+
+    it('should only finish after the upload was completed', async () => {
+        let uploaded = null;
+        const stream = createUploadStream(async (input) => {
+            const content = await readAll(input);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            uploaded = content;
+        });
+
+        await pipeline(Readable.from([Buffer.from('hello '), Buffer.from('world')]), stream);
+
+        expect(uploaded.toString()).to.equal('hello world');
+    });
+
+    it('should hand errors of the source to the upload', async () => {
+        let upload;
+        const stream = createUploadStream((input) => {
+            upload = readAll(input);
+            return upload;
+        });
+        const failingSource = async function* () {
+            yield Buffer.from('hello ');
+            throw new Error('Read error');
+        };
+
+        let error;
+        try {
+            await pipeline(Readable.from(failingSource()), stream);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).to.equal('Read error');
+        let uploadError;
+        try {
+            await upload;
+        } catch (err) {
+            uploadError = err;
+        }
+        expect(uploadError.message).to.equal('Read error');
+    });
+
+    it('should abort the upload when the stream is destroyed', async () => {
+        let upload;
+        const stream = createUploadStream((input) => {
+            upload = readAll(input);
+            return upload;
+        });
+        stream.write('hello ');
+        stream.destroy();
+
+        let uploadError;
+        try {
+            await upload;
+        } catch (err) {
+            uploadError = err;
+        }
+        expect(uploadError.message).to.equal('The upload was aborted');
+    });
+
+    it('should fail when the upload fails', async () => {
+        const stream = createUploadStream(async () => {
+            throw new Error('Permission denied');
+        });
+
+        let error;
+        try {
+            await pipeline(Readable.from([Buffer.alloc(1024 * 1024)]), stream);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).to.equal('Permission denied');
+    });
+});
@@ -0,0 +1,171 @@
+import { expect } from 'chai';
+import { createPlan } from '../lib/createPlan.js';
+import { checkDangerousTarget, checkTargetMarker, isDangerousPath, logger, MARKER_FILE_NAME } from '../lib/targetGuard.js';
+import { MockFileSystem } from './mockFileSystem.js';
+
+describe('Target Guard', () => {
+    let sourceFs, targetFs;
+
+    const clearEnvironment = () => {
+        delete process.env.PLUGIN_SITE_ID;
+        delete process.env.PLUGIN_ALLOW_DANGEROUS_TARGET;
+    };
+
+    /**
+     * Get the error of a failing promise
+     * @param {Promise} promise
+     * @returns {Promise<Error|undefined>}
+     */
+    const getError = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err;
+        }
+    };
+
+    // The warnings and notes of the checks are expected here
+    let level;
+    before(() => {
+        level = logger.level;
+        logger.level = 'silent';
+    });
+    after(() => {
+        logger.level = level;
+    });
+
+    beforeEach(() => {
+        sourceFs = new MockFileSystem('/test/source');
+        targetFs = new MockFileSystem('/test/target');
+        sourceFs.init({
+            files: {
+                '/test/source/index.html': '<html></html>'
+            }
+        });
+        targetFs.init({
+            files: {
+                '/test/target/index.html': '<html></html>'
+            }
+        });
+        clearEnvironment();
+    });
+    afterEach(clearEnvironment);
+
+    describe('isDangerousPath', () => {
+        it('should detect the root and system directories', () => {
+            expect(isDangerousPath('/', null)).to.be.true;
+            expect(isDangerousPath('/etc', null)).to.be.true;
+            expect(isDangerousPath('/var', null)).to.be.true;
+        });
+
+        it('should detect the home directory', () => {
+            expect(isDangerousPath('/home/deploy', '/home/deploy')).to.be.true;
+        });
+
+        it('should only check the home directory without system paths', () => {
+            expect(isDangerousPath('/', null, false)).to.be.false;
+            expect(isDangerousPath('/home/deploy', '/home/deploy', false)).to.be.true;
+        });
+
+        it('should allow directories below', () => {
+            expect(isDangerousPath('/var/www/html', '/home/deploy')).to.be.false;
+            expect(isDangerousPath('/home/deploy/public_html', '/home/deploy')).to.be.false;
+        });
+    });
+
+    describe('checkDangerousTarget', () => {
+        it('should refuse the root of a remote target', async () => {
+            const remoteFs = { directory: '/', getHomeDirectory: async () => '/home/deploy' };
+            const error = await getError(checkDangerousTarget(remoteFs));
+            expect(error).to.be.instanceOf(Error);
+            expect(error.message).to.include('Refusing to deploy into /');
+        });
+
+        it('should refuse the home directory of a remote target, ignoring a trailing slash', async () => {
+            const remoteFs = { directory: '/home/deploy/', getHomeDirectory: async () => '/home/deploy' };
+            const error = await getError(checkDangerousTarget(remoteFs));
+            expect(error.message).to.include('/home/deploy');
+        });
+
+        it('should refuse the local home directory', async () => {
+            const localFs = new MockFileSystem('/srv/deploy');
+            expect(await getError(checkDangerousTarget(localFs))).to.be.undefined;
+
+            localFs.homeDirectory = '/srv/deploy/';
+            expect(await getError(checkDangerousTarget(localFs))).to.be.instanceOf(Error);
+        });
+
+        it('should allow dangerous targets with PLUGIN_ALLOW_DANGEROUS_TARGET', async () => {
+            process.env.PLUGIN_ALLOW_DANGEROUS_TARGET = 'true';
+            const remoteFs = { directory: '/', getHomeDirectory: async () => '/home/deploy' };
+            expect(await getError(checkDangerousTarget(remoteFs))).to.be.undefined;
+        });
+
+        it('should allow the root of jailed remote targets', async () => {
+            const remoteFs = { directory: '/', getHomeDirectory: async () => '/' };
+            expect(await getError(checkDangerousTarget(remoteFs))).to.be.undefined;
+            remoteFs.directory = '/var';
+            expect(await getError(checkDangerousTarget(remoteFs))).to.be.undefined;
+        });
+
+        it('should allow any path of remote targets without home directory', async () => {
+            expect(await getError(checkDangerousTarget({ directory: '/' }))).to.be.undefined;
+            const remoteFs = { directory: '/etc/', getHomeDirectory: async () => { throw new Error('PWD not supported'); } };
+            expect(await getError(checkDangerousTarget(remoteFs))).to.be.undefined;
+        });
+
+        it('should refuse system paths of the local machine', async () => {
+            const error = await getError(checkDangerousTarget(new MockFileSystem('/etc/')));
+            expect(error.message).to.include('Refusing to deploy into /etc');
+        });
+    });
+
+    describe('checkTargetMarker', () => {
+        it('should not require a marker without PLUGIN_SITE_ID', async () => {
+            await targetFs.scanDirectory();
+            expect(await getError(checkTargetMarker(targetFs))).to.be.undefined;
+        });
+
+        it('should refuse a target without marker', async () => {
+            process.env.PLUGIN_SITE_ID = 'shop';
+            const error = await getError(checkTargetMarker(targetFs));
+            expect(error.message).to.include('no .push-to-target marker for site "shop"');
+            expect(error.message).to.include('PLUGIN_MODE=init');
+        });
+
+        it('should refuse a target marked for another site', async () => {
+            process.env.PLUGIN_SITE_ID = 'shop';
+            targetFs.files.set(`/test/target/${MARKER_FILE_NAME}`, 'blog\n');
+            const error = await getError(checkTargetMarker(targetFs, { init: true }));
+            expect(error.message).to.equal('Target is marked for site "blog", not for "shop"');
+            expect(targetFs.getOperations().filter(op => op.type === 'writeFile')).to.have.length(0);
+        });
+
+        it('should accept a target marked for the site', async () => {
+            process.env.PLUGIN_SITE_ID = 'shop';
+            targetFs.files.set(`/test/target/${MARKER_FILE_NAME}`, 'shop\n');
+            expect(await getError(checkTargetMarker(targetFs))).to.be.undefined;
+        });
+
+        it('should create the marker in init mode', async () => {
+            process.env.PLUGIN_SITE_ID = 'shop';
+            await checkTargetMarker(targetFs, { init: true });
+            expect(targetFs.files.get(`/test/target/${MARKER_FILE_NAME}`).toString()).to.equal('shop\n');
+        });
+
+        it('should require PLUGIN_SITE_ID in init mode', async () => {
+            const error = await getError(checkTargetMarker(targetFs, { init: true }));
+            expect(error.message).to.include('PLUGIN_SITE_ID');
+        });
+    });
+
+    describe('createPlan', () => {
+        it('should neither upload nor delete the marker', async () => {
+            sourceFs.files.set(`/test/source/${MARKER_FILE_NAME}`, 'other');
+            targetFs.files.set(`/test/target/${MARKER_FILE_NAME}`, 'shop');
+            const plan = await createPlan(sourceFs, targetFs);
+            const steps = [...plan.stepUploadAssets, ...plan.stepUploadLogic, ...plan.stepRemoveOldAssets, ...plan.stepRemoveOldLogic];
+            expect(steps.map(step => step.target)).to.not.include(`/test/target/${MARKER_FILE_NAME}`);
+        });
+    });
+});
@@ -0,0 +1,289 @@
+import { expect } from 'chai';
+import crypto from 'crypto';
+import http from 'http';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createFs } from '../lib/createFs.js';
+import { HttpAuthenticator, createDigestAuthorization, parseChallenges } from '../lib/fileSystem/httpAuth.js';
+import { WebDavFileSystem, parseMultiStatus } from '../lib/fileSystem/webdav.js';
+
+describe('WebDavFileSystem', () => {
+    describe('constructor', () => {
+        it('should be created for webdav:// and webdavs:// URLs', () => {
+            expect(createFs('webdav://example.com/site', {})).to.be.instanceOf(WebDavFileSystem);
+            expect(createFs('WEBDAVS://example.com/site', {})).to.be.instanceOf(WebDavFileSystem);
+        });
+
+        it('should use HTTP for webdav:// and HTTPS for webdavs://', () => {
+            const plain = new WebDavFileSystem('webdav://example.com/site/', {});
+            expect(plain.protocol).to.equal('http:');
+            expect(plain.port).to.equal(80);
+            expect(plain.directory).to.equal('/site');
+
+            const secure = new WebDavFileSystem('webdavs://cloud.example.com:8443/remote.php/dav/files/deploy/my%20site', {});
+            expect(secure.protocol).to.equal('https:');
+            expect(secure.port).to.equal(8443);
+            expect(secure.directory).to.equal('/remote.php/dav/files/deploy/my site');
+        });
+
+        it('should refuse invalid parameters', () => {
+            expect(() => new WebDavFileSystem('webdav://example.com/site', { CONNECTIONS: 'many' })).to.throw('Invalid CONNECTIONS: many');
+        });
+    });
+
+    describe('parseMultiStatus', () => {
+        it('should read directories, sizes and modification times', () => {
+            const entries = parseMultiStatus(`<?xml version="1.0"?>
+                <d:multistatus xmlns:d="DAV:" xmlns:s="http://sabredav.org/ns">
+                    <d:response>
+                        <d:href>/dav/site/</d:href>
+                        <d:propstat>
+                            <d:prop><d:resourcetype><d:collection/></d:resourcetype><d:getlastmodified>Mon, 01 Jan 2024 12:00:00 GMT</d:getlastmodified></d:prop>
+                            <d:status>HTTP/1.1 200 OK</d:status>
+                        </d:propstat>
+                        <d:propstat>
+                            <d:prop><d:getcontentlength/></d:prop>
+                            <d:status>HTTP/1.1 404 Not Found</d:status>
+                        </d:propstat>
+                    </d:response>
+                    <d:response>
+                        <d:href>http://example.com/dav/site/my%20page.html</d:href>
+                        <d:propstat>
+                            <d:prop><d:resourcetype/><d:getcontentlength>1234</d:getcontentlength><d:getlastmodified>Tue, 02 Jan 2024 08:30:00 GMT</d:getlastmodified></d:prop>
+                            <d:status>HTTP/1.1 200 OK</d:status>
+                        </d:propstat>
+                    </d:response>
+                </d:multistatus>`);
+
+            expect(entries).to.deep.equal([
+                { path: '/dav/site', isDirectory: true, size: undefined, mtime: Date.UTC(2024, 0, 1, 12, 0) },
+                { path: '/dav/site/my page.html', isDirectory: false, size: 1234, mtime: Date.UTC(2024, 0, 2, 8, 30) },
+            ]);
+        });
+    });
+
+    describe('HttpAuthenticator', () => {
+        it('should parse multiple challenges', () => {
+            expect(parseChallenges(['Basic realm="a, b", Digest realm="dav", nonce="abc", qop="auth,auth-int"'])).to.deep.equal([
+                { scheme: 'basic', params: { realm: 'a, b' } },
+                { scheme: 'digest', params: { realm: 'dav', nonce: 'abc', qop: 'auth,auth-int' } },
+            ]);
+        });
+
+        it('should answer digest challenges', () => {
+            // Example of RFC 2617
+            const authorization = createDigestAuthorization({
+                realm: 'testrealm@host.com',
+                qop: 'auth,auth-int',
+                nonce: 'dcd98b7102dd2f0e8b11d0f600bfb0c093',
+                opaque: '5ccc069c403ebaf9f0171e9517f40e41',
+            }, { username: 'Mufasa', password: 'Circle Of Life', method: 'GET', uri: '/dir/index.html', nc: 1, cnonce: '0a4f113b' });
+            expect(authorization).to.include('response="6629fae49393a05397450978507c4ef1"');
+            expect(authorization).to.include('nc=00000001');
+        });
+
+        it('should prefer digest over basic authentication', async () => {
+            const authenticator = new HttpAuthenticator('deploy', 'secret');
+            expect((await authenticator.authorize('GET', '/')).authorization).to.be.undefined;
+            expect(authenticator.challenge(['Basic realm="dav"', 'Digest realm="dav", nonce="abc"'])).to.be.true;
+            expect((await authenticator.authorize('GET', '/')).authorization).to.match(/^Digest username="deploy"/);
+        });
+
+        it('should only count the next digest request once the server received the previous one', async () => {
+            const authenticator = new HttpAuthenticator('deploy', 'secret');
+            authenticator.challenge(['Digest realm="dav", nonce="abc", qop="auth"']);
+            const first = await authenticator.authorize('GET', '/a');
+            let second = null;
+            const waiting = authenticator.authorize('GET', '/b').then((result) => {
+                second = result;
+            });
+
+            await new Promise(resolve => setImmediate(resolve));
+            expect(second).to.be.null;
+            first.received();
+            await waiting;
+
+            expect(first.authorization).to.include('nc=00000001');
+            expect(second.authorization).to.include('nc=00000002');
+        });
+
+        it('should not answer challenges without username', () => {
+            expect(new HttpAuthenticator(undefined, undefined).challenge(['Basic realm="dav"'])).to.be.false;
+        });
+    });
+
+    describe('requests', () => {
+        const realm = 'dav';
+        const nonce = 'c2VydmVyLW5vbmNl';
+        let server;
+        let port;
+        let files;
+        let directories;
+        let requests;
+        let lastNonceCount;
+        let replays;
+
+        /**
+         * Check the digest credentials of a request
+         * @param {http.IncomingMessage} request
+         * @returns {boolean}
+         */
+        const isAuthorized = (request) => {
+            const header = request.headers.authorization || '';
+            const params = parseChallenges([header])[0];
+            if (!params || params.scheme !== 'digest') {
+                return false;
+            }
+            const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+            const ha1 = md5(`deploy:${realm}:secret`);
+            const ha2 = md5(`${request.method}:${params.params.uri}`);
+            const { nc, cnonce, qop } = params.params;
+            if (params.params.uri !== request.url || params.params.response !== md5(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)) {
+                return false;
+            }
+            // Like Apache with AuthDigestNcCheck On
+            if (parseInt(nc, 16) <= lastNonceCount) {
+                replays++;
+                return false;
+            }
+            lastNonceCount = parseInt(nc, 16);
+            return true;
+        };
+
+        beforeEach(async () => {
+            files = new Map([['/site/index.html', 'old']]);
+            directories = new Set(['/site', '/site/css']);
+            files.set('/site/css/main.css', 'body { }');
+            requests = [];
+            lastNonceCount = 0;
+            replays = 0;
+
+            server = http.createServer(async (request, response) => {
+                const path = decodeURIComponent(request.url).replace(/\/+$/, '');
+                requests.push(`${request.method} ${path}`);
+                if (!isAuthorized(request)) {
+                    response.writeHead(401, { 'WWW-Authenticate': `Digest realm="${realm}", nonce="${nonce}", qop="auth"` });
+                    response.end();
+                    return;
+                }
+                if (request.headers.expect === '100-continue') {
+                    response.writeContinue();
+                }
+                const chunks = [];
+                for await (const chunk of request) {
+                    chunks.push(chunk);
+                }
+
+                switch (request.method) {
+                    case 'PROPFIND': {
+                        const children = [...directories, ...files.keys()]
+                            .filter(child => child === path || child.substring(0, child.lastIndexOf('/')) === path);
+                        const body = children.map(child => `<d:response><d:href>${encodeURI(child)}${directories.has(child) ? '/' : ''}</d:href>` +
+                            '<d:propstat><d:prop>' +
+                            (directories.has(child) ? '<d:resourcetype><d:collection/></d:resourcetype>' : `<d:resourcetype/><d:getcontentlength>${files.get(child).length}</d:getcontentlength>`) +
+                            '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>').join('');
+                        response.writeHead(207, { 'Content-Type': 'application/xml' });
+                        response.end(`<d:multistatus xmlns:d="DAV:">${body}</d:multistatus>`);
+                        return;
+                    }
+                    case 'PUT':
+                        files.set(path, Buffer.concat(chunks).toString());
+                        response.writeHead(201);
+                        response.end();
+                        return;
+                    case 'MKCOL':
+                        if (directories.has(path)) {
+                            response.writeHead(405);
+                        } else if (!directories.has(path.substring(0, path.lastIndexOf('/')))) {
+                            response.writeHead(409);
+                        } else {
+                            directories.add(path);
+                            response.writeHead(201);
+                        }
+                        response.end();
+                        return;
+                    default:
+                        response.writeHead(405);
+                        response.end();
+                }
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should authenticate with digest and scan recursively', async () => {
+            const fileSystem = new WebDavFileSystem(`webdav://127.0.0.1:${port}/site`, { USERNAME: 'deploy', PASSWORD: 'secret' });
+            await fileSystem.connect();
+            await fileSystem.scanDirectory();
+            await fileSystem.disconnect();
+
+            expect(await fileSystem.getFiles()).to.have.members(['/site/index.html', '/site/css/main.css']);
+            expect(fileSystem.getFileInfo('/site/css/main.css').size).to.equal(8);
+            // Only the first request is challenged
+            expect(requests.filter(request => request.startsWith('PROPFIND /site'))).to.have.length(4);
+        });
+
+        it('should fail for wrong credentials', async () => {
+            const fileSystem = new WebDavFileSystem(`webdav://127.0.0.1:${port}/site`, { USERNAME: 'deploy', PASSWORD: 'wrong' });
+            fileSystem.logger.level = 'silent';
+            let error;
+            try {
+                await fileSystem.connect();
+            } catch (err) {
+                error = err;
+            }
+            await fileSystem.disconnect();
+            expect(error.message).to.equal('PROPFIND /site/ failed: 401 Unauthorized');
+            expect(error.statusCode).to.equal(401);
+        });
+
+        it('should upload streams and create missing parent directories', async () => {
+            const fileSystem = new WebDavFileSystem(`webdav://127.0.0.1:${port}/site`, { USERNAME: 'deploy', PASSWORD: 'secret' });
+            await fileSystem.connect();
+            await fileSystem.createDirectory('/site/js/vendor');
+            await pipeline(Readable.from([Buffer.from('console.'), Buffer.from('log()')]), await fileSystem.createWriteStream('/site/js/vendor/app.js'));
+            await fileSystem.disconnect();
+
+            expect(directories.has('/site/js')).to.be.true;
+            expect(directories.has('/site/js/vendor')).to.be.true;
+            expect(files.get('/site/js/vendor/app.js')).to.equal('console.log()');
+        });
+
+        it('should send the nonce counts in order with parallel requests', async () => {
+            const fileSystem = new WebDavFileSystem(`webdav://127.0.0.1:${port}/site`, { USERNAME: 'deploy', PASSWORD: 'secret', CONNECTIONS: '4' });
+            await fileSystem.connect();
+            await Promise.all([...Array(20).keys()].map(async (i) => {
+                if (i % 2) {
+                    await pipeline(Readable.from([Buffer.from(`file ${i}`)]), await fileSystem.createWriteStream(`/site/${i}.html`));
+                } else {
+                    await fileSystem.writeFile(`/site/${i}.html`, Buffer.from(`file ${i}`));
+                }
+            }));
+            await fileSystem.disconnect();
+
+            expect(replays).to.equal(0);
+            expect(files.get('/site/19.html')).to.equal('file 19');
+        });
+
+        it('should not change anything in dry run mode', async () => {
+            process.env.PLUGIN_DRY_RUN = 'true';
+            try {
+                const fileSystem = new WebDavFileSystem(`webdav://127.0.0.1:${port}/site`, { USERNAME: 'deploy', PASSWORD: 'secret' });
+                await fileSystem.connect();
+                await fileSystem.writeFile('/site/index.html', Buffer.from('new'));
+                await fileSystem.createDirectory('/site/js');
+                await fileSystem.deleteFile('/site/index.html');
+                await fileSystem.disconnect();
+            } finally {
+                delete process.env.PLUGIN_DRY_RUN;
+            }
+
+            expect(files.get('/site/index.html')).to.equal('old');
+            expect(requests.every(request => request.startsWith('PROPFIND'))).to.be.true;
+        });
+    });
+});